@@ -22,6 +22,8 @@ const errorText = document.getElementById('error-text');
 const ttsAudio = document.getElementById('tts-audio');
 
 let currentResponseText = "";
+// Server-side conversation, so follow-up questions keep their context
+let conversationId = null;
 let isPlaying = false;
 
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -103,6 +105,22 @@ async function fetchWithBackoff(url, options, maxRetries = 3) {
     throw new Error('API request failed after multiple retries.');
 }
 
+// Opens a server-side conversation before the first question, so that
+// follow-ups keep their context; without one /ask answers statelessly
+async function ensureConversation() {
+    if (conversationId) return;
+    try {
+        const result = await fetchWithBackoff('/api/query/conversations', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({}),
+        });
+        conversationId = result.conversation_id;
+    } catch (error) {
+        console.warn('Could not start a conversation, asking without one:', error);
+    }
+}
+
 async function askServer(question) {
     try {
         const response = await fetchWithBackoff('/api/query/ask', {
@@ -110,6 +128,7 @@ async function askServer(question) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 question: question,
+                conversation_id: conversationId,
                 includeAudio: false
             }),
         });
@@ -121,38 +140,187 @@ async function askServer(question) {
     }
 }
 
+// Streams /api/query/ask/stream (Server-Sent Events over POST) and calls
+// handlers[event](data) for each event. Resolves with the final `done` payload.
+async function askServerStream(question, handlers) {
+    const response = await fetch('/api/query/ask/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: question, conversation_id: conversationId, includeAudio: false }),
+    });
+
+    if (response.status === 404) {
+        // Conversation expired on the server: start a new one
+        conversationId = null;
+    }
+
+    if (!response.ok || !response.body) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const block of events) {
+            let event = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (!data) continue;
+
+            const payload = JSON.parse(data);
+            if (event === 'error') throw new Error(payload.message || payload.error);
+            if (event === 'done') result = payload;
+            if (handlers[event]) handlers[event](payload);
+        }
+    }
+
+    if (!result) throw new Error('Stream ended before the answer was complete');
+    return result;
+}
+
 // --- Main Logic ---
+const STAGE_LABELS = {
+    analyzing: "Analyse de la question...",
+    searching: "Recherche dans les sources...",
+    answering: "Rédaction de la réponse..."
+};
+
+function renderResult(result) {
+    responseText.textContent = result.answer || "Aucune réponse disponible.";
+    currentResponseText = result.answer || "";
+
+    sourcesList.innerHTML = '';
+    const citations = result.sources || result.citations || [];
+    if (citations.length > 0) {
+        citations.forEach((citation, i) => {
+            // Unverified: the reference or the cited text was not found in the sources
+            const verified = citation.verified !== false;
+            const div = document.createElement('div');
+            div.id = `source-${i + 1}`;
+            div.className = `flex items-center text-sm ${verified ? 'text-green-400' : 'text-amber-400'}`;
+            div.innerHTML = `<i data-lucide="${verified ? 'check-circle-2' : 'alert-triangle'}" class="w-4 h-4 mr-2 flex-shrink-0"></i><span></span>`;
+            div.querySelector('span').textContent = `[${i + 1}] ${citation.reference}${verified ? '' : ' (non vérifiée)'}`;
+            sourcesList.appendChild(div);
+            renderAlignedSegments(citation.segments || []);
+        });
+    } else {
+        sourcesList.innerHTML = `<p class="text-sm text-gray-400">Aucune citation trouvée.</p>`;
+    }
+    lucide.createIcons();
+
+    // Only structured answers (format "structured") come as segments; text
+    // answers keep the markdown answer set above
+    if (result.segments) renderSegments(result.segments, citations);
+
+    // The API reports confidence between 0 and 1
+    const confidence = Math.round((result.confidence ?? 0.85) * 100);
+    confidenceBar.style.width = `${confidence}%`;
+    confidenceText.textContent = `${confidence}%`;
+}
+
+// Hebrew original of a cited passage next to its translation, segment by segment
+function renderAlignedSegments(segments) {
+    if (segments.length === 0) return;
+
+    const details = document.createElement('details');
+    details.className = 'ml-6 mb-2 text-xs text-gray-300';
+    details.innerHTML = '<summary class="cursor-pointer text-gray-400">Texte hébreu et traduction</summary>';
+
+    segments.forEach(segment => {
+        const row = document.createElement('div');
+        row.className = 'grid grid-cols-2 gap-3 py-1 border-b border-gray-700';
+        row.innerHTML = '<p dir="rtl" lang="he" class="text-right"></p><p></p>';
+        row.title = segment.reference;
+        row.children[0].textContent = segment.hebrew || '';
+        row.children[1].textContent = segment.translation?.content || '';
+        details.appendChild(row);
+    });
+
+    sourcesList.appendChild(details);
+}
+
+// Answer sentences followed by footnotes linking to their entry in the sources list
+function renderSegments(segments, citations) {
+    if (!segments.some(segment => (segment.chunk_ids || []).length > 0)) return;
+
+    responseText.textContent = '';
+    segments.forEach(segment => {
+        const span = document.createElement('span');
+        span.textContent = segment.text;
+        if (segment.support === 'unsupported') {
+            span.className = 'text-amber-300';
+            span.title = 'Non vérifié dans les sources';
+        }
+        responseText.appendChild(span);
+
+        (segment.chunk_ids || []).forEach(chunkId => {
+            const index = citations.findIndex(citation => citation.chunk_id === chunkId);
+            if (index === -1) return;
+
+            const note = document.createElement('a');
+            note.href = `#source-${index + 1}`;
+            note.textContent = `[${index + 1}]`;
+            note.className = 'text-xs align-super text-blue-300 hover:underline ml-0.5';
+            responseText.appendChild(note);
+        });
+
+        responseText.appendChild(document.createTextNode(' '));
+    });
+}
+
 async function processQuery(query) {
     if (!query) return;
     resetUI();
     showLoader(true);
     updateHistory(query);
 
+    let streamStarted = false;
+
     try {
-        const result = await askServer(query);
+        let result;
+        await ensureConversation();
 
-        responseTitle.textContent = query;
-        responseText.innerHTML = result.answer || "Aucune réponse disponible.";
-        currentResponseText = result.answer || "";
-
-        sourcesList.innerHTML = '';
-        if (result.citations && result.citations.length > 0) {
-            result.citations.forEach(citation => {
-                const div = document.createElement('div');
-                div.className = "flex items-center text-sm text-green-400";
-                div.innerHTML = `<i data-lucide="check-circle-2" class="w-4 h-4 mr-2 flex-shrink-0"></i><span>${citation.reference}</span>`;
-                sourcesList.appendChild(div);
+        try {
+            result = await askServerStream(query, {
+                status: ({ stage }) => {
+                    instructionText.textContent = STAGE_LABELS[stage] || instructionText.textContent;
+                },
+                token: ({ text }) => {
+                    if (!streamStarted) {
+                        streamStarted = true;
+                        showLoader(false);
+                        responseTitle.textContent = query;
+                        responseText.textContent = '';
+                        displayResponse();
+                    }
+                    responseText.textContent += text;
+                }
             });
-        } else {
-            sourcesList.innerHTML = `<p class="text-sm text-gray-400">Aucune citation trouvée.</p>`;
+        } catch (streamError) {
+            // Nothing shown yet: retry once with the regular endpoint
+            if (streamStarted) throw streamError;
+            console.warn('Streaming failed, falling back to /api/query/ask:', streamError);
+            result = await askServer(query);
         }
-        lucide.createIcons();
 
-        const confidence = result.confidence || 85;
-        confidenceBar.style.width = `${confidence}%`;
-        confidenceText.textContent = `${confidence}%`;
+        conversationId = result.conversation_id || conversationId;
+        responseTitle.textContent = query;
+        renderResult(result);
 
-        displayResponse();
+        if (!streamStarted) displayResponse();
     } catch (error) {
         console.error(error);
         showError("Désolé, une erreur est survenue. Veuillez réessayer.");
@@ -108,7 +108,7 @@ echo "=================================="
 run_test "Books in Database" "psql -d rabbi_nachman_db -c 'SELECT COUNT(*) FROM books;' | grep -q '[1-9]'" "success"
 
 # Test 8: Check if chunks exist
-run_test "Chunks in Database" "psql -d rabbi_nachman_db -c 'SELECT COUNT(*) FROM chunks;' | grep -q '[1-9]'" "success"
+run_test "Chunks in Database" "psql -d rabbi_nachman_db -c 'SELECT COUNT(*) FROM text_chunks;' | grep -q '[1-9]'" "success"
 
 # Test 9: Check master index
 run_test "Master Index Exists" "[ -f 'data/master-index.json' ]" "success"
@@ -1,17 +1,24 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
-import { getPostgreSQLPool, initializeDatabase } from '../src/services/database.js';
+import { createStorage } from '../src/services/storage/index.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 /**
  * Master Index Builder for Rabbi Nachman Voice Assistant
  * Creates ultra-fast routing indexes for RAG pipeline
  */
 class MasterIndexBuilder {
-  constructor() {
-    this.db = null;
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.indexPath = options.indexPath || path.join(__dirname, '../data/master_index.json');
     this.masterIndex = {
       version: "1.0",
       created_at: new Date().toISOString(),
@@ -27,8 +34,8 @@ class MasterIndexBuilder {
   }
 
   async init() {
-    await initializeDatabase();
-    this.db = getPostgreSQLPool();
+    if (!this.storage) this.storage = createStorage();
+    await this.storage.init();
     logger.info('🔧 Master Index Builder initialized');
   }
 
@@ -70,27 +77,10 @@ class MasterIndexBuilder {
   }
 
   /**
-   * Get all chunks from database
+   * Get all chunks from storage
    */
   async getAllChunks() {
-    const result = await this.db.query(`
-      SELECT
-        id,
-        book_name,
-        section_number,
-        chunk_number,
-        reference,
-        exact_reference,
-        content,
-        hebrew_text,
-        token_count,
-        metadata,
-        created_at
-      FROM chunks
-      ORDER BY book_name, section_number, chunk_number
-    `);
-
-    return result.rows;
+    return this.storage.getAllChunks();
   }
 
   /**
@@ -274,12 +264,12 @@ class MasterIndexBuilder {
    */
   getBookTitle(bookName, chunk) {
     const titleMap = {
-      'Chayei': 'Chayei Moharan (Life of Rabbi Nachman)',
-      'Likutei': 'Likutei Moharan (Collected Teachings)',
-      'Shivchei': 'Shivchei HaRan (In Praise of Rabbi Nachman)',
-      'Sichot': 'Sichot HaRan (Rabbi Nachman\'s Wisdom)',
-      'Sippurei': 'Sippurei Maasiyot (The Tales)',
-      'Tikkun': 'Tikkun HaKlali (The General Remedy)'
+      'Chayei_Moharan': 'Chayei Moharan (Life of Rabbi Nachman)',
+      'Likutei_Moharan': 'Likutei Moharan (Collected Teachings)',
+      'Shivchei_HaRan': 'Shivchei HaRan (In Praise of Rabbi Nachman)',
+      'Sichot_HaRan': 'Sichot HaRan (Rabbi Nachman\'s Wisdom)',
+      'Sippurei_Maasiyot': 'Sippurei Maasiyot (The Tales)',
+      'Tikkun_HaKlali': 'Tikkun HaKlali (The General Remedy)'
     };
 
     return titleMap[bookName] || chunk.metadata?.version_title || bookName;
@@ -311,39 +301,15 @@ class MasterIndexBuilder {
   }
 
   /**
-   * Save master index to database
+   * Save master index to storage and to a JSON file
    */
   async saveMasterIndex() {
     try {
-      // Clear existing master index
-      await this.db.query('DELETE FROM master_index WHERE index_type = $1', ['master']);
-
-      // Insert new master index
-      await this.db.query(`
-        INSERT INTO master_index (index_type, key_term, related_chunks, frequency, cross_references)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        'master',
-        'complete_index',
-        [], // No specific chunks for master index
-        1,
-        this.masterIndex
-      ]);
-
-      logger.info('💾 Master index saved to database');
-
-      // Also save to file
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      const { fileURLToPath } = await import('url');
-
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = path.dirname(__filename);
-
-      const indexPath = path.join(__dirname, '../data/master_index.json');
-      await fs.writeFile(indexPath, JSON.stringify(this.masterIndex, null, 2));
-
-      logger.info(`📋 Master index saved to ${indexPath}`);
+      await this.storage.saveMasterIndex(this.masterIndex);
+
+      await fs.writeFile(this.indexPath, JSON.stringify(this.masterIndex, null, 2));
+
+      logger.info(`📋 Master index saved to ${this.indexPath}`);
 
     } catch (error) {
       logger.error('Failed to save master index:', error);
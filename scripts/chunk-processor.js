@@ -4,8 +4,10 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
 import { SemanticChunker } from '../src/services/chunker.js';
-// import { initializeDatabase } from '../src/services/database.js';
-import pg from 'pg';
+import { createStorage } from '../src/services/storage/index.js';
+import { normalizeReference } from '../src/utils/references.js';
+import { alignSegments, textSegments } from '../src/utils/sefaria-schema.js';
+import { displayForm, searchForm } from '../src/utils/hebrew.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,34 +19,21 @@ const __dirname = path.dirname(__filename);
  * Main chunking processor for extracted Sefaria data
  */
 class ChunkProcessor {
-  constructor() {
-    this.inputDir = path.join(__dirname, '../data/raw');
-    this.outputDir = path.join(__dirname, '../data/chunks');
+  constructor(options = {}) {
+    this.inputDir = options.inputDir || path.join(__dirname, '../data/raw');
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/chunks');
     this.chunker = new SemanticChunker();
-    this.db = null;
+    // Postgres by default (migrated on init); tests pass a MemoryStorage
+    this.storage = options.storage || null;
     this.processedCount = 0;
     this.totalChunks = 0;
   }
 
   async init() {
-    // Create direct PostgreSQL connection (skip MongoDB for now)
-    const { Pool } = pg;
-    this.db = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      max: 20,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 2000,
-    });
-
-    // Test connection and enable pgvector
-    const client = await this.db.connect();
-    try {
-      await client.query('CREATE EXTENSION IF NOT EXISTS vector');
-      logger.info('pgvector extension enabled');
-    } catch (error) {
-      logger.warn('pgvector extension not available, continuing without vectors');
-    }
-    client.release();
+    if (!this.storage) this.storage = createStorage();
+    await this.storage.init();
+
+    await this.chunker.loadTokenizer();
 
     // Ensure output directory exists
     await fs.mkdir(this.outputDir, { recursive: true });
@@ -91,8 +80,8 @@ class ChunkProcessor {
       const rawData = await fs.readFile(filePath, 'utf8');
       const jsonData = JSON.parse(rawData);
 
-      // Extract book name from filename
-      const bookName = filename.split('_')[0];
+      // Book name as saved by the extractor (filename prefix is ambiguous for Likutei_*)
+      const bookName = jsonData.book || filename.split('_')[0];
 
       // Validate data structure
       if (!this.validateData(jsonData)) {
@@ -107,7 +96,7 @@ class ChunkProcessor {
       logger.info(`Chunking completed for ${bookName}, chunks: ${chunks.length}`);
 
       // Save chunks to database
-      await this.saveChunksToDatabase(bookName, chunks);
+      await this.saveChunksToDatabase(bookName, chunks, jsonData.data);
 
       // Save chunks to file
       await this.saveChunksToFile(bookName, chunks);
@@ -189,45 +178,89 @@ class ChunkProcessor {
   }
 
   /**
-   * Chunk a single section
+   * Chunk a single section into runs of whole segments (paragraphs) of at most
+   * CHUNK_SIZE tokens. Every version of the section (Hebrew, translations) is
+   * lined up with the others by segment address and cut at the same segments,
+   * and each chunk's reference is the range it covers (`Likutei Moharan 1:3-5`).
    */
   async chunkSection(bookName, section, sectionNumber) {
     const chunks = [];
 
     try {
-      // Combine Hebrew and English texts
-      const hebrewText = Array.isArray(section.he) ? section.he.join(' ') : (section.he || '');
-      const englishText = Array.isArray(section.text) ? section.text.join(' ') : (section.text || '');
+      // Default translation, Hebrew, then every extracted version
+      const versions = sectionVersions(section);
+      const segments = alignSegments([section.text, section.he, ...versions.map(version => version.text)]);
 
-      if (!hebrewText && !englishText) {
+      if (segments.length === 0) {
         return chunks;
       }
 
       // Create base reference
-      const baseRef = section.ref || `${bookName}:${sectionNumber}`;
+      const rawRef = section.ref || `${bookName}:${sectionNumber}`;
+      const baseRef = normalizeReference(rawRef) || rawRef;
 
-      // Simple chunking approach for now
-      const textChunks = this.simpleChunk(englishText || hebrewText, baseRef);
+      // The translation is the chunk's content; Hebrew-only sections use the Hebrew
+      const main = segments.some(segment => segment.texts[0]) ? 0 : 1;
+      // Display form: no markup, footnotes or cantillation (see utils/hebrew.js)
+      const textOf = (run, field) => displayForm(run.map(segment => segment.texts[field]).filter(Boolean).join(' '));
+
+      // Sized by what the model reads of each segment: translation and Hebrew
+      const sizes = segments.map(segment => this.estimateTokens(textOf([segment], main))
+        + (main === 0 ? this.estimateTokens(textOf([segment], 1)) : 0));
+      const ranges = this.chunker.groupSegments(sizes);
 
       // Format chunks with metadata
-      for (let i = 0; i < textChunks.length; i++) {
+      for (let i = 0; i < ranges.length; i++) {
+        const [start, end] = ranges[i];
+        const run = segments.slice(start, end);
+        const content = textOf(run, main);
+
         chunks.push({
           id: `${bookName}_s${sectionNumber}_c${i + 1}`,
           book_name: bookName,
           section_number: sectionNumber,
           chunk_number: i + 1,
-          reference: `${baseRef}:${i + 1}`,
+          reference: this.chunker.segmentReference(baseRef, run[0].address, run[run.length - 1].address),
           exact_reference: baseRef,
-          content: textChunks[i].content,
-          hebrew_text: hebrewText,
-          token_count: textChunks[i].tokenCount || this.estimateTokens(textChunks[i].content),
-          chunk_type: 'semantic',
+          content,
+          hebrew_text: textOf(run, 1),
+          // Search forms, indexed for keyword search
+          content_search: searchForm(content),
+          hebrew_search: searchForm(textOf(run, 1)),
+          versions: versions
+            .map((version, v) => ({
+              language: version.language,
+              version_title: version.version_title,
+              license: version.license,
+              version_source: version.version_source,
+              is_default: version.is_default,
+              content: textOf(run, v + 2)
+            }))
+            .filter(version => version.content),
+          // Each segment's Hebrew next to its translations (text_segments)
+          segments: run.map(segment => ({
+            reference: this.chunker.segmentReference(baseRef, segment.address, segment.address),
+            hebrew: textOf([segment], 1) || null,
+            translations: versions
+              .map((version, v) => ({
+                language: version.language,
+                version_title: version.version_title,
+                is_default: version.is_default,
+                content: textOf([segment], v + 2)
+              }))
+              .filter(version => version.language !== 'he' && version.content)
+          })),
+          token_count: this.estimateTokens(content),
+          chunk_type: 'segments',
           metadata: {
             original_ref: section.ref,
             he_ref: section.heRef,
             version_title: section.versionTitle,
             he_version_title: section.heVersionTitle,
-            section_title: section.sectionNames?.[0] || `Section ${sectionNumber}`,
+            // Node titles of complex books ("Orach Chaim, Laws of Morning Conduct", "Introduction")
+            section_title: section.node?.title || section.sectionNames?.[0] || `Section ${sectionNumber}`,
+            he_section_title: section.node?.he_title || null,
+            segment_count: run.length,
             extraction_method: section.extractedFrom || 'unknown'
           },
           created_at: new Date().toISOString()
@@ -242,116 +275,29 @@ class ChunkProcessor {
   }
 
   /**
-   * Chunk direct text (non-section based)
+   * Chunk direct text (non-section based): a single section, or a whole book
+   * whose top-level entries are its sections
    */
   async chunkDirectText(bookName, bookData) {
-    const chunks = [];
-
-    try {
-      const hebrewText = Array.isArray(bookData.he) ? bookData.he.join(' ') : (bookData.he || '');
-      const englishText = Array.isArray(bookData.text) ? bookData.text.join(' ') : (bookData.text || '');
-
-      if (!hebrewText && !englishText) {
-        return chunks;
-      }
-
-      const baseRef = bookData.ref || bookName;
-
-      // Simple chunking approach for now
-      const textChunks = this.simpleChunk(englishText || hebrewText, baseRef);
-
-      // Format chunks
-      for (let i = 0; i < textChunks.length; i++) {
-        chunks.push({
-          id: `${bookName}_c${i + 1}`,
-          book_name: bookName,
-          section_number: 1,
-          chunk_number: i + 1,
-          reference: `${baseRef}:${i + 1}`,
-          exact_reference: baseRef,
-          content: textChunks[i].content,
-          hebrew_text: hebrewText,
-          token_count: textChunks[i].tokenCount || this.estimateTokens(textChunks[i].content),
-          chunk_type: 'semantic',
-          metadata: {
-            original_ref: bookData.ref,
-            he_ref: bookData.heRef,
-            version_title: bookData.versionTitle,
-            he_version_title: bookData.heVersionTitle,
-            extraction_method: bookData.extraction_method || 'unknown'
-          },
-          created_at: new Date().toISOString()
-        });
-      }
-
-    } catch (error) {
-      logger.warn(`Failed to chunk direct text for ${bookName}:`, error.message);
-    }
-
-    return chunks;
-  }
+    const baseRef = bookData.ref || bookName;
+    const nested = [bookData.text, bookData.he].some(text => Array.isArray(text) && text.some(Array.isArray));
+    const section = { ...bookData, ref: baseRef, extractedFrom: bookData.extraction_method };
 
-  /**
-   * Simple chunking method
-   */
-  simpleChunk(text, reference) {
-    logger.info(`simpleChunk called with text: ${typeof text}, length: ${text?.length || 0}`);
-
-    if (!text) {
-      logger.warn('simpleChunk: No text provided');
-      return [];
+    if (!nested) {
+      return this.chunkSection(bookName, section, 1);
     }
 
-    const TARGET_SIZE = 10000; // 10K tokens target
     const chunks = [];
-
-    if (Array.isArray(text)) {
-      logger.info(`simpleChunk: Array input with ${text.length} elements`);
-      // Join array elements
-      text = text.join('\n\n');
-    }
-
-    // Clean up HTML tags
-    text = text.replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, '');
-
-    logger.info(`simpleChunk: After cleanup, text length: ${text.length}`);
-
-    if (text.length <= TARGET_SIZE) {
-      const chunk = {
-        content: text,
-        tokenCount: this.estimateTokens(text),
-        reference: reference
-      };
-      logger.info(`simpleChunk: Single chunk created with ${chunk.tokenCount} tokens`);
-      return [chunk];
-    }
-
-    // Split into chunks
-    const sentences = text.split(/[.!?]\s+/);
-    let currentChunk = '';
-    let chunkIndex = 1;
-
-    for (const sentence of sentences) {
-      if ((currentChunk + sentence).length > TARGET_SIZE && currentChunk.length > 0) {
-        chunks.push({
-          content: currentChunk.trim(),
-          tokenCount: this.estimateTokens(currentChunk),
-          reference: `${reference}:${chunkIndex}`
-        });
-        currentChunk = sentence;
-        chunkIndex++;
-      } else {
-        currentChunk += (currentChunk ? '. ' : '') + sentence;
-      }
-    }
-
-    // Add final chunk
-    if (currentChunk.trim()) {
-      chunks.push({
-        content: currentChunk.trim(),
-        tokenCount: this.estimateTokens(currentChunk),
-        reference: `${reference}:${chunkIndex}`
-      });
+    const count = Math.max(bookData.text?.length || 0, bookData.he?.length || 0);
+
+    for (let i = 0; i < count; i++) {
+      chunks.push(...await this.chunkSection(bookName, {
+        ...section,
+        ref: `${baseRef} ${i + 1}`,
+        text: bookData.text?.[i],
+        he: bookData.he?.[i],
+        versions: undefined
+      }, i + 1));
     }
 
     return chunks;
@@ -362,71 +308,21 @@ class ChunkProcessor {
    */
   estimateTokens(text) {
     if (!text) return 0;
-    // Rough estimation: ~4 characters per token
-    return Math.ceil(text.length / 4);
+    return this.chunker.estimateTokenCount(text);
   }
 
   /**
-   * Save chunks to PostgreSQL database
+   * Save chunks to the configured storage (books + text_chunks in Postgres)
    */
-  async saveChunksToDatabase(bookName, chunks) {
-    if (!this.db || chunks.length === 0) return;
+  async saveChunksToDatabase(bookName, chunks, bookData = {}) {
+    if (!this.storage || chunks.length === 0) return;
 
     try {
-      logger.info(`💾 Saving ${chunks.length} chunks for ${bookName} to database...`);
-
-      // Create table if it doesn't exist
-      await this.db.query(`
-        CREATE TABLE IF NOT EXISTS chunks (
-          id VARCHAR PRIMARY KEY,
-          book_name VARCHAR NOT NULL,
-          section_number INTEGER,
-          chunk_number INTEGER,
-          reference VARCHAR NOT NULL,
-          exact_reference VARCHAR,
-          content TEXT NOT NULL,
-          hebrew_text TEXT,
-          token_count INTEGER,
-          chunk_type VARCHAR DEFAULT 'semantic',
-          metadata JSONB,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Insert chunks in batches
-      const batchSize = 50;
-      for (let i = 0; i < chunks.length; i += batchSize) {
-        const batch = chunks.slice(i, i + batchSize);
-
-        const values = batch.map(chunk => `(
-          '${chunk.id}',
-          '${chunk.book_name}',
-          ${chunk.section_number},
-          ${chunk.chunk_number},
-          '${chunk.reference.replace(/'/g, "''")}',
-          '${chunk.exact_reference.replace(/'/g, "''")}',
-          '${chunk.content.replace(/'/g, "''")}',
-          '${(chunk.hebrew_text || '').replace(/'/g, "''")}',
-          ${chunk.token_count},
-          '${chunk.chunk_type}',
-          '${JSON.stringify(chunk.metadata).replace(/'/g, "''")}',
-          '${chunk.created_at}'
-        )`).join(',');
-
-        await this.db.query(`
-          INSERT INTO chunks (
-            id, book_name, section_number, chunk_number, reference,
-            exact_reference, content, hebrew_text, token_count,
-            chunk_type, metadata, created_at
-          ) VALUES ${values}
-          ON CONFLICT (id) DO UPDATE SET
-            content = EXCLUDED.content,
-            token_count = EXCLUDED.token_count,
-            metadata = EXCLUDED.metadata
-        `);
-      }
+      logger.info(`💾 Saving ${chunks.length} chunks for ${bookName} to ${this.storage.name} storage...`);
 
-      logger.info(`✅ Saved ${chunks.length} chunks for ${bookName} to database`);
+      await this.storage.saveChunks(bookName, chunks, bookData);
+
+      logger.info(`✅ Saved ${chunks.length} chunks for ${bookName} to ${this.storage.name} storage`);
 
     } catch (error) {
       logger.error(`Failed to save chunks to database for ${bookName}:`, error.message);
@@ -482,12 +378,32 @@ class ChunkProcessor {
    * Clean up resources
    */
   async cleanup() {
-    if (this.db) {
-      await this.db.end();
+    if (this.storage) {
+      await this.storage.close();
     }
   }
 }
 
+/**
+ * Versions of a section as saved by the extractor, or its default English and
+ * Hebrew when the raw data predates versions
+ */
+function sectionVersions(section) {
+  const versions = section.versions || [
+    { language: 'en', version_title: section.versionTitle, license: section.license, version_source: section.versionSource, is_default: true, text: section.text },
+    { language: 'he', version_title: section.heVersionTitle, license: section.heLicense, version_source: section.heVersionSource, is_default: true, text: section.he }
+  ];
+
+  return versions
+    .map(version => ({
+      ...version,
+      version_title: version.version_title || `Default (${version.language})`,
+      license: version.license || null,
+      version_source: version.version_source || null
+    }))
+    .filter(version => textSegments(version.text).length > 0);
+}
+
 /**
  * Main execution
  */
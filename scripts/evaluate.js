@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { logger } from '../src/utils/logger.js';
+import { initializeDatabase, closeConnections } from '../src/services/database.js';
+import { QuestionAnsweringService } from '../src/services/question-answering.js';
+import { QueryTrace } from '../src/services/query-traces.js';
+import { getFusionConfig } from '../src/services/fusion.js';
+import { getRerankConfig } from '../src/services/reranker.js';
+import { normalizeReference } from '../src/utils/references.js';
+import {
+  DEFAULT_KS,
+  loadDataset,
+  retrievalMetrics,
+  citationPrecision,
+  summarizeRun,
+  compareToBaseline
+} from '../src/services/evaluation.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: node scripts/evaluate.js [options]
+
+Runs the golden questions through the /ask pipeline (nothing is recorded)
+and reports recall@k, MRR, citation precision and answer faithfulness.
+
+Options:
+  --dataset <path>     Questions with expected references (default: test/eval/golden-questions.json)
+  --baseline <path>    Run to compare against (default: test/eval/baseline.json)
+  --save-baseline      Write this run as the new baseline
+  --output <path>      Write the full run (retrieved and cited references per question)
+  --k <list>           Cutoffs for recall, e.g. 1,3,5,10 (default)
+  --retrieval-only     Skip answer generation: no citation or faithfulness metrics
+  --tolerance <n>      Drop in a metric that counts as a regression (default: 0.02)
+
+Exits with status 1 when a summary metric regressed against the baseline.`;
+
+function parseArgs(argv) {
+  const options = {
+    dataset: 'test/eval/golden-questions.json',
+    baseline: 'test/eval/baseline.json',
+    saveBaseline: false,
+    output: null,
+    ks: DEFAULT_KS,
+    retrievalOnly: false,
+    tolerance: 0.02
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--dataset': options.dataset = argv[++i]; break;
+      case '--baseline': options.baseline = argv[++i]; break;
+      case '--save-baseline': options.saveBaseline = true; break;
+      case '--output': options.output = argv[++i]; break;
+      case '--k': options.ks = argv[++i].split(',').map(k => parseInt(k)).filter(k => k > 0); break;
+      case '--retrieval-only': options.retrievalOnly = true; break;
+      case '--tolerance': options.tolerance = parseFloat(argv[++i]); break;
+      default:
+        return null;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Run one question and score it
+ */
+async function evaluateQuestion(qa, entry, options) {
+  const trace = new QueryTrace(entry.question);
+  // A fresh conversation per question, never persisted
+  const conversation = { id: null, turns: [] };
+  let result = null;
+  let error = null;
+
+  try {
+    if (options.retrievalOnly) {
+      const queryAnalysis = await qa.openrouter.analyzeQuery(entry.question);
+      await qa.retrieve(entry.question, queryAnalysis, conversation, {}, trace);
+    } else {
+      result = await qa.answer(
+        { question: entry.question, format: entry.format || 'text' },
+        conversation,
+        { record: false, trace }
+      );
+    }
+  } catch (err) {
+    error = err.message;
+    logger.error(`❌ ${entry.id}: ${err.message}`);
+  }
+
+  const retrieved = trace.selected.map(chunk => normalizeReference(chunk.reference) || chunk.reference);
+  const cited = (result?.sources || []).map(citation => citation.reference);
+
+  return {
+    id: entry.id,
+    question: entry.question,
+    expected: entry.expected_references,
+    retrieved,
+    cited,
+    metrics: {
+      ...retrievalMetrics(retrieved, entry.expected_references, options.ks),
+      ...(options.retrievalOnly ? {} : {
+        citation_precision: citationPrecision(cited, entry.expected_references),
+        faithfulness: result?.verification?.summary.support_rate ?? null
+      })
+    },
+    latency_ms: Date.now() - trace.startedAt,
+    error
+  };
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(3);
+}
+
+function printReport(run, comparison) {
+  const names = Object.keys(run.summary);
+  const row = (label, values) => `${label.padEnd(20)} ${values.map((value, i) => value.padStart(Math.max(names[i].length, 6))).join('  ')}`;
+
+  logger.info(`\n📋 ${run.dataset.name} v${run.dataset.version} (${run.questions.length} questions)`);
+  logger.info(row('question', names));
+
+  for (const result of run.questions) {
+    logger.info(row(result.id, names.map(name => formatMetric(result.metrics[name]))) + (result.error ? ' ❌' : ''));
+  }
+
+  logger.info(row('mean', names.map(name => formatMetric(run.summary[name]))));
+
+  if (!comparison) return;
+
+  logger.info(`\n📈 Against baseline from ${comparison.baselineCreatedAt}:`);
+  if (comparison.datasetChanged) {
+    logger.warn('⚠️ Dataset version differs from the baseline; deltas may not be comparable');
+  }
+
+  for (const metric of comparison.metrics) {
+    const delta = metric.delta === null ? 'n/a' : `${metric.delta >= 0 ? '+' : ''}${metric.delta.toFixed(3)}`;
+    logger.info(`${metric.regressed ? '🔻' : metric.delta > 0 ? '🔺' : '  '} ${metric.name.padEnd(20)} ${formatMetric(metric.before).padStart(6)} → ${formatMetric(metric.after).padStart(6)} (${delta})`);
+  }
+
+  for (const question of comparison.questions) {
+    const changes = question.changes.map(change => `${change.name} ${change.before} → ${change.after}`).join(', ');
+    logger.info(`${question.regressed ? '🔻' : '🔺'} ${question.id}: ${changes}`);
+  }
+}
+
+async function readBaseline(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const dataset = await loadDataset(options.dataset);
+    await initializeDatabase();
+
+    const qa = new QuestionAnsweringService();
+    await qa.init();
+
+    logger.info(`🧪 Evaluating ${dataset.questions.length} questions (${options.retrievalOnly ? 'retrieval only' : 'full pipeline'})`);
+
+    const questions = [];
+    for (const entry of dataset.questions) {
+      questions.push(await evaluateQuestion(qa, entry, options));
+    }
+
+    const run = {
+      dataset: { name: dataset.name, version: dataset.version, path: options.dataset },
+      created_at: new Date().toISOString(),
+      config: {
+        mode: options.retrievalOnly ? 'retrieval' : 'full',
+        ks: options.ks,
+        models: qa.openrouter.models,
+        provider: qa.openrouter.provider.name,
+        fusion: getFusionConfig(),
+        rerank: getRerankConfig()
+      },
+      summary: summarizeRun(questions),
+      errors: questions.filter(result => result.error).length,
+      questions
+    };
+
+    const baseline = await readBaseline(options.baseline);
+    const comparison = baseline
+      ? { ...compareToBaseline(run, baseline, options.tolerance), baselineCreatedAt: baseline.created_at }
+      : null;
+
+    printReport(run, comparison);
+
+    if (!baseline) {
+      logger.info(`\nℹ️ No baseline at ${options.baseline}; run with --save-baseline to create one`);
+    }
+
+    if (options.output) {
+      await fs.writeFile(options.output, JSON.stringify(run, null, 2));
+      logger.info(`💾 Run written to ${options.output}`);
+    }
+
+    if (options.saveBaseline) {
+      await fs.writeFile(options.baseline, JSON.stringify(run, null, 2));
+      logger.info(`💾 Baseline saved to ${options.baseline}`);
+    }
+
+    if (comparison?.regressed && !options.saveBaseline) {
+      logger.error('🔻 Regression against the baseline');
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('💥 Evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeConnections();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
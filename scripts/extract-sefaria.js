@@ -1,8 +1,10 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { logger } from '../src/utils/logger.js';
+import { schemaLeaves, refToUrlPath, nextSectionInLeaf } from '../src/utils/sefaria-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,12 +31,28 @@ const BRESLOV_BOOKS = [
 ];
 
 class SefariaExtractor {
-  constructor() {
-    this.baseUrl = 'https://www.sefaria.org/api';
-    this.rateLimit = 300; // ms between requests
-    this.outputDir = path.join(__dirname, '../data/raw');
+  /**
+   * `http` is anything with axios' get(url, config); tests pass a client
+   * serving the fixture corpus (test/fixtures/sefaria).
+   * `force` ignores checkpoints, ETags and hashes and downloads everything.
+   * `languages` selects the text versions fetched section by section besides
+   * the defaults (Hebrew original, English translations, French).
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || 'https://www.sefaria.org/api';
+    this.rateLimit = options.rateLimit ?? 300; // ms between requests
+    this.bookPause = options.bookPause ?? 1000; // ms between books
+    this.retries = options.retries ?? 3; // per request, on network errors, 429 and 5xx
+    this.retryDelay = options.retryDelay ?? 1000; // doubled on each retry
+    this.force = options.force || false;
+    this.outputDir = options.outputDir || path.join(__dirname, '../data/raw');
+    this.checkpointDir = path.join(this.outputDir, '.checkpoints');
+    this.books = options.books || BRESLOV_BOOKS;
+    this.languages = options.languages || ['he', 'en', 'fr'];
+    this.http = options.http || axios;
     this.results = {
       extracted: [],
+      unchanged: [],
       failed: [],
       methods_used: {}
     };
@@ -42,40 +60,92 @@ class SefariaExtractor {
 
   async init() {
     // Ensure output directory exists
-    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.mkdir(this.checkpointDir, { recursive: true });
     logger.info('🔍 Starting Sefaria extraction for Rabbi Nachman corpus');
   }
 
   /**
-   * Multi-method extraction approach for maximum reliability
+   * Multi-method extraction approach for maximum reliability.
+   * There is no whole-book request: Sefaria answers a book-level ref with its
+   * first section only, so books are walked section by section through their
+   * index schema, with HTML parsing as the last resort. A book's checkpoint
+   * remembers the method that worked, so it is tried first; an interrupted
+   * section-by-section run resumes where it stopped, and a book whose texts
+   * did not change since the last run is not rewritten.
    */
   async extractBook(bookName) {
+    const checkpoint = await this.loadCheckpoint(bookName);
+    const hasRawFile = await fileExists(this.rawDataPath(bookName));
+    // Cached ETags and hashes only mean "unchanged" when the output is still there
+    const useCache = hasRawFile && !this.force;
+
+    if (checkpoint.status === 'in_progress') {
+      const done = Object.keys(checkpoint.sections).length;
+      logger.info(`⏯️ Resuming ${bookName} via ${checkpoint.method} (${done}/${checkpoint.total_sections || '?'} sections done)`);
+    } else {
+      Object.assign(checkpoint, { status: 'in_progress', started_at: new Date().toISOString(), changes: 0 });
+    }
+
     const methods = [
-      { name: 'API_v3', fn: () => this.tryAPIv3(bookName) },
-      { name: 'API_v2', fn: () => this.tryAPIv2(bookName) },
-      { name: 'Section_by_Section', fn: () => this.trySectionBySection(bookName) },
+      { name: 'Section_by_Section', fn: () => this.trySectionBySection(bookName, checkpoint, useCache) },
       { name: 'HTML_Parsing', fn: () => this.tryHTMLParsing(bookName) }
-    ];
+    ].sort((a, b) => (b.name === checkpoint.method) - (a.name === checkpoint.method));
 
     for (const method of methods) {
       logger.info(`📖 Extracting ${bookName} via ${method.name}`);
 
+      let extraction;
       try {
-        const result = await method.fn();
+        extraction = await method.fn();
+      } catch (error) {
+        logger.warn(`${method.name} failed for ${bookName}:`, error.message);
 
-        if (this.validateResult(result)) {
-          logger.info(`✅ Success with ${method.name} for ${bookName}`);
+        // Rate limiting between attempts
+        await this.sleep(this.rateLimit);
+        continue;
+      }
 
-          // Save raw data
-          await this.saveRawData(bookName, result, method.name);
+      const { data, unchanged = false, incomplete = false } = extraction;
 
-          this.results.extracted.push(bookName);
-          this.results.methods_used[bookName] = method.name;
+      if (incomplete) {
+        // Fetched sections are kept: the next run only requests the missing ones
+        await this.saveCheckpoint(checkpoint);
 
-          return result;
-        }
-      } catch (error) {
-        logger.warn(`${method.name} failed for ${bookName}:`, error.message);
+        this.results.failed.push({
+          book: bookName,
+          error: `Sections ${checkpoint.failed_sections.join(', ')} failed; re-run to resume`,
+          resumable: true,
+          attempted_at: new Date().toISOString()
+        });
+
+        throw new Error(`${bookName} incomplete (sections ${checkpoint.failed_sections.join(', ')} failed), re-run to resume`);
+      }
+
+      if (unchanged && useCache) {
+        logger.info(`⏭️ ${bookName} unchanged since the last extraction`);
+
+        Object.assign(checkpoint, { method: method.name, status: 'complete' });
+        await this.saveCheckpoint(checkpoint);
+
+        this.results.unchanged.push(bookName);
+        this.results.methods_used[bookName] = method.name;
+
+        return null;
+      }
+
+      if (this.validateResult(data)) {
+        logger.info(`✅ Success with ${method.name} for ${bookName}`);
+
+        // Save raw data
+        await this.saveRawData(bookName, data, method.name);
+
+        Object.assign(checkpoint, { method: method.name, status: 'complete' });
+        await this.saveCheckpoint(checkpoint);
+
+        this.results.extracted.push(bookName);
+        this.results.methods_used[bookName] = method.name;
+
+        return data;
       }
 
       // Rate limiting between attempts
@@ -93,97 +163,282 @@ class SefariaExtractor {
   }
 
   /**
-   * Try Sefaria API v3 (most modern)
+   * Extract section by section, walking every leaf of the index schema
+   * (introductions, the nodes of complex books like Likutei Halachot) by its
+   * full ref. Every section is saved to the book's checkpoint as it arrives;
+   * sections fetched earlier in the same run (before an interruption) are not
+   * requested again, and the others are revalidated with their ETag.
    */
-  async tryAPIv3(bookName) {
-    const url = `${this.baseUrl}/v3/texts/${bookName}?context=1&commentary=0`;
-    const response = await axios.get(url, { timeout: 10000 });
-
-    if (response.status === 200 && response.data) {
-      return {
-        ...response.data,
-        extraction_method: 'API_v3',
-        timestamp: new Date().toISOString()
-      };
+  async trySectionBySection(bookName, checkpoint, useCache) {
+    logger.info(`📑 Attempting section-by-section extraction for ${bookName}`);
+
+    const hasIndex = checkpoint.method === 'Section_by_Section'
+      && await fileExists(this.checkpointPath(bookName, 'index.json'));
+
+    // First get the index (kept from the interrupted run when resuming)
+    let index;
+    if (hasIndex && checkpoint.index?.fetched_at >= checkpoint.started_at) {
+      index = await this.readCheckpointFile(bookName, 'index.json');
+    } else {
+      const indexResponse = await this.request(`${this.baseUrl}/index/${bookName}`, {
+        timeout: 10000,
+        etag: hasIndex && useCache ? checkpoint.index?.etag : null
+      });
+
+      if (indexResponse.status === 304) {
+        index = await this.readCheckpointFile(bookName, 'index.json');
+        checkpoint.index.fetched_at = new Date().toISOString();
+      } else {
+        index = indexResponse.data;
+
+        if (!index || !index.schema) {
+          throw new Error('No index data available');
+        }
+
+        const hash = hashContent(index);
+        if (checkpoint.index?.hash !== hash) checkpoint.changes++;
+
+        await this.writeCheckpointFile(bookName, 'index.json', index);
+        checkpoint.index = { etag: indexResponse.etag, hash, fetched_at: new Date().toISOString() };
+      }
+    }
+
+    if (checkpoint.method !== 'Section_by_Section') {
+      Object.assign(checkpoint, { method: 'Section_by_Section', sections: {} });
     }
 
-    throw new Error('API v3 returned invalid data');
+    const leaves = schemaLeaves(index);
+    const catalog = await this.fetchVersionCatalog(bookName);
+    checkpoint.failed_sections = [];
+
+    logger.info(`📊 Found ${leaves.length} text node(s) and ${catalog.length} version(s) in ${bookName}`);
+
+    // Section refs in reading order, with the leaf they belong to
+    const order = [];
+
+    for (const leaf of leaves) {
+      // Depth 1 nodes (an introduction) are a single list of paragraphs
+      if (leaf.depth <= 1) {
+        order.push({ ref: leaf.ref, leaf });
+        await this.fetchSectionVersions(bookName, checkpoint, useCache, leaf.ref, refToUrlPath(leaf.ref), catalog);
+        continue;
+      }
+
+      // Without lengths in the index, follow the `next` links until the leaf ends
+      const total = leaf.lengths?.[0];
+      let section = 1;
+
+      while (section) {
+        const ref = `${leaf.ref} ${section}`;
+        order.push({ ref, leaf });
+
+        const data = await this.fetchSectionVersions(bookName, checkpoint, useCache, ref, refToUrlPath(leaf.ref, section), catalog);
+        section = total ? (section < total ? section + 1 : null) : nextSectionInLeaf(leaf, data?.next);
+
+        if (order.length % 10 === 0) {
+          logger.info(`📝 Extracted ${order.length} sections of ${bookName}`);
+        }
+      }
+    }
+
+    checkpoint.total_sections = order.length;
+
+    if (checkpoint.failed_sections.length > 0) {
+      return { data: null, incomplete: true };
+    }
+
+    // Sections (and versions) dropped from the index
+    const keys = new Set(order.flatMap(({ ref }) => [ref, ...catalog.map(version => versionKey(ref, version))]));
+    for (const key of Object.keys(checkpoint.sections)) {
+      if (!keys.has(key)) delete checkpoint.sections[key];
+    }
+
+    const sections = [];
+    for (const { ref, leaf } of order) {
+      if (checkpoint.sections[ref]?.missing) continue;
+
+      const data = await this.readCheckpointFile(bookName, sectionFile(ref));
+
+      sections.push({
+        section: sections.length + 1,
+        node: { ref: leaf.ref, he_ref: leaf.he_ref, title: leaf.title, he_title: leaf.he_title },
+        ...data,
+        versions: await this.readSectionVersions(bookName, checkpoint, ref, data, catalog)
+      });
+    }
+
+    if (sections.length === 0) {
+      throw new Error('No sections extracted');
+    }
+
+    return {
+      data: {
+        ref: bookName,
+        index: index,
+        sections: sections,
+        total_sections: sections.length,
+        extraction_method: 'Section_by_Section',
+        timestamp: new Date().toISOString()
+      },
+      unchanged: checkpoint.changes === 0
+    };
   }
 
   /**
-   * Try Sefaria API v2 (legacy but stable)
+   * Versions of the book available on Sefaria in the selected languages
+   * (`actualLanguage` tells a French translation from an English one; both
+   * are served in the `text` slot). Without a catalog only the defaults are kept.
    */
-  async tryAPIv2(bookName) {
-    const url = `${this.baseUrl}/texts/${bookName}?context=1&commentary=0`;
-    const response = await axios.get(url, { timeout: 10000 });
-
-    if (response.status === 200 && response.data) {
-      return {
-        ...response.data,
-        extraction_method: 'API_v2',
-        timestamp: new Date().toISOString()
-      };
+  async fetchVersionCatalog(bookName) {
+    try {
+      const response = await this.request(`${this.baseUrl}/texts/versions/${bookName}`, { timeout: 10000 });
+
+      return (Array.isArray(response.data) ? response.data : [])
+        .map(version => ({
+          versionTitle: version.versionTitle,
+          language: version.language,
+          actualLanguage: version.actualLanguage || version.language,
+          license: version.license || null,
+          versionSource: version.versionSource || null
+        }))
+        .filter(version => version.versionTitle && this.languages.includes(version.actualLanguage));
+
+    } catch (error) {
+      logger.warn(`No version list for ${bookName}, keeping the default versions:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch a section in its default versions, then in every other version of
+   * the catalog (`ven`/`vhe`), each with its own checkpoint entry
+   */
+  async fetchSectionVersions(bookName, checkpoint, useCache, ref, urlPath, catalog) {
+    const data = await this.fetchSection(bookName, checkpoint, useCache, ref, urlPath);
+    if (!data) return null;
+
+    for (const version of catalog) {
+      if (isDefaultVersion(data, version)) continue;
+
+      const param = version.language === 'he' ? 'vhe' : 'ven';
+      await this.fetchSection(bookName, checkpoint, useCache, versionKey(ref, version), `${urlPath}?${param}=${encodeURIComponent(version.versionTitle)}`);
     }
 
-    throw new Error('API v2 returned invalid data');
+    return data;
   }
 
   /**
-   * Extract section by section for large texts
+   * Every version of a section with text: the defaults from the section
+   * itself, the others from their checkpoint files
    */
-  async trySectionBySection(bookName) {
-    logger.info(`📑 Attempting section-by-section extraction for ${bookName}`);
+  async readSectionVersions(bookName, checkpoint, ref, data, catalog) {
+    const languageOf = title => catalog.find(version => version.versionTitle === title)?.actualLanguage;
+    const versions = [];
+
+    if (hasText(data.text)) {
+      versions.push({
+        language: languageOf(data.versionTitle) || 'en',
+        version_title: data.versionTitle || null,
+        license: data.license || null,
+        version_source: data.versionSource || null,
+        is_default: true,
+        text: data.text
+      });
+    }
 
-    // First get the index
-    const indexUrl = `${this.baseUrl}/index/${bookName}`;
-    const indexResponse = await axios.get(indexUrl);
+    if (hasText(data.he)) {
+      versions.push({
+        language: 'he',
+        version_title: data.heVersionTitle || null,
+        license: data.heLicense || null,
+        version_source: data.heVersionSource || null,
+        is_default: true,
+        text: data.he
+      });
+    }
 
-    if (!indexResponse.data || !indexResponse.data.schema) {
-      throw new Error('No index data available');
+    for (const version of catalog) {
+      const key = versionKey(ref, version);
+      if (isDefaultVersion(data, version) || !checkpoint.sections[key] || checkpoint.sections[key].missing) continue;
+
+      const versionData = await this.readCheckpointFile(bookName, sectionFile(key));
+      const hebrew = version.language === 'he';
+      const text = hebrew ? versionData.he : versionData.text;
+
+      // Sefaria answers a version lacking this section with empty text
+      if (!hasText(text)) continue;
+
+      versions.push({
+        language: version.actualLanguage,
+        version_title: version.versionTitle,
+        license: (hebrew ? versionData.heLicense : versionData.license) || version.license,
+        version_source: (hebrew ? versionData.heVersionSource : versionData.versionSource) || version.versionSource,
+        is_default: false,
+        text
+      });
     }
 
-    const index = indexResponse.data;
-    const sections = [];
-    const maxSections = index.schema.lengths ? index.schema.lengths[0] : 50;
+    return versions;
+  }
 
-    logger.info(`📊 Found ${maxSections} sections in ${bookName}`);
+  /**
+   * Fetch one section (or depth 1 node) into the checkpoint. Returns its
+   * content, or null when it is missing on Sefaria or failed (recorded in
+   * checkpoint.failed_sections).
+   */
+  async fetchSection(bookName, checkpoint, useCache, ref, urlPath) {
+    const entry = checkpoint.sections[ref];
+    const file = sectionFile(ref);
 
-    for (let i = 1; i <= Math.min(maxSections, 100); i++) {
-      try {
-        const sectionUrl = `${this.baseUrl}/texts/${bookName}.${i}`;
-        const sectionResponse = await axios.get(sectionUrl, { timeout: 5000 });
+    // Already fetched in this run, before an interruption
+    if (entry && entry.fetched_at >= checkpoint.started_at) {
+      return entry.missing ? null : this.readCheckpointFile(bookName, file);
+    }
 
-        if (sectionResponse.status === 200 && sectionResponse.data) {
-          sections.push({
-            section: i,
-            ...sectionResponse.data
-          });
+    try {
+      const response = await this.request(`${this.baseUrl}/texts/${urlPath}`, {
+        timeout: 5000,
+        etag: useCache && !entry?.missing ? entry?.etag : null
+      });
 
-          if (i % 10 === 0) {
-            logger.info(`📝 Extracted ${i}/${maxSections} sections of ${bookName}`);
-          }
-        }
+      if (response.status === 304) {
+        entry.fetched_at = new Date().toISOString();
+        return await this.readCheckpointFile(bookName, file);
+      }
 
-        // Rate limiting
-        await this.sleep(this.rateLimit);
+      // Sefaria answers some unknown refs with 200 and an error message
+      if (response.data?.error) {
+        throw Object.assign(new Error(response.data.error), { response: { status: 404 } });
+      }
 
-      } catch (error) {
-        logger.warn(`Section ${i} failed for ${bookName}:`, error.message);
+      if (!response.data) return null;
+
+      const hash = hashContent(response.data);
+      if (!useCache || entry?.hash !== hash) checkpoint.changes++;
+
+      await this.writeCheckpointFile(bookName, file, response.data);
+      checkpoint.sections[ref] = { etag: response.etag, hash, fetched_at: new Date().toISOString() };
+
+      return response.data;
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Sections missing on Sefaria are skipped, not retried on resume
+        if (!entry?.missing) checkpoint.changes++;
+        checkpoint.sections[ref] = { missing: true, fetched_at: new Date().toISOString() };
+      } else {
+        logger.warn(`${ref} failed for ${bookName}:`, error.message);
+        checkpoint.failed_sections.push(ref);
       }
-    }
 
-    if (sections.length === 0) {
-      throw new Error('No sections extracted');
-    }
+      return null;
 
-    return {
-      ref: bookName,
-      index: index,
-      sections: sections,
-      total_sections: sections.length,
-      extraction_method: 'Section_by_Section',
-      timestamp: new Date().toISOString()
-    };
+    } finally {
+      await this.saveCheckpoint(checkpoint);
+
+      // Rate limiting
+      await this.sleep(this.rateLimit);
+    }
   }
 
   /**
@@ -191,7 +446,7 @@ class SefariaExtractor {
    */
   async tryHTMLParsing(bookName) {
     const url = `https://www.sefaria.org/${bookName}`;
-    const response = await axios.get(url, {
+    const response = await this.http.get(url, {
       headers: {
         'User-Agent': 'RabbiNachmanBot/1.0 Educational Research'
       }
@@ -210,9 +465,11 @@ class SefariaExtractor {
       try {
         const jsonData = JSON.parse(jsonLdMatch[1]);
         return {
-          ...jsonData,
-          extraction_method: 'HTML_Parsing',
-          timestamp: new Date().toISOString()
+          data: {
+            ...jsonData,
+            extraction_method: 'HTML_Parsing',
+            timestamp: new Date().toISOString()
+          }
         };
       } catch (e) {
         // Continue to basic HTML parsing
@@ -231,11 +488,13 @@ class SefariaExtractor {
     }
 
     return {
-      ref: bookName,
-      he: hebrewTexts,
-      text: englishTexts,
-      extraction_method: 'HTML_Parsing',
-      timestamp: new Date().toISOString()
+      data: {
+        ref: bookName,
+        he: hebrewTexts,
+        text: englishTexts,
+        extraction_method: 'HTML_Parsing',
+        timestamp: new Date().toISOString()
+      }
     };
   }
 
@@ -254,11 +513,11 @@ class SefariaExtractor {
   }
 
   /**
-   * Save raw extracted data
+   * Save raw extracted data to <book>.json, replacing the timestamped files
+   * earlier versions wrote for every run
    */
   async saveRawData(bookName, data, method) {
-    const filename = `${bookName}_${method}_${Date.now()}.json`;
-    const filepath = path.join(this.outputDir, filename);
+    const filepath = this.rawDataPath(bookName);
 
     const saveData = {
       book: bookName,
@@ -268,7 +527,89 @@ class SefariaExtractor {
     };
 
     await fs.writeFile(filepath, JSON.stringify(saveData, null, 2));
-    logger.info(`💾 Saved ${bookName} data to ${filename}`);
+    logger.info(`💾 Saved ${bookName} data to ${path.basename(filepath)}`);
+
+    const legacyFile = new RegExp(`^${bookName}_(API_v3|API_v2|Section_by_Section|HTML_Parsing)_\\d+\\.json$`);
+    for (const file of await fs.readdir(this.outputDir)) {
+      if (legacyFile.test(file)) {
+        await fs.unlink(path.join(this.outputDir, file));
+        logger.info(`🧹 Removed ${file}`);
+      }
+    }
+  }
+
+  rawDataPath(bookName) {
+    return path.join(this.outputDir, `${bookName}.json`);
+  }
+
+  /**
+   * Checkpoints live in <outputDir>/.checkpoints/<book>/: checkpoint.json
+   * (method, status, ETags and hashes) plus the index and every fetched section
+   */
+  checkpointPath(bookName, file = 'checkpoint.json') {
+    return path.join(this.checkpointDir, bookName, file);
+  }
+
+  async loadCheckpoint(bookName) {
+    const empty = { book: bookName, method: null, status: null, sections: {}, failed_sections: [] };
+    if (this.force) return empty;
+
+    try {
+      return { ...empty, ...JSON.parse(await fs.readFile(this.checkpointPath(bookName), 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty;
+      logger.warn(`Unreadable checkpoint for ${bookName}, starting over:`, error.message);
+      return empty;
+    }
+  }
+
+  async saveCheckpoint(checkpoint) {
+    await this.writeCheckpointFile(checkpoint.book, 'checkpoint.json', {
+      ...checkpoint,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async readCheckpointFile(bookName, file) {
+    return JSON.parse(await fs.readFile(this.checkpointPath(bookName, file), 'utf8'));
+  }
+
+  /**
+   * Write through a temporary file so an interruption never leaves half a file
+   */
+  async writeCheckpointFile(bookName, file, data) {
+    const filepath = this.checkpointPath(bookName, file);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(`${filepath}.tmp`, JSON.stringify(data));
+    await fs.rename(`${filepath}.tmp`, filepath);
+  }
+
+  /**
+   * GET with retries on network errors, 429 and 5xx (exponential backoff).
+   * With an ETag, a 304 response means the cached copy is current.
+   */
+  async request(url, { timeout = 10000, etag = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.get(url, {
+          timeout,
+          headers: etag ? { 'If-None-Match': etag } : {},
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        return { status: response.status, data: response.data, etag: response.headers?.etag || null };
+
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt >= this.retries) throw error;
+
+        const delay = this.retryDelay * 2 ** attempt;
+        logger.warn(`Request failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms: ${url}`);
+        await this.sleep(delay);
+      }
+    }
   }
 
   /**
@@ -277,13 +618,13 @@ class SefariaExtractor {
   async extractAll() {
     await this.init();
 
-    for (const bookName of BRESLOV_BOOKS) {
+    for (const bookName of this.books) {
       try {
         logger.info(`🔄 Processing ${bookName}...`);
         await this.extractBook(bookName);
 
         // Longer pause between books
-        await this.sleep(1000);
+        await this.sleep(this.bookPause);
 
       } catch (error) {
         logger.error(`❌ Failed to extract ${bookName}:`, error.message);
@@ -303,16 +644,22 @@ class SefariaExtractor {
     const summaryPath = path.join(this.outputDir, 'extraction_summary.json');
     const summary = {
       ...this.results,
-      total_books: BRESLOV_BOOKS.length,
-      success_rate: this.results.extracted.length / BRESLOV_BOOKS.length,
+      total_books: this.books.length,
+      success_rate: (this.results.extracted.length + this.results.unchanged.length) / this.books.length,
       completed_at: new Date().toISOString()
     };
 
     await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
 
     logger.info('📊 Extraction Summary:');
-    logger.info(`✅ Extracted: ${this.results.extracted.length}/${BRESLOV_BOOKS.length} books`);
+    logger.info(`✅ Extracted: ${this.results.extracted.length}/${this.books.length} books`);
+    logger.info(`⏭️ Unchanged: ${this.results.unchanged.length} books`);
     logger.info(`❌ Failed: ${this.results.failed.length} books`);
+
+    const resumable = this.results.failed.filter(failure => failure.resumable);
+    if (resumable.length > 0) {
+      logger.info(`⏯️ ${resumable.map(failure => failure.book).join(', ')} can be resumed: run the extraction again`);
+    }
     logger.info(`📈 Success rate: ${(summary.success_rate * 100).toFixed(1)}%`);
   }
 
@@ -324,14 +671,94 @@ class SefariaExtractor {
   }
 }
 
+/**
+ * Hash of a response body, to tell changed texts from unchanged ones
+ */
+function hashContent(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Checkpoint key of a section in a non-default version
+ */
+function versionKey(ref, version) {
+  return `${ref} | ${version.versionTitle}`;
+}
+
+/**
+ * Whether a section response already is this version (the defaults come with every section)
+ */
+function isDefaultVersion(data, version) {
+  return version.versionTitle === (version.language === 'he' ? data.heVersionTitle : data.versionTitle);
+}
+
+function hasText(text) {
+  return Array.isArray(text) ? text.flat(Infinity).some(Boolean) : Boolean(text);
+}
+
+/**
+ * Checkpoint file of a section, named after its ref
+ */
+function sectionFile(ref) {
+  return path.join('sections', `${ref.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+async function fileExists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const USAGE = `Usage: node scripts/extract-sefaria.js [options]
+
+Downloads the Breslov books from Sefaria into data/raw/<book>.json, every section
+in each available version (Hebrew, English and French translations). Progress is
+checkpointed in data/raw/.checkpoints: an interrupted run resumes where it
+stopped, and books unchanged since the last run (same ETag or content) are skipped.
+
+Options:
+  --book <name>          Only this book (repeatable), e.g. --book Likutei_Halachot
+  --languages <list>     Text versions to keep, e.g. he,en (default: he,en,fr)
+  --force                Ignore checkpoints and download everything again`;
+
+function parseArgs(argv) {
+  const options = { books: [], languages: null, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--book': options.books.push(argv[++i]); break;
+      case '--languages': options.languages = argv[++i].split(',').map(language => language.trim()); break;
+      case '--force': options.force = true; break;
+      default:
+        return null;
+    }
+  }
+
+  return options;
+}
+
 // Main execution
 async function main() {
-  const extractor = new SefariaExtractor();
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const extractor = new SefariaExtractor({
+    books: options.books.length > 0 ? options.books : undefined,
+    languages: options.languages || undefined,
+    force: options.force
+  });
 
   try {
     const results = await extractor.extractAll();
 
-    if (results.extracted.length === 0) {
+    if (results.extracted.length === 0 && results.unchanged.length === 0) {
       logger.error('❌ No books extracted successfully');
       process.exit(1);
     }
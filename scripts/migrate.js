@@ -0,0 +1,170 @@
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { logger } from '../src/utils/logger.js';
+import {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus
+} from '../src/services/migrations.js';
+import { normalizeStoredReferences } from '../src/services/reference-normalization.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: node scripts/migrate.js <command>
+
+Commands:
+  up [version]                 Apply pending migrations (up to version)
+  down [steps]                 Revert the last N migrations (default 1)
+  status                       Show applied and pending migrations
+  import-legacy [--drop-legacy]
+                               Copy rows from the legacy "chunks" table into
+                               books/text_chunks, optionally dropping it after`;
+
+/**
+ * Copy the legacy chunks table (written by older chunk-processor runs)
+ * into the canonical books + text_chunks schema. Safe to run repeatedly:
+ * chunk ids are derived from the legacy ids and rows are upserted.
+ */
+async function importLegacyChunks(client, { dropLegacy = false } = {}) {
+  const exists = await client.query("SELECT to_regclass('public.chunks') IS NOT NULL AS exists");
+
+  if (!exists.rows[0].exists) {
+    logger.info('No legacy "chunks" table found, nothing to import');
+    return { books: 0, chunks: 0 };
+  }
+
+  await client.query('BEGIN');
+
+  try {
+    const books = await client.query(`
+      INSERT INTO books (title, hebrew_title, sefaria_ref, category, metadata)
+      SELECT DISTINCT ON (book_name)
+        replace(book_name, '_', ' '),
+        NULLIF(split_part(metadata->>'he_ref', ' ', 1), ''),
+        book_name,
+        'Breslov',
+        jsonb_build_object('imported_from', 'chunks')
+      FROM chunks
+      ORDER BY book_name, section_number
+      ON CONFLICT (sefaria_ref) DO NOTHING
+    `);
+
+    const chunks = await client.query(`
+      INSERT INTO text_chunks (
+        id, book_id, chunk_index, content, hebrew_text, exact_reference,
+        section_title, paragraph_number, token_count, metadata
+      )
+      SELECT
+        md5(c.id)::uuid,
+        b.id,
+        ROW_NUMBER() OVER (
+          PARTITION BY c.book_name ORDER BY c.section_number, c.chunk_number
+        ) - 1,
+        c.content,
+        NULLIF(c.hebrew_text, ''),
+        c.reference,
+        c.metadata->>'section_title',
+        c.section_number,
+        c.token_count,
+        COALESCE(c.metadata, '{}'::jsonb) || jsonb_build_object(
+          'legacy_id', c.id,
+          'section_reference', c.exact_reference,
+          'chunk_type', c.chunk_type
+        )
+      FROM chunks c
+      JOIN books b ON b.sefaria_ref = c.book_name
+      ON CONFLICT (id) DO UPDATE SET
+        content = EXCLUDED.content,
+        hebrew_text = EXCLUDED.hebrew_text,
+        token_count = EXCLUDED.token_count,
+        metadata = EXCLUDED.metadata
+    `);
+
+    // Legacy references use several spellings ("Likutei_Moharan:1:2")
+    await normalizeStoredReferences(client);
+
+    await client.query(`
+      UPDATE books b
+      SET total_chunks = (SELECT COUNT(*) FROM text_chunks tc WHERE tc.book_id = b.id),
+          updated_at = NOW()
+    `);
+
+    if (dropLegacy) {
+      await client.query('DROP TABLE chunks');
+      logger.info('🗑️ Legacy "chunks" table dropped');
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`✅ Imported ${chunks.rowCount} legacy chunks (${books.rowCount} new books)`);
+    return { books: books.rowCount, chunks: chunks.rowCount };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  const { Pool } = pg;
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+  const client = await pool.connect();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const target = args[0] ? parseInt(args[0], 10) : undefined;
+        const applied = await runMigrations(client, { target });
+        logger.info(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`
+          : '✅ Database schema is up to date');
+        break;
+      }
+
+      case 'down': {
+        const steps = args[0] ? parseInt(args[0], 10) : 1;
+        const reverted = await rollbackMigrations(client, steps);
+        logger.info(`✅ Reverted ${reverted.length} migration(s): ${reverted.join(', ') || 'none'}`);
+        break;
+      }
+
+      case 'status': {
+        const status = await getMigrationStatus(client);
+        for (const migration of status) {
+          logger.info(`${migration.applied ? '✅' : '⏳'} ${migration.name} - ${migration.description}`);
+        }
+        break;
+      }
+
+      case 'import-legacy': {
+        await runMigrations(client);
+        await importLegacyChunks(client, { dropLegacy: args.includes('--drop-legacy') });
+        break;
+      }
+
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('💥 Migration command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { importLegacyChunks };
@@ -0,0 +1,79 @@
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { logger } from '../src/utils/logger.js';
+import { getEmbeddingConfig } from '../src/services/embedding-config.js';
+import {
+  getVectorColumnInfo,
+  createVectorIndex,
+  resizeEmbeddingColumn
+} from '../src/services/vector-index.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: node scripts/vector-index.js <command>
+
+Commands:
+  status    Show configured model/dimension, column type, index and stored embeddings
+  rebuild   Recreate the ANN index with VECTOR_INDEX_TYPE, HNSW_M,
+            HNSW_EF_CONSTRUCTION or IVFFLAT_LISTS
+  resize    Resize text_chunks.embedding to the configured dimension
+            (clears all stored embeddings; re-run ingestion afterwards)`;
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command = 'status'] = process.argv.slice(2);
+  const config = getEmbeddingConfig();
+
+  const { Pool } = pg;
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+  const client = await pool.connect();
+
+  try {
+    switch (command) {
+      case 'status': {
+        const info = await getVectorColumnInfo(client);
+        logger.info('📐 Configured:', {
+          model: config.modelId,
+          dimensions: config.dimensions,
+          index: config.index.type
+        });
+        logger.info('🗄️ Database:', info);
+        break;
+      }
+
+      case 'rebuild':
+        await createVectorIndex(client, config);
+        break;
+
+      case 'resize':
+        await client.query('BEGIN');
+        try {
+          await resizeEmbeddingColumn(client, config);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+        break;
+
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('💥 Vector index command failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 import { initializeDatabase } from './services/database.js';
+import { AbbreviationService } from './services/abbreviations.js';
 import { setupRoutes } from './routes/index.js';
 import { logger } from './utils/logger.js';
 
@@ -42,6 +43,9 @@ async function startServer() {
     await initializeDatabase();
     logger.info('Database initialized successfully');
 
+    // Queries are expanded with the editors' abbreviations as well as the curated ones
+    await new AbbreviationService().init();
+
     // Setup API routes
     setupRoutes(app);
     logger.info('Routes configured');
@@ -0,0 +1,95 @@
+/**
+ * Canonical schema: books, text_chunks, master_index, citations.
+ * Uses IF NOT EXISTS so databases created before migrations are adopted as-is.
+ */
+export const description = 'Core tables for books, chunks, master index and citations';
+
+export async function up(client) {
+  // Books table for metadata
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS books (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title TEXT NOT NULL,
+      hebrew_title TEXT,
+      sefaria_ref TEXT UNIQUE,
+      category TEXT,
+      total_chunks INTEGER DEFAULT 0,
+      metadata JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Text chunks table with vector embeddings
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS text_chunks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      book_id UUID REFERENCES books(id) ON DELETE CASCADE,
+      chunk_index INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      hebrew_text TEXT,
+      exact_reference TEXT NOT NULL,
+      section_title TEXT,
+      paragraph_number INTEGER,
+      token_count INTEGER,
+      chunk_summary TEXT,
+      themes TEXT[],
+      keywords TEXT[],
+      embedding TEXT, -- Temporary: will be vector(1536) when pgvector is ready
+      metadata JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Master index table for ultra-fast routing
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS master_index (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      index_type TEXT NOT NULL, -- 'theme', 'person', 'place', 'concept'
+      key_term TEXT NOT NULL,
+      hebrew_term TEXT,
+      related_chunks UUID[],
+      book_references TEXT[],
+      frequency INTEGER DEFAULT 1,
+      importance_score FLOAT DEFAULT 0.5,
+      cross_references JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Citations validation table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS citations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      query_text TEXT NOT NULL,
+      response_text TEXT NOT NULL,
+      cited_chunks UUID[],
+      confidence_score FLOAT,
+      validation_status TEXT DEFAULT 'pending', -- 'pending', 'verified', 'invalid'
+      user_feedback INTEGER, -- 1-5 rating
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_text_chunks_reference
+    ON text_chunks(exact_reference)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_text_chunks_themes
+    ON text_chunks USING gin(themes)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_master_index_key
+    ON master_index(key_term, index_type)
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS citations');
+  await client.query('DROP TABLE IF EXISTS master_index');
+  await client.query('DROP TABLE IF EXISTS text_chunks');
+  await client.query('DROP TABLE IF EXISTS books');
+}
@@ -0,0 +1,35 @@
+/**
+ * Stable identities so ingestion scripts can upsert instead of duplicating rows:
+ * one chunk per (book, reference) and one master index entry per (term, type).
+ */
+export const description = 'Unique chunk references and master index keys';
+
+export async function up(client) {
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_text_chunks_book_reference
+    ON text_chunks(book_id, exact_reference)
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_text_chunks_book_order
+    ON text_chunks(book_id, chunk_index)
+  `);
+
+  // addIndexEntry upserts ON CONFLICT (key_term, index_type)
+  await client.query('DROP INDEX IF EXISTS idx_master_index_key');
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_master_index_key
+    ON master_index(key_term, index_type)
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_master_index_key');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_master_index_key
+    ON master_index(key_term, index_type)
+  `);
+
+  await client.query('DROP INDEX IF EXISTS idx_text_chunks_book_order');
+  await client.query('DROP INDEX IF EXISTS uq_text_chunks_book_reference');
+}
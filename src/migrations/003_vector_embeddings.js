@@ -0,0 +1,42 @@
+import { getEmbeddingConfig } from '../services/embedding-config.js';
+import { createVectorIndex } from '../services/vector-index.js';
+
+/**
+ * Store embeddings as a real pgvector column sized from the configured
+ * embedding model, record which model produced each vector, and build the ANN index.
+ */
+export const description = 'pgvector embedding column, embedding_model and ANN index';
+
+export async function up(client) {
+  const config = getEmbeddingConfig();
+  const { dimensions } = config;
+
+  await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+
+  await client.query('ALTER TABLE text_chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT');
+
+  // Embeddings were stored as JSON array text, which is also pgvector's input format.
+  // Vectors of another dimension cannot be kept and are left for re-embedding.
+  await client.query(`
+    ALTER TABLE text_chunks
+    ALTER COLUMN embedding TYPE vector(${dimensions})
+    USING CASE
+      WHEN embedding IS NOT NULL AND vector_dims(embedding::vector) = ${dimensions}
+      THEN embedding::vector(${dimensions})
+    END
+  `);
+
+  // The only writer so far embedded with the configured model
+  await client.query(
+    'UPDATE text_chunks SET embedding_model = $1 WHERE embedding IS NOT NULL',
+    [config.modelId]
+  );
+
+  await createVectorIndex(client, config);
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_text_chunks_embedding');
+  await client.query('ALTER TABLE text_chunks ALTER COLUMN embedding TYPE TEXT USING embedding::text');
+  await client.query('ALTER TABLE text_chunks DROP COLUMN IF EXISTS embedding_model');
+}
@@ -0,0 +1,27 @@
+/**
+ * Content-hash keyed embedding cache, so unchanged chunks and repeated
+ * queries are never sent to the embedding model twice.
+ */
+export const description = 'Persistent embedding cache keyed by content hash and model';
+
+export async function up(client) {
+  // Unconstrained vector: the cache may hold several models/dimensions side by side
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS embedding_cache (
+      content_hash TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      embedding vector NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (content_hash, model, dimensions)
+    )
+  `);
+
+  await client.query('ALTER TABLE text_chunks ADD COLUMN IF NOT EXISTS content_hash TEXT');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE text_chunks DROP COLUMN IF EXISTS content_hash');
+  await client.query('DROP TABLE IF EXISTS embedding_cache');
+}
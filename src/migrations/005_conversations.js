@@ -0,0 +1,37 @@
+/**
+ * Server-side conversation sessions: each turn keeps the question as asked,
+ * the standalone rewrite used for retrieval, and the chunks it cited.
+ */
+export const description = 'Conversation sessions and turns';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS conversation_turns (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      turn_index INTEGER NOT NULL,
+      question TEXT NOT NULL,
+      standalone_question TEXT NOT NULL,
+      answer TEXT,
+      cited_chunk_ids UUID[] DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (conversation_id, turn_index)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS conversation_turns');
+  await client.query('DROP TABLE IF EXISTS conversations');
+}
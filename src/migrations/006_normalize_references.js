@@ -0,0 +1,16 @@
+import { normalizeStoredReferences } from '../services/reference-normalization.js';
+
+/**
+ * Canonical chunk references. Older ingestion stored Sefaria refs as given
+ * ("Likutei_Moharan:1:2", "Likutei Moharan 1.2"); lookups now expect one form.
+ */
+export const description = 'Normalize stored chunk references';
+
+export async function up(client) {
+  await normalizeStoredReferences(client);
+}
+
+export async function down() {
+  // The original spellings are not kept, so the normalization cannot be undone
+  throw new Error('irreversible: the original reference spellings were not kept');
+}
@@ -0,0 +1,44 @@
+/**
+ * Every /ask run is traced in the citations table: what was retrieved from
+ * each source, what the model was given, which calls were made, how long each
+ * stage took and what it cost. Failed runs are kept too, without a response.
+ */
+export const description = 'Query pipeline traces on citations';
+
+const TRACE_COLUMNS = [
+  ['standalone_question', 'TEXT'],
+  ['conversation_id', 'UUID REFERENCES conversations(id) ON DELETE SET NULL'],
+  ['query_analysis', 'JSONB'],
+  ['candidates', 'JSONB'],
+  ['selected_chunks', 'JSONB'],
+  ['prompt_hash', 'TEXT'],
+  ['model', 'TEXT'],
+  ['timings', 'JSONB'],
+  ['llm_calls', 'JSONB'],
+  ['prompt_tokens', 'INTEGER'],
+  ['completion_tokens', 'INTEGER'],
+  ['cost_usd', 'NUMERIC(12, 6)'],
+  ['latency_ms', 'INTEGER'],
+  ['verification', 'JSONB'],
+  ['details', 'JSONB'],
+  ['error', 'TEXT']
+];
+
+export async function up(client) {
+  for (const [column, type] of TRACE_COLUMNS) {
+    await client.query(`ALTER TABLE citations ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+  }
+
+  await client.query('ALTER TABLE citations ALTER COLUMN response_text DROP NOT NULL');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_citations_created_at ON citations(created_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_citations_created_at');
+  await client.query(`UPDATE citations SET response_text = '' WHERE response_text IS NULL`);
+  await client.query('ALTER TABLE citations ALTER COLUMN response_text SET NOT NULL');
+
+  for (const [column] of [...TRACE_COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE citations DROP COLUMN IF EXISTS ${column}`);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * User ratings and editorial review of answers. `user_feedback` and
+ * `validation_status` exist since 001; this adds the rating comment, the
+ * sources users flagged as wrong, and who reviewed the answer and when.
+ */
+export const description = 'Answer feedback and review';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE citations
+      ADD COLUMN IF NOT EXISTS feedback_comment TEXT,
+      ADD COLUMN IF NOT EXISTS flagged_sources JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS feedback_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS reviewed_by TEXT,
+      ADD COLUMN IF NOT EXISTS review_notes TEXT,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP
+  `);
+
+  await client.query(`UPDATE citations SET validation_status = 'pending' WHERE validation_status IS NULL`);
+
+  await client.query(`
+    ALTER TABLE citations
+      ADD CONSTRAINT citations_user_feedback_range CHECK (user_feedback BETWEEN 1 AND 5),
+      ADD CONSTRAINT citations_validation_status_values CHECK (validation_status IN ('pending', 'verified', 'invalid'))
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_citations_validation_status ON citations(validation_status, created_at DESC)');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_citations_validation_status');
+  await client.query(`
+    ALTER TABLE citations
+      DROP CONSTRAINT IF EXISTS citations_validation_status_values,
+      DROP CONSTRAINT IF EXISTS citations_user_feedback_range,
+      DROP COLUMN IF EXISTS reviewed_at,
+      DROP COLUMN IF EXISTS review_notes,
+      DROP COLUMN IF EXISTS reviewed_by,
+      DROP COLUMN IF EXISTS feedback_at,
+      DROP COLUMN IF EXISTS flagged_sources,
+      DROP COLUMN IF EXISTS feedback_comment
+  `);
+}
@@ -0,0 +1,28 @@
+/**
+ * Text versions per chunk: the Hebrew original and every translation
+ * extracted from Sefaria (English ones, French when it exists), cut at the
+ * chunk's segments, with version title and license. text_chunks keeps the
+ * default translation in `content` and the Hebrew in `hebrew_text`.
+ */
+export const description = 'Text versions and translations per chunk';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chunk_versions (
+      chunk_id UUID NOT NULL REFERENCES text_chunks(id) ON DELETE CASCADE,
+      language TEXT NOT NULL,
+      version_title TEXT NOT NULL,
+      license TEXT,
+      version_source TEXT,
+      is_default BOOLEAN DEFAULT FALSE,
+      content TEXT NOT NULL,
+      PRIMARY KEY (chunk_id, language, version_title)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_chunk_versions_language ON chunk_versions(language, version_title)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS chunk_versions');
+}
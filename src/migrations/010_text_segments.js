@@ -0,0 +1,26 @@
+/**
+ * Bilingual segment table: one row per Sefaria segment of a chunk, in
+ * reading order, with its own reference (`Likutei Moharan 1:4`), its Hebrew
+ * and every translation of it side by side. Chunks keep their joined text in
+ * text_chunks and chunk_versions; this is what "the Hebrew of that line" reads.
+ */
+export const description = 'Aligned Hebrew and translations per segment';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS text_segments (
+      chunk_id UUID NOT NULL REFERENCES text_chunks(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      reference TEXT NOT NULL,
+      hebrew TEXT,
+      translations JSONB NOT NULL DEFAULT '[]',
+      PRIMARY KEY (chunk_id, position)
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_text_segments_reference ON text_segments(reference)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS text_segments');
+}
@@ -0,0 +1,39 @@
+import { searchForm } from '../utils/hebrew.js';
+
+/**
+ * Search forms of chunk texts (see utils/hebrew.js): no nikud, cantillation,
+ * markup or punctuation, regular final letters, rashei teivot expanded.
+ * Keyword search reads these; content and hebrew_text stay as displayed.
+ * Existing chunks are filled in from their stored text.
+ */
+export const description = 'Normalized search forms of chunk texts';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE text_chunks
+      ADD COLUMN IF NOT EXISTS content_search TEXT,
+      ADD COLUMN IF NOT EXISTS hebrew_search TEXT
+  `);
+
+  const { rows } = await client.query('SELECT id, content, hebrew_text FROM text_chunks WHERE content_search IS NULL');
+  if (rows.length === 0) return;
+
+  await client.query(`
+    UPDATE text_chunks tc
+    SET content_search = u.content_search, hebrew_search = u.hebrew_search
+    FROM unnest($1::uuid[], $2::text[], $3::text[]) AS u(id, content_search, hebrew_search)
+    WHERE tc.id = u.id
+  `, [
+    rows.map(row => row.id),
+    rows.map(row => searchForm(row.content)),
+    rows.map(row => searchForm(row.hebrew_text))
+  ]);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE text_chunks
+      DROP COLUMN IF EXISTS content_search,
+      DROP COLUMN IF EXISTS hebrew_search
+  `);
+}
@@ -0,0 +1,46 @@
+import { hebrewLexemes } from '../utils/full-text.js';
+
+/**
+ * Stored full-text index of chunk texts (see utils/full-text.js):
+ * hebrew_lexemes holds the Hebrew words with their prefix-less forms, and
+ * search_vector is generated from it and the French-stemmed translation,
+ * with a GIN index. Existing chunks get their lexemes from hebrew_search.
+ */
+export const description = 'Generated full-text search vector with Hebrew prefix lexemes';
+
+export async function up(client) {
+  await client.query('ALTER TABLE text_chunks ADD COLUMN IF NOT EXISTS hebrew_lexemes TSVECTOR');
+
+  const { rows } = await client.query('SELECT id, hebrew_search FROM text_chunks WHERE hebrew_lexemes IS NULL');
+
+  if (rows.length > 0) {
+    await client.query(`
+      UPDATE text_chunks tc
+      SET hebrew_lexemes = u.hebrew_lexemes::tsvector
+      FROM unnest($1::uuid[], $2::text[]) AS u(id, hebrew_lexemes)
+      WHERE tc.id = u.id
+    `, [
+      rows.map(row => row.id),
+      rows.map(row => hebrewLexemes(row.hebrew_search))
+    ]);
+  }
+
+  await client.query(`
+    ALTER TABLE text_chunks
+      ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('french'::regconfig, COALESCE(content_search, '')), 'B')
+        || setweight(COALESCE(hebrew_lexemes, ''::tsvector), 'A')
+      ) STORED
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_text_chunks_search_vector ON text_chunks USING GIN (search_vector)');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_text_chunks_search_vector');
+  await client.query(`
+    ALTER TABLE text_chunks
+      DROP COLUMN IF EXISTS search_vector,
+      DROP COLUMN IF EXISTS hebrew_lexemes
+  `);
+}
@@ -0,0 +1,23 @@
+/**
+ * Abbreviations added by editors, on top of the curated dictionary of
+ * utils/abbreviations.js: one row per key (the abbreviation's letters,
+ * regular final letters), with the spelling it was entered with and its
+ * expansions
+ */
+export const description = 'Editable abbreviation dictionary';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS abbreviations (
+      key TEXT PRIMARY KEY,
+      abbreviation TEXT NOT NULL,
+      expansions TEXT[] NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS abbreviations');
+}
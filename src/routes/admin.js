@@ -3,6 +3,11 @@ import { VectorSearchService } from '../services/vector-search.js';
 import { MasterIndexService } from '../services/master-index.js';
 import { OpenRouterClient } from '../services/openrouter.js';
 import { getPostgreSQLPool } from '../services/database.js';
+import { getVectorColumnInfo } from '../services/vector-index.js';
+import { getEmbeddingConfig } from '../services/embedding-config.js';
+import { QueryTraceService } from '../services/query-traces.js';
+import { AnswerFeedbackService, VALIDATION_STATUSES, validateReview } from '../services/answer-feedback.js';
+import { AbbreviationService, validateAbbreviation } from '../services/abbreviations.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -180,6 +185,9 @@ router.get('/db-health', async (req, res) => {
 
     const tableStats = await pool.query(sizeQuery);
 
+    const embeddingConfig = getEmbeddingConfig();
+    const vectorColumn = vectorTest.rows.length > 0 ? await getVectorColumnInfo(pool) : null;
+
     res.json({
       postgresql: {
         status: 'healthy',
@@ -190,6 +198,13 @@ router.get('/db-health', async (req, res) => {
         installed: vectorTest.rows.length > 0,
         status: vectorTest.rows.length > 0 ? 'available' : 'missing'
       },
+      embeddings: {
+        configured_model: embeddingConfig.modelId,
+        configured_dimensions: embeddingConfig.dimensions,
+        column_type: vectorColumn?.type || null,
+        index: vectorColumn?.index || null,
+        stored: vectorColumn?.stored || []
+      },
       tables: tableStats.rows.map(row => ({
         name: row.tablename,
         size: row.size,
@@ -209,38 +224,44 @@ router.get('/db-health', async (req, res) => {
 });
 
 /**
- * Get recent queries log
- * GET /api/admin/recent-queries
+ * Get recent queries log with their pipeline traces
+ * GET /api/admin/recent-queries?status=pending|verified|invalid
  */
 router.get('/recent-queries', async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
-
-    const pool = getPostgreSQLPool();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+    const { status = null } = req.query;
 
-    const sql = `
-      SELECT
-        query_text,
-        confidence_score,
-        validation_status,
-        user_feedback,
-        created_at
-      FROM citations
-      ORDER BY created_at DESC
-      LIMIT $1
-    `;
+    if (status && !VALIDATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${VALIDATION_STATUSES.join(', ')}` });
+    }
 
-    const result = await pool.query(sql, [parseInt(limit)]);
+    const queryTraces = new QueryTraceService();
+    const rows = await queryTraces.recent(limit, { status });
 
     res.json({
-      recent_queries: result.rows.map(row => ({
+      recent_queries: rows.map(row => ({
+        id: row.id,
         query: row.query_text,
+        standalone_question: row.standalone_question,
+        conversation_id: row.conversation_id,
         confidence: row.confidence_score,
         status: row.validation_status,
         feedback: row.user_feedback,
+        feedback_comment: row.feedback_comment,
+        wrong_sources: row.flagged_count,
+        model: row.model,
+        prompt_hash: row.prompt_hash,
+        latency_ms: row.latency_ms,
+        timings: row.timings,
+        tokens: { prompt: row.prompt_tokens, completion: row.completion_tokens },
+        cost_usd: row.cost_usd === null ? null : parseFloat(row.cost_usd),
+        chunks_used: row.selected_count,
+        verification: row.verification_summary,
+        error: row.error,
         timestamp: row.created_at
       })),
-      total_returned: result.rows.length
+      total_returned: rows.length
     });
 
   } catch (error) {
@@ -252,18 +273,208 @@ router.get('/recent-queries', async (req, res) => {
   }
 });
 
+/**
+ * Full trace of one query: analysis, candidates per source, selected chunks, LLM calls
+ * GET /api/admin/queries/:id
+ */
+router.get('/queries/:id', async (req, res) => {
+  try {
+    const queryTraces = new QueryTraceService();
+    const trace = await queryTraces.get(req.params.id);
+
+    if (!trace) {
+      return res.status(404).json({ error: 'Query not found', id: req.params.id });
+    }
+
+    res.json({
+      ...trace,
+      cost_usd: trace.cost_usd === null ? null : parseFloat(trace.cost_usd)
+    });
+
+  } catch (error) {
+    logger.error('Get query trace failed:', error);
+    res.status(500).json({
+      error: 'Failed to get query trace',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Answers to review, flagged and low-rated first
+ * GET /api/admin/review?status=pending&flagged=true&limit=20&offset=0
+ */
+router.get('/review', async (req, res) => {
+  try {
+    const { status = 'pending', flagged = 'false' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const invalid = validateReview({ status });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const answerFeedback = new AnswerFeedbackService();
+    const [rows, counts] = await Promise.all([
+      answerFeedback.listForReview({ status, flagged: flagged === 'true', limit, offset }),
+      answerFeedback.statusCounts()
+    ]);
+
+    res.json({
+      answers: rows.map(row => ({
+        id: row.id,
+        question: row.query_text,
+        standalone_question: row.standalone_question,
+        answer: row.response_text,
+        confidence: row.confidence_score,
+        sources: (row.selected_chunks || []).map(chunk => ({
+          ...chunk,
+          cited: (row.cited_chunks || []).includes(chunk.id)
+        })),
+        verification: row.verification_summary,
+        feedback: {
+          rating: row.user_feedback,
+          comment: row.feedback_comment,
+          wrong_sources: row.flagged_sources || [],
+          submitted_at: row.feedback_at
+        },
+        review: {
+          status: row.validation_status,
+          notes: row.review_notes,
+          reviewed_by: row.reviewed_by,
+          reviewed_at: row.reviewed_at
+        },
+        timestamp: row.created_at
+      })),
+      counts,
+      status,
+      total_returned: rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get review queue failed:', error);
+    res.status(500).json({
+      error: 'Failed to get review queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Mark an answer verified or invalid (or back to pending)
+ * POST /api/admin/queries/:id/review
+ * Body: { status, notes?, reviewer? }
+ */
+router.post('/queries/:id/review', async (req, res) => {
+  try {
+    const { status, notes = null, reviewer = null } = req.body || {};
+
+    const invalid = validateReview({ status });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const answerFeedback = new AnswerFeedbackService();
+    const review = await answerFeedback.review(req.params.id, { status, notes, reviewer });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Query not found', id: req.params.id });
+    }
+
+    res.json({
+      id: review.id,
+      status: review.validation_status,
+      notes: review.review_notes,
+      reviewed_by: review.reviewed_by,
+      reviewed_at: review.reviewed_at
+    });
+
+  } catch (error) {
+    logger.error('Review failed:', error);
+    res.status(500).json({
+      error: 'Failed to review answer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Abbreviation dictionary, curated and added entries
+ * GET /api/admin/abbreviations
+ */
+router.get('/abbreviations', async (req, res) => {
+  try {
+    const abbreviations = new AbbreviationService();
+    const entries = await abbreviations.list();
+
+    res.json({
+      abbreviations: entries,
+      total: entries.length
+    });
+
+  } catch (error) {
+    logger.error('List abbreviations failed:', error);
+    res.status(500).json({
+      error: 'Failed to list abbreviations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Add an abbreviation (or replace the entry with the same letters) and
+ * re-index the chunks that use it
+ * POST /api/admin/abbreviations
+ * Body: { abbreviation, expansions: [...] }
+ */
+router.post('/abbreviations', async (req, res) => {
+  try {
+    const { abbreviation, expansions } = req.body || {};
+
+    const invalid = validateAbbreviation({ abbreviation, expansions });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const abbreviations = new AbbreviationService();
+    const { entry, chunks_updated: chunksUpdated } = await abbreviations.add({ abbreviation, expansions });
+
+    res.status(201).json({
+      ...entry,
+      chunks_updated: chunksUpdated
+    });
+
+  } catch (error) {
+    logger.error('Add abbreviation failed:', error);
+    res.status(500).json({
+      error: 'Failed to add abbreviation',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Clear system cache
  * POST /api/admin/clear-cache
  */
 router.post('/clear-cache', async (req, res) => {
   try {
-    // This would clear any application caches
-    // For now, we'll just respond with success
+    const { embeddings = false } = req.body || {};
+
+    // The persistent embedding cache is only dropped on explicit request:
+    // every chunk would have to be re-embedded on the next ingestion
+    let embeddingsCleared = 0;
+    if (embeddings) {
+      const pool = getPostgreSQLPool();
+      const result = await pool.query('DELETE FROM embedding_cache');
+      embeddingsCleared = result.rowCount;
+    }
 
     res.json({
       success: true,
       message: 'System cache cleared',
+      embeddings_cleared: embeddingsCleared,
       timestamp: new Date().toISOString()
     });
 
@@ -90,7 +90,7 @@ router.get('/status', async (req, res) => {
     const db = getPostgreSQLPool();
 
     // Check database connectivity
-    const dbResult = await db.query('SELECT COUNT(*) FROM chunks');
+    const dbResult = await db.query('SELECT COUNT(*) FROM text_chunks');
     const chunksCount = parseInt(dbResult.rows[0].count);
 
     // Load master index stats
@@ -188,12 +188,13 @@ router.get('/search/theme/:theme', async (req, res) => {
     const db = getPostgreSQLPool();
 
     // Get chunks for this theme
-    const placeholders = themeData.chunks.map((_, i) => `$${i + 1}`).join(',');
     const result = await db.query(
-      `SELECT id, book_name, reference, content, hebrew_text, token_count
-       FROM chunks
-       WHERE id = ANY($1::text[])
-       ORDER BY book_name, section_number`,
+      `SELECT tc.id, b.sefaria_ref as book_name, tc.exact_reference as reference,
+              tc.content, tc.hebrew_text, tc.token_count
+       FROM text_chunks tc
+       JOIN books b ON tc.book_id = b.id
+       WHERE tc.id = ANY($1::uuid[])
+       ORDER BY b.sefaria_ref, tc.chunk_index`,
       [themeData.chunks]
     );
 
@@ -235,23 +236,25 @@ async function searchRelevantChunks(question, limit = 5) {
 
     // Build search query
     const searchConditions = searchTerms.map((_, i) =>
-      `(LOWER(content) LIKE $${i + 2} OR LOWER(hebrew_text) LIKE $${i + 2})`
+      `(LOWER(tc.content) LIKE $${i + 2} OR LOWER(tc.hebrew_text) LIKE $${i + 2})`
     ).join(' OR ');
 
     const searchValues = searchTerms.map(term => `%${term}%`);
 
     const query = `
       SELECT
-        id, book_name, section_number, chunk_number,
-        reference, exact_reference, content, hebrew_text,
-        token_count, metadata
-      FROM chunks
+        tc.id, b.sefaria_ref as book_name, tc.paragraph_number as section_number,
+        tc.chunk_index as chunk_number, tc.exact_reference as reference,
+        tc.exact_reference, tc.content, tc.hebrew_text, tc.section_title,
+        tc.token_count, tc.metadata
+      FROM text_chunks tc
+      JOIN books b ON tc.book_id = b.id
       WHERE ${searchConditions}
       ORDER BY
         (${searchTerms.map((_, i) =>
-          `(CASE WHEN LOWER(content) LIKE $${i + 2} THEN 1 ELSE 0 END)`
+          `(CASE WHEN LOWER(tc.content) LIKE $${i + 2} THEN 1 ELSE 0 END)`
         ).join(' + ')}) DESC,
-        token_count DESC
+        tc.token_count DESC
       LIMIT $1
     `;
 
@@ -309,6 +312,7 @@ RÉPONSE:`;
  */
 function extractCitations(chunks) {
   return chunks.map(chunk => ({
+    chunk_id: chunk.id,
     reference: chunk.exact_reference,
     book: chunk.book_name,
     content_preview: chunk.content.substring(0, 150) + '...',
@@ -348,16 +352,16 @@ async function logQuery(question, answer, citations, confidence) {
   try {
     const db = getPostgreSQLPool();
 
-    // Store citations as comma-separated text for compatibility
-    const citationsText = citations.map(c => c.reference).join(', ');
+    // cited_chunks is UUID[]: store the chunk ids, not their references
+    const citedChunkIds = citations.map(c => c.chunk_id).filter(Boolean);
 
     await db.query(`
       INSERT INTO citations (query_text, response_text, cited_chunks, confidence_score, validation_status)
-      VALUES ($1, $2, $3, $4, $5)
+      VALUES ($1, $2, $3::uuid[], $4, $5)
     `, [
       question,
       answer,
-      citationsText,
+      citedChunkIds,
       confidence,
       'pending'
     ]);
@@ -34,12 +34,22 @@ export function setupRoutes(app) {
       title: 'Rabbi Nachman Voice Assistant API',
       description: 'Ultra-precise voice assistant for exploring ALL teachings of Rabbi Nachman de Breslov',
       endpoints: {
-        'POST /api/query/ask': 'Ask a question in French',
+        'POST /api/query/ask': 'Ask a question in French (format: text | structured)',
+        'POST /api/query/ask/stream': 'Same as /ask, streamed as Server-Sent Events',
+        'GET /api/query/lookup?q=': 'Resolve an explicit reference (FR/EN/HE) to its passage',
+        'GET /api/query/conversations/:id': 'Conversation history (pass conversation_id to /ask for follow-ups)',
+        'POST /api/query/feedback': 'Rate an answer (1-5) and flag wrong sources',
         'POST /api/query/search': 'Advanced text search',
         'GET /api/query/books': 'List available books',
         'POST /api/voice/transcribe': 'Speech-to-text',
         'POST /api/voice/synthesize': 'Text-to-speech',
         'GET /api/admin/stats': 'System statistics',
+        'GET /api/admin/recent-queries': 'Recent queries with latency, tokens and cost',
+        'GET /api/admin/queries/:id': 'Full pipeline trace of one query',
+        'GET /api/admin/review': 'Answers awaiting review, flagged first',
+        'POST /api/admin/queries/:id/review': 'Mark an answer verified or invalid',
+        'GET /api/admin/abbreviations': 'Abbreviation dictionary (curated and added entries)',
+        'POST /api/admin/abbreviations': 'Add an abbreviation and its expansions, re-indexing the chunks that use it',
         'POST /api/admin/reindex': 'Rebuild search index'
       },
       architecture: {
@@ -1,15 +1,28 @@
 import express from 'express';
-import { OpenRouterClient } from '../services/openrouter.js';
 import { VectorSearchService } from '../services/vector-search.js';
 import { MasterIndexService } from '../services/master-index.js';
+import { fuseResults, getFusionConfig } from '../services/fusion.js';
+import { getRerankConfig } from '../services/reranker.js';
+import { ConversationService } from '../services/conversations.js';
+import { QueryTraceService } from '../services/query-traces.js';
+import { QuestionAnsweringService } from '../services/question-answering.js';
+import { AnswerFeedbackService, validateFeedback, matchFlaggedSources } from '../services/answer-feedback.js';
+import { getVersionConfig, applyVersion, describeVersion, withVersions, alignedSegments, segmentsFor } from '../services/text-versions.js';
+import { parseReferenceQuery, parseReference } from '../utils/references.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// text: markdown answer, streamed token by token; structured: segments with source anchors
+const ANSWER_FORMATS = ['text', 'structured'];
+
 // Initialize services
-const openrouter = new OpenRouterClient();
 let vectorSearch = null;
 let masterIndex = null;
+let conversations = null;
+let queryTraces = null;
+let answerFeedback = null;
+let questionAnswering = null;
 
 // Lazy initialization
 async function initServices() {
@@ -21,6 +34,22 @@ async function initServices() {
     masterIndex = new MasterIndexService();
     await masterIndex.init();
   }
+  if (!conversations) {
+    conversations = new ConversationService();
+    await conversations.init();
+  }
+  if (!queryTraces) {
+    queryTraces = new QueryTraceService();
+    await queryTraces.init();
+  }
+  if (!answerFeedback) {
+    answerFeedback = new AnswerFeedbackService();
+    await answerFeedback.init();
+  }
+  if (!questionAnswering) {
+    questionAnswering = new QuestionAnsweringService({ vectorSearch, masterIndex, conversations, queryTraces });
+    await questionAnswering.init();
+  }
 }
 
 /**
@@ -29,79 +58,207 @@ async function initServices() {
  */
 router.post('/ask', async (req, res) => {
   try {
-    const { question, maxResults = 10, includeAudio = false } = req.body;
+    const invalid = validateAskRequest(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
 
-    if (!question) {
-      return res.status(400).json({
-        error: 'Question is required',
-        example: 'Qu\'est-ce que Rabbi Nachman dit par rapport à Esaü dans la première Torah du Likutei Moharan?'
-      });
+    await initServices();
+
+    const conversation = await resolveConversation(req.body.conversation_id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found', conversation_id: req.body.conversation_id });
     }
 
+    res.json(await questionAnswering.answer(req.body, conversation));
+
+  } catch (error) {
+    logger.error('Query processing failed:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process your question. Please try again.',
+      debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Streaming variant of /ask over Server-Sent Events
+ * POST /api/query/ask/stream
+ *
+ * Events, in order: status, rewrite (follow-ups only), analysis,
+ * reference (direct lookups only), sources, token (repeated; segments instead for
+ * format "structured"), verification, citations, done.
+ * A failure after the stream opened is sent as `error`.
+ */
+router.post('/ask/stream', async (req, res) => {
+  const invalid = validateAskRequest(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  let conversation;
+
+  try {
     await initServices();
+    conversation = await resolveConversation(req.body.conversation_id);
+  } catch (error) {
+    logger.error('Streaming query setup failed:', error);
+    return res.status(500).json({ error: 'Internal server error', message: 'Failed to process your question. Please try again.' });
+  }
 
-    logger.info(`🔍 New query: "${question}"`);
-
-    // Step 1: Analyze the French query
-    const queryAnalysis = await openrouter.analyzeQuery(question);
-
-    // Step 2: Multi-level search strategy
-    const searchResults = await Promise.all([
-      // Search master index for quick routing
-      masterIndex.search(queryAnalysis),
-      // Vector similarity search
-      vectorSearch.search(queryAnalysis.hebrew_query, maxResults),
-      // Theme-based search
-      masterIndex.searchByThemes(queryAnalysis.themes)
-    ]);
-
-    // Step 3: Combine and rank results
-    const combinedResults = combineSearchResults(searchResults);
-    const topChunks = await selectBestChunks(combinedResults, queryAnalysis);
-
-    if (topChunks.length === 0) {
-      return res.json({
-        answer: "Je n'ai pas trouvé d'information pertinente dans les sources consultées pour cette question.",
-        confidence: 0,
-        sources: [],
-        suggestions: await generateSuggestions(queryAnalysis)
-      });
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found', conversation_id: req.body.conversation_id });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Keep proxies from timing out the connection during slow steps
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, 15000);
+
+  // Client went away (res 'close'; req 'close' fires as soon as the body is read)
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  try {
+    const result = await questionAnswering.answer(req.body, conversation, { emit: send });
+
+    send('citations', { sources: result.sources, confidence: result.confidence });
+    send('done', result);
+
+  } catch (error) {
+    logger.error('Streaming query failed:', error);
+    send('error', {
+      error: 'Internal server error',
+      message: 'Failed to process your question. Please try again.',
+      debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+/**
+ * Rate an answer 1-5, with an optional comment and the sources that were wrong
+ * POST /api/query/feedback
+ * Body: { query_id, rating, comment?, wrong_sources?: [chunk id | reference | { chunk_id | reference, comment }] }
+ */
+router.post('/feedback', async (req, res) => {
+  try {
+    const { query_id: queryId, rating, comment, wrong_sources: wrongSources = [] } = req.body;
+
+    const invalid = validateFeedback(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    // Step 4: Generate precise answer with citations
-    const response = await openrouter.generatePreciseAnswer(
-      question,
-      topChunks,
-      queryAnalysis
-    );
-
-    // Step 5: Generate audio if requested
-    let audioUrl = null;
-    if (includeAudio) {
-      // This would integrate with TTS service
-      // audioUrl = await generateAudio(response.answer);
+    await initServices();
+
+    const answer = await answerFeedback.getAnswer(queryId);
+    if (!answer) {
+      return res.status(404).json({ error: 'Query not found', query_id: queryId });
     }
 
-    // Step 6: Log for analytics
-    await logQuery(question, response, queryAnalysis);
+    const { flags, unknown } = matchFlaggedSources(answer, wrongSources);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Some flagged sources were not used by this answer', unknown });
+    }
+
+    const feedback = await answerFeedback.submitFeedback(queryId, { rating, comment, flags });
 
     res.json({
-      answer: response.answer,
-      confidence: response.confidence,
-      sources: response.citations,
-      query_analysis: queryAnalysis,
-      chunks_used: topChunks.length,
-      audio_url: audioUrl,
-      generated_at: response.generated_at
+      query_id: feedback.id,
+      rating: feedback.user_feedback,
+      comment: feedback.feedback_comment,
+      wrong_sources: feedback.flagged_sources,
+      submitted_at: feedback.feedback_at
     });
 
   } catch (error) {
-    logger.error('Query processing failed:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to process your question. Please try again.',
-      debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+    logger.error('Failed to record feedback:', error);
+    res.status(500).json({ error: 'Failed to record feedback' });
+  }
+});
+
+/**
+ * Start a conversation; send its id with each /ask to keep follow-up context
+ * POST /api/query/conversations
+ */
+router.post('/conversations', async (req, res) => {
+  try {
+    await initServices();
+
+    const conversation = await conversations.create(req.body?.metadata || {});
+    res.status(201).json({ conversation_id: conversation.id, created_at: conversation.created_at });
+
+  } catch (error) {
+    logger.error('Failed to create conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+/**
+ * Get a conversation and its turns
+ * GET /api/query/conversations/:id
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    await initServices();
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const conversation = await conversations.get(req.params.id, limit);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found', conversation_id: req.params.id });
+    }
+
+    res.json({
+      conversation_id: conversation.id,
+      created_at: conversation.created_at,
+      updated_at: conversation.updated_at,
+      turns: conversation.turns
     });
+
+  } catch (error) {
+    logger.error('Failed to get conversation:', error);
+    res.status(500).json({ error: 'Failed to retrieve conversation' });
+  }
+});
+
+/**
+ * Delete a conversation
+ * DELETE /api/query/conversations/:id
+ */
+router.delete('/conversations/:id', async (req, res) => {
+  try {
+    await initServices();
+
+    const deleted = await conversations.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found', conversation_id: req.params.id });
+    }
+
+    res.json({ deleted: true, conversation_id: req.params.id });
+
+  } catch (error) {
+    logger.error('Failed to delete conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
   }
 });
 
@@ -115,20 +272,33 @@ router.post('/search', async (req, res) => {
       query,
       books = [],
       themes = [],
-      searchType = 'semantic', // 'semantic' or 'keyword'
-      limit = 20
+      searchType = 'semantic', // 'semantic', 'keyword' or 'hybrid'
+      limit = 20,
+      fusion = {}
     } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
 
+    try {
+      getFusionConfig(fusion);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     await initServices();
 
     let results = [];
 
     if (searchType === 'semantic') {
       results = await vectorSearch.search(query, limit, { books, themes });
+    } else if (searchType === 'hybrid') {
+      const [vectorResults, keywordResults] = await Promise.all([
+        vectorSearch.search(query, limit, { books, themes }),
+        masterIndex.keywordSearch(query, { books, themes, limit })
+      ]);
+      results = fuseResults({ vector: vectorResults, keyword: keywordResults }, fusion).slice(0, limit);
     } else {
       results = await masterIndex.keywordSearch(query, { books, themes, limit });
     }
@@ -142,7 +312,8 @@ router.post('/search', async (req, res) => {
         hebrew_text: chunk.hebrew_text?.substring(0, 200) + '...',
         score: chunk.score,
         book: chunk.book_title,
-        themes: chunk.themes
+        themes: chunk.themes,
+        sources: chunk.sources
       })),
       total: results.length,
       search_type: searchType
@@ -210,17 +381,91 @@ router.get('/themes', async (req, res) => {
 });
 
 /**
- * Get specific chunk by reference
- * GET /api/query/chunk/:reference
+ * Resolve a reference written in French, English or Hebrew to its passage,
+ * shown in the version asked for (?language=fr or ?version=<version title>)
+ * GET /api/query/lookup?q=la première Torah du Likutei Moharan, paragraphe 3
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required', example: 'Likutei Moharan 1:3' });
+    }
+
+    let versionConfig;
+    try {
+      versionConfig = versionFromQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const reference = parseReferenceQuery(q);
+
+    if (!reference) {
+      return res.status(404).json({ error: 'No reference recognized', query: q });
+    }
+
+    await initServices();
+
+    const passage = await vectorSearch.getPassageForReference(reference);
+
+    if (!passage) {
+      return res.status(404).json({ error: 'Reference not found', query: q, reference: reference.ref });
+    }
+
+    const chunks = await withVersions(passage.chunks, vectorSearch, versionConfig);
+
+    res.json({
+      query: q,
+      reference: reference.ref,
+      match: passage.match,
+      chunks: chunks.map(chunk => ({
+        id: chunk.id,
+        reference: chunk.exact_reference,
+        content: chunk.content,
+        hebrew_text: chunk.hebrew_text,
+        version: chunk.version,
+        segments: chunk.segments,
+        section_title: chunk.section_title,
+        is_target: chunk.is_target
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Reference lookup failed:', error);
+    res.status(500).json({ error: 'Failed to look up reference' });
+  }
+});
+
+/**
+ * Get specific chunk by reference, with every version of its text
+ * (Hebrew, translations), `content` in the version asked for and its segments
+ * with Hebrew and translation aligned. A segment reference inside a chunk
+ * (`Likutei Moharan 1:4` in `1:3-5`) returns that chunk with just that segment.
+ * GET /api/query/chunk/:reference?language=en&version=<version title>
  */
 router.get('/chunk/:reference', async (req, res) => {
   try {
     const { reference } = req.params;
     const { includeContext = false } = req.query;
 
+    let versionConfig;
+    try {
+      versionConfig = versionFromQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     await initServices();
 
-    const chunk = await vectorSearch.getChunkByReference(reference);
+    let chunk = await vectorSearch.getChunkByReference(reference);
+    const parsed = parseReference(reference);
+
+    if (!chunk && parsed?.segment) {
+      const passage = await vectorSearch.getPassageForReference(parsed);
+      chunk = passage?.match === 'exact' ? passage.chunks.find(candidate => candidate.is_target) : null;
+    }
 
     if (!chunk) {
       return res.status(404).json({
@@ -234,12 +479,19 @@ router.get('/chunk/:reference', async (req, res) => {
       context = await vectorSearch.getChunkContext(chunk.id);
     }
 
+    const versions = (await vectorSearch.getChunkVersions([chunk.id])).get(chunk.id) || [];
+    const segments = (await vectorSearch.getChunkSegments([chunk.id])).get(chunk.id) || [];
+    const shown = applyVersion(chunk, versions, versionConfig);
+
     res.json({
       chunk: {
         id: chunk.id,
         reference: chunk.exact_reference,
-        content: chunk.content,
+        content: shown.content,
         hebrew_text: chunk.hebrew_text,
+        version: shown.version,
+        versions: versions.map(version => ({ ...describeVersion(version), content: version.content })),
+        segments: segmentsFor(alignedSegments(segments, versionConfig), parsed || reference),
         section_title: chunk.section_title,
         themes: chunk.themes,
         keywords: chunk.keywords
@@ -257,94 +509,50 @@ router.get('/chunk/:reference', async (req, res) => {
  * Helper functions
  */
 
-function combineSearchResults(searchResults) {
-  const [masterResults, vectorResults, themeResults] = searchResults;
-  const combined = new Map();
-
-  // Add vector results (highest priority)
-  vectorResults.forEach((chunk, index) => {
-    combined.set(chunk.id, {
-      ...chunk,
-      score: chunk.score * 1.0, // Full weight
-      source: 'vector'
-    });
-  });
-
-  // Add master index results
-  masterResults.forEach(chunk => {
-    if (combined.has(chunk.id)) {
-      combined.get(chunk.id).score += 0.3; // Boost existing
-    } else {
-      combined.set(chunk.id, {
-        ...chunk,
-        score: 0.7, // Lower base score
-        source: 'master'
-      });
-    }
-  });
-
-  // Add theme results
-  themeResults.forEach(chunk => {
-    if (combined.has(chunk.id)) {
-      combined.get(chunk.id).score += 0.2; // Small boost
-    } else {
-      combined.set(chunk.id, {
-        ...chunk,
-        score: 0.5,
-        source: 'theme'
-      });
-    }
-  });
-
-  // Sort by score and return
-  return Array.from(combined.values())
-    .sort((a, b) => b.score - a.score);
-}
-
-async function selectBestChunks(results, queryAnalysis) {
-  // Select top chunks that fit within context window
-  const maxTokens = parseInt(process.env.MAX_CONTEXT_TOKENS) || 800000;
-  let totalTokens = 0;
-  const selectedChunks = [];
-
-  for (const chunk of results) {
-    if (totalTokens + chunk.token_count < maxTokens) {
-      selectedChunks.push(chunk);
-      totalTokens += chunk.token_count;
-    }
-
-    // Limit to reasonable number of chunks
-    if (selectedChunks.length >= 20) break;
+/**
+ * Validate an /ask body, returning a 400 payload or null
+ */
+function validateAskRequest(body) {
+  const { question, fusion = {}, rerank = {}, version = {}, format = 'text' } = body;
+
+  if (!question) {
+    return {
+      error: 'Question is required',
+      example: 'Qu\'est-ce que Rabbi Nachman dit par rapport à Esaü dans la première Torah du Likutei Moharan?'
+    };
   }
 
-  return selectedChunks;
-}
-
-async function generateSuggestions(queryAnalysis) {
-  // Generate helpful suggestions based on failed query
-  const suggestions = [];
-
-  if (queryAnalysis.suspected_books.length > 0) {
-    suggestions.push(`Essayez de chercher dans ${queryAnalysis.suspected_books[0]}`);
+  if (!ANSWER_FORMATS.includes(format)) {
+    return { error: `Unknown answer format "${format}". Use one of: ${ANSWER_FORMATS.join(', ')}` };
   }
 
-  if (queryAnalysis.themes.length > 0) {
-    suggestions.push(`Recherchez des enseignements sur: ${queryAnalysis.themes.join(', ')}`);
+  try {
+    getFusionConfig(fusion);
+    getRerankConfig(rerank);
+    getVersionConfig(version);
+  } catch (error) {
+    return { error: error.message };
   }
 
-  suggestions.push('Reformulez votre question avec des termes plus généraux');
-  suggestions.push('Vérifiez l\'orthographe des noms et termes hébreux');
+  return null;
+}
 
-  return suggestions;
+/**
+ * Version choice from ?language= and ?version= (a version title)
+ */
+function versionFromQuery(query) {
+  return getVersionConfig({ language: query.language, title: query.version });
 }
 
-async function logQuery(question, response, analysis) {
-  // Log query for analytics and improvement
-  logger.query('Query processed', question, {
-    confidence: response.confidence,
-    citations: response.citations.length,
-    themes: analysis.themes
-  });
+/**
+ * Existing conversation for an id, or null when the id is unknown. Without
+ * an id the question is answered on its own and nothing is stored.
+ */
+async function resolveConversation(conversationId) {
+  if (!conversationId) {
+    return { id: null, turns: [] };
+  }
+  return conversations.get(conversationId);
 }
 
 export { router as queryRoutes };
\ No newline at end of file
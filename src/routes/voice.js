@@ -1,11 +1,23 @@
 import express from 'express';
 import multer from 'multer';
 import axios from 'axios';
-import FormData from 'form-data';
+import { createLLMProvider } from '../services/providers/index.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Transcription and fallback TTS go through the configured LLM provider
+let provider = null;
+
+// Lazy initialization, so a misconfigured provider fails the voice requests
+// instead of the server start
+function getProvider() {
+  if (!provider) {
+    provider = createLLMProvider();
+  }
+  return provider;
+}
+
 // Configure multer for audio uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -190,44 +202,11 @@ router.get('/health', async (req, res) => {
 
 async function transcribeAudio(audioFile) {
   try {
-    // Option 1: Use OpenAI Whisper via OpenRouter
-    if (process.env.OPENROUTER_API_KEY) {
-      const formData = new FormData();
-      formData.append('file', audioFile.buffer, {
-        filename: audioFile.originalname,
-        contentType: audioFile.mimetype
-      });
-      formData.append('model', 'whisper-1');
-      formData.append('language', 'fr'); // Assume French input
-
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/audio/transcriptions',
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            ...formData.getHeaders()
-          },
-          timeout: 30000
-        }
-      );
-
-      return {
-        text: response.data.text,
-        language: response.data.language || 'fr',
-        confidence: 0.9,
-        duration: response.data.duration
-      };
-    }
-
-    // Fallback: Mock transcription for development
-    logger.warn('No transcription service configured, using mock');
-    return {
-      text: 'Qu\'est-ce que Rabbi Nachman dit sur la joie?',
-      language: 'fr',
-      confidence: 0.8,
-      duration: 3.5
-    };
+    return await getProvider().transcribe(audioFile.buffer, {
+      filename: audioFile.originalname,
+      mimeType: audioFile.mimetype,
+      language: 'fr' // Assume French input
+    });
 
   } catch (error) {
     logger.error('Audio transcription failed:', error);
@@ -282,42 +261,14 @@ async function synthesizeSpeech(text, voice, speed) {
       };
     }
 
-    // Option 2: Use OpenAI TTS via OpenRouter
-    if (process.env.OPENROUTER_API_KEY) {
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/audio/speech',
-        {
-          model: 'tts-1',
-          input: text,
-          voice: 'alloy', // OpenAI voice
-          speed: speed
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          responseType: 'arraybuffer',
-          timeout: 30000
-        }
-      );
-
-      const audioBase64 = Buffer.from(response.data).toString('base64');
-      const audioUrl = `data:audio/mpeg;base64,${audioBase64}`;
-
-      return {
-        url: audioUrl,
-        duration: Math.ceil(text.length / 150),
-        format: 'mp3'
-      };
-    }
+    // Option 2: Use the LLM provider (OpenAI TTS via OpenRouter, or silent offline audio)
+    const speech = await getProvider().synthesize(text, { speed });
+    const audioBase64 = speech.audio.toString('base64');
 
-    // Fallback: Mock audio URL for development
-    logger.warn('No TTS service configured, using mock audio URL');
     return {
-      url: 'data:audio/mpeg;base64,mock-audio-data',
+      url: `data:${speech.mimeType};base64,${audioBase64}`,
       duration: Math.ceil(text.length / 150),
-      format: 'mp3'
+      format: speech.format
     };
 
   } catch (error) {
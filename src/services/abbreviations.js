@@ -0,0 +1,138 @@
+import { getPostgreSQLPool } from './database.js';
+import { abbreviationEntry, addAbbreviation, removeAbbreviation, abbreviationKey, findAbbreviation, listAbbreviations, searchForm } from '../utils/hebrew.js';
+import { hebrewLexemes } from '../utils/full-text.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Abbreviation dictionary: the curated rashei teivot (utils/abbreviations.js)
+ * and the entries editors add, stored in the abbreviations table. init()
+ * registers the stored entries with utils/hebrew.js, so texts and queries
+ * are expanded with them; adding an entry re-indexes the chunks that use it.
+ */
+
+// Enough for the longest expansions (זללה״ה) without letting in whole passages
+const MAX_EXPANSION_LENGTH = 100;
+const MAX_EXPANSIONS = 5;
+
+/**
+ * Validate a dictionary entry, returning an error message or null
+ */
+export function validateAbbreviation({ abbreviation, expansions }) {
+  if (typeof abbreviation !== 'string' || !/[א-ת]["״׳']/.test(abbreviation) || abbreviationKey(abbreviation).length === 0) {
+    return 'abbreviation must be Hebrew letters with a quote mark (ר״ל, ר"ל, בחי׳)';
+  }
+
+  if (!Array.isArray(expansions) || expansions.length === 0 || expansions.length > MAX_EXPANSIONS) {
+    return `expansions must be an array of 1 to ${MAX_EXPANSIONS} strings`;
+  }
+
+  const invalid = expansions.some(expansion => typeof expansion !== 'string'
+    || expansion.trim().length === 0
+    || expansion.length > MAX_EXPANSION_LENGTH
+    || findAbbreviation(expansion));
+
+  return invalid
+    ? `each expansion must be written out in full, at most ${MAX_EXPANSION_LENGTH} characters`
+    : null;
+}
+
+class AbbreviationService {
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    this.pool = this.pool || getPostgreSQLPool();
+
+    const result = await this.pool.query('SELECT abbreviation, expansions FROM abbreviations ORDER BY created_at');
+    result.rows.forEach(row => addAbbreviation(row));
+
+    this.initialized = true;
+    logger.info(`🔠 Abbreviation dictionary loaded (${result.rows.length} added entries)`);
+  }
+
+  /**
+   * Every entry, curated and added
+   */
+  async list() {
+    if (!this.initialized) await this.init();
+    return listAbbreviations();
+  }
+
+  /**
+   * Add an entry (or replace the one with the same key) and refresh the
+   * search forms of the chunks where the abbreviation appears. The entry is
+   * saved and the chunks re-indexed in one transaction; the dictionary only
+   * keeps it once that transaction commits.
+   * @returns {{ entry: Object, chunks_updated: number }}
+   */
+  async add({ abbreviation, expansions }) {
+    if (!this.initialized) await this.init();
+
+    const entry = abbreviationEntry({ abbreviation, expansions });
+    const previous = listAbbreviations().find(candidate => candidate.key === entry.key) || null;
+    const client = await this.pool.connect();
+    let rows = [];
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        INSERT INTO abbreviations (key, abbreviation, expansions)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (key) DO UPDATE SET
+          abbreviation = EXCLUDED.abbreviation,
+          expansions = EXCLUDED.expansions,
+          updated_at = NOW()
+      `, [entry.key, entry.abbreviation, entry.expansions]);
+
+      // The Hebrew lexemes hold every word without its prefixes, so this also finds והקב״ה
+      ({ rows } = await client.query(
+        'SELECT id, content, hebrew_text FROM text_chunks WHERE hebrew_lexemes @@ plainto_tsquery(\'simple\', $1)',
+        [entry.key]
+      ));
+
+      // Search forms are computed with the dictionary, so the entry has to be in it from here
+      addAbbreviation(entry);
+
+      if (rows.length > 0) {
+        const hebrewSearch = rows.map(row => searchForm(row.hebrew_text));
+
+        await client.query(`
+          UPDATE text_chunks tc
+          SET content_search = u.content_search, hebrew_search = u.hebrew_search, hebrew_lexemes = u.hebrew_lexemes::tsvector
+          FROM unnest($1::uuid[], $2::text[], $3::text[], $4::text[]) AS u(id, content_search, hebrew_search, hebrew_lexemes)
+          WHERE tc.id = u.id
+        `, [
+          rows.map(row => row.id),
+          rows.map(row => searchForm(row.content)),
+          hebrewSearch,
+          hebrewSearch.map(hebrewLexemes)
+        ]);
+      }
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      if (previous) {
+        addAbbreviation(previous, previous.source);
+      } else {
+        removeAbbreviation(entry.abbreviation);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`🔠 Abbreviation ${entry.abbreviation} → ${entry.expansions.join(' / ')} (${rows.length} chunks re-indexed)`);
+
+    return { entry, chunks_updated: rows.length };
+  }
+}
+
+export { AbbreviationService };
@@ -0,0 +1,205 @@
+import { validate as isUuid } from 'uuid';
+import { getPostgreSQLPool } from './database.js';
+import { normalizeReference } from '../utils/references.js';
+import { isChunkId } from '../utils/ids.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * User ratings and editorial review of answers stored in the citations table
+ * (one row per /ask, see query-traces.js). Users rate an answer 1-5 and may
+ * flag sources as wrong; reviewers then mark answers verified or invalid.
+ */
+
+const VALIDATION_STATUSES = ['pending', 'verified', 'invalid'];
+
+// Long enough for a paragraph, short enough to keep the review list readable
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Validate a feedback body, returning an error message or null
+ */
+export function validateFeedback({ rating, comment, wrong_sources: wrongSources = [] }) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return 'rating must be an integer from 1 to 5';
+  }
+
+  if (comment != null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(wrongSources)) {
+    return 'wrong_sources must be an array of chunk ids or references';
+  }
+
+  const invalid = wrongSources.some(source => typeof source !== 'string'
+    && !(source && typeof (source.chunk_id || source.reference) === 'string'));
+
+  return invalid ? 'each wrong source needs a chunk_id or a reference' : null;
+}
+
+/**
+ * Validate a review body, returning an error message or null
+ */
+export function validateReview({ status }) {
+  if (!VALIDATION_STATUSES.includes(status)) {
+    return `status must be one of: ${VALIDATION_STATUSES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Match flagged sources (chunk ids or references, bare or as objects with an
+ * optional comment) against the chunks the answer was given.
+ * @returns {{ flags: Array, unknown: Array }} unknown holds what matched nothing
+ */
+export function matchFlaggedSources(answer, wrongSources = []) {
+  const sources = (answer.selected_chunks || []).map(chunk => ({
+    id: chunk.id,
+    reference: normalizeReference(chunk.reference) || chunk.reference
+  }));
+  // Older rows have cited chunk ids but no selected chunks
+  for (const id of answer.cited_chunks || []) {
+    if (!sources.some(source => source.id === id)) sources.push({ id, reference: null });
+  }
+
+  const flags = [];
+  const unknown = [];
+
+  for (const entry of wrongSources) {
+    const flag = typeof entry === 'string' ? { [isChunkId(entry) ? 'chunk_id' : 'reference']: entry } : entry;
+    const reference = flag.reference && (normalizeReference(flag.reference) || flag.reference);
+    const source = sources.find(candidate => (flag.chunk_id && candidate.id === flag.chunk_id)
+      || (reference && candidate.reference === reference));
+
+    if (!source) {
+      unknown.push(typeof entry === 'string' ? entry : flag.chunk_id || flag.reference);
+      continue;
+    }
+
+    const existing = flags.find(candidate => candidate.chunk_id === source.id);
+    if (existing) {
+      existing.comment = existing.comment || flag.comment || null;
+    } else {
+      flags.push({ chunk_id: source.id, reference: source.reference, comment: flag.comment || null });
+    }
+  }
+
+  return { flags, unknown };
+}
+
+class AnswerFeedbackService {
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    this.pool = this.pool || getPostgreSQLPool();
+    this.initialized = true;
+    logger.info('⭐ Answer feedback service initialized');
+  }
+
+  /**
+   * The answer with the sources it was given, or null
+   */
+  async getAnswer(id) {
+    if (!this.initialized) await this.init();
+    if (!isUuid(id)) return null;
+
+    const result = await this.pool.query(
+      'SELECT id, query_text, response_text, cited_chunks, selected_chunks, validation_status FROM citations WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a user rating; a new rating replaces the previous one
+   */
+  async submitFeedback(id, { rating, comment = null, flags = [] }) {
+    if (!this.initialized) await this.init();
+
+    const result = await this.pool.query(`
+      UPDATE citations
+      SET user_feedback = $2, feedback_comment = $3, flagged_sources = $4, feedback_at = NOW()
+      WHERE id = $1
+      RETURNING id, user_feedback, feedback_comment, flagged_sources, feedback_at, validation_status
+    `, [id, rating, comment?.trim() || null, JSON.stringify(flags)]);
+
+    if (result.rows.length > 0) {
+      logger.info(`⭐ Feedback ${rating}/5 on query ${id}${flags.length > 0 ? ` (${flags.length} wrong sources)` : ''}`);
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark an answer verified or invalid (or back to pending); null when unknown
+   */
+  async review(id, { status, notes = null, reviewer = null }) {
+    if (!this.initialized) await this.init();
+    if (!isUuid(id)) return null;
+
+    const result = await this.pool.query(`
+      UPDATE citations
+      SET validation_status = $2, review_notes = $3, reviewed_by = $4, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING id, validation_status, review_notes, reviewed_by, reviewed_at
+    `, [id, status, notes, reviewer]);
+
+    if (result.rows.length > 0) {
+      logger.info(`📝 Query ${id} marked ${status}${reviewer ? ` by ${reviewer}` : ''}`);
+    }
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Answers awaiting review (or with another status), with their sources and
+   * user feedback. `flagged` keeps answers with wrong-source flags or a rating
+   * of 2 or less, the ones reviewers should look at first.
+   */
+  async listForReview({ status = 'pending', flagged = false, limit = 20, offset = 0 } = {}) {
+    if (!this.initialized) await this.init();
+
+    const result = await this.pool.query(`
+      SELECT
+        id, query_text, standalone_question, response_text, confidence_score,
+        cited_chunks, selected_chunks, verification->'summary' AS verification_summary,
+        user_feedback, feedback_comment, flagged_sources, feedback_at,
+        validation_status, review_notes, reviewed_by, reviewed_at, created_at
+      FROM citations
+      WHERE validation_status = $1
+        AND error IS NULL
+        AND ($2::boolean = false OR user_feedback <= 2 OR jsonb_array_length(COALESCE(flagged_sources, '[]')) > 0)
+      ORDER BY
+        jsonb_array_length(COALESCE(flagged_sources, '[]')) DESC,
+        user_feedback ASC NULLS LAST,
+        created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [status, flagged, limit, offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Number of answers per validation status
+   */
+  async statusCounts() {
+    if (!this.initialized) await this.init();
+
+    const result = await this.pool.query(
+      'SELECT validation_status, COUNT(*)::int AS count FROM citations WHERE error IS NULL GROUP BY validation_status'
+    );
+
+    return Object.fromEntries(VALIDATION_STATUSES.map(status => [
+      status,
+      result.rows.find(row => row.validation_status === status)?.count || 0
+    ]));
+  }
+}
+
+export { AnswerFeedbackService, VALIDATION_STATUSES };
@@ -1,17 +1,31 @@
 import { OpenRouterClient } from './openrouter.js';
+import { getTokenizer } from './tokenizer.js';
+import { normalizeReference, parseReference, formatReference } from '../utils/references.js';
+import { alignSegments } from '../utils/sefaria-schema.js';
 import { logger } from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
- * Intelligent semantic chunking for Rabbi Nachman texts
- * Preserves religious meaning and maintains exact references
+ * Structure-aware chunking for Rabbi Nachman texts.
+ * A chunk is a run of whole Sefaria segments (paragraphs), Hebrew and
+ * translation cut at the same segments, and its reference is the exact range
+ * it covers: `Likutei Moharan 1:3-5`.
  */
 class SemanticChunker {
   constructor() {
     this.openrouter = new OpenRouterClient();
     this.chunkSize = parseInt(process.env.CHUNK_SIZE) || 10000;
-    this.overlapPercentage = parseInt(process.env.OVERLAP_PERCENTAGE) || 15;
-    this.maxChunkSize = this.chunkSize * 1.2; // 20% tolerance
+    this.tokenizer = null;
+  }
+
+  /**
+   * Load the answer model's tokenizer so chunk sizes are measured in real tokens
+   */
+  async loadTokenizer() {
+    if (!this.tokenizer) {
+      this.tokenizer = await getTokenizer(this.openrouter.models.primary);
+    }
+    return this.tokenizer;
   }
 
   /**
@@ -19,6 +33,7 @@ class SemanticChunker {
    */
   async chunkBook(bookData, bookMetadata) {
     logger.info(`📚 Starting semantic chunking for ${bookMetadata.title}`);
+    await this.loadTokenizer();
 
     const chunks = [];
     const sections = this.extractSections(bookData);
@@ -31,9 +46,6 @@ class SemanticChunker {
       chunks.push(...sectionChunks);
     }
 
-    // Add overlap between adjacent chunks
-    this.addOverlapBetweenChunks(chunks);
-
     logger.info(`✅ Chunking complete: ${chunks.length} chunks created for ${bookMetadata.title}`);
 
     return chunks;
@@ -53,7 +65,7 @@ class SemanticChunker {
           title: this.generateSectionTitle(section, index),
           hebrew_text: section.he || section.hebrew || [],
           english_text: section.text || section.english || [],
-          reference: section.ref || `${bookData.ref || 'Unknown'}:${index + 1}`
+          reference: this.sectionReference(section.ref || `${bookData.ref || 'Unknown'}:${index + 1}`)
         });
       });
 
@@ -70,7 +82,7 @@ class SemanticChunker {
           title: `Section ${i + 1}`,
           hebrew_text: hebrewTexts[i] || '',
           english_text: englishTexts[i] || '',
-          reference: `${bookData.ref || 'Unknown'}:${i + 1}`
+          reference: this.sectionReference(`${bookData.ref || 'Unknown'}:${i + 1}`)
         });
       }
     }
@@ -80,6 +92,14 @@ class SemanticChunker {
     );
   }
 
+  /**
+   * Canonical section reference ("Likutei_Moharan:1" → "Likutei Moharan 1"),
+   * kept as given when it cannot be parsed
+   */
+  sectionReference(reference) {
+    return normalizeReference(reference) || reference;
+  }
+
   /**
    * Generate meaningful section titles
    */
@@ -114,156 +134,91 @@ class SemanticChunker {
   }
 
   /**
-   * Chunk a specific section with semantic awareness
+   * Chunk a section into runs of whole segments, English and Hebrew aligned
+   * by segment address
    */
   async chunkSection(section, bookMetadata, sectionIndex) {
     const chunks = [];
+    const segments = alignSegments([section.english_text, section.hebrew_text]);
 
-    // Combine Hebrew and English text
-    const fullText = this.combineTexts(section.hebrew_text, section.english_text);
-
-    if (!fullText.trim()) {
+    if (segments.length === 0) {
       logger.warn(`Empty section ${sectionIndex} in ${bookMetadata.title}`);
       return chunks;
     }
 
-    // Check if section fits in one chunk
-    const tokenCount = this.estimateTokenCount(fullText);
+    const sizes = segments.map(segment => this.estimateTokenCount(segment.texts.filter(Boolean).join(' ')));
+    const ranges = this.groupSegments(sizes);
+
+    for (let i = 0; i < ranges.length; i++) {
+      const [start, end] = ranges[i];
+      const run = segments.slice(start, end);
+      const english = run.map(segment => segment.texts[0]).filter(Boolean).join('\n\n');
+      const hebrew = run.map(segment => segment.texts[1]).filter(Boolean).join('\n\n');
 
-    if (tokenCount <= this.chunkSize) {
-      // Single chunk for the entire section
       chunks.push(await this.createChunk({
-        content: fullText,
-        hebrew_text: section.hebrew_text,
-        english_text: section.english_text,
+        content: english || hebrew,
+        hebrew_text: hebrew || null,
+        segments: run.map(segment => ({
+          reference: this.segmentReference(section.reference, segment.address, segment.address),
+          hebrew: segment.texts[1],
+          translations: segment.texts[0]
+            ? [{ language: 'en', version_title: 'Default (en)', is_default: true, content: segment.texts[0] }]
+            : []
+        })),
         section_title: section.title,
-        exact_reference: section.reference,
-        chunk_index: 0,
+        exact_reference: this.segmentReference(section.reference, run[0].address, run[run.length - 1].address),
+        chunk_index: i,
         section_index: sectionIndex,
         book_metadata: bookMetadata,
-        token_count: tokenCount,
-        is_complete_section: true
+        token_count: sizes.slice(start, end).reduce((sum, size) => sum + size, 0),
+        is_complete_section: ranges.length === 1
       }));
-
-    } else {
-      // Multiple chunks needed - use intelligent splitting
-      const subChunks = await this.intelligentSplit(
-        fullText,
-        section,
-        bookMetadata,
-        sectionIndex
-      );
-
-      chunks.push(...subChunks);
     }
 
     return chunks;
   }
 
   /**
-   * Intelligent text splitting that preserves meaning
+   * Split segments of the given token sizes into [start, end) runs of at most
+   * chunkSize tokens. Segments are never cut: one longer than chunkSize is a
+   * chunk of its own.
    */
-  async intelligentSplit(fullText, section, bookMetadata, sectionIndex) {
-    const chunks = [];
-
-    // Split into natural paragraphs/sentences first
-    const paragraphs = this.splitIntoParagraphs(fullText);
-
-    let currentChunk = '';
-    let currentTokens = 0;
-    let chunkIndex = 0;
-
-    for (let i = 0; i < paragraphs.length; i++) {
-      const paragraph = paragraphs[i];
-      const paragraphTokens = this.estimateTokenCount(paragraph);
-
-      // If single paragraph is too large, split it further
-      if (paragraphTokens > this.chunkSize) {
-        // Save current chunk if it has content
-        if (currentChunk.trim()) {
-          chunks.push(await this.createChunk({
-            content: currentChunk.trim(),
-            section_title: section.title,
-            exact_reference: `${section.reference}:${chunkIndex + 1}`,
-            chunk_index: chunkIndex,
-            section_index: sectionIndex,
-            book_metadata: bookMetadata,
-            token_count: currentTokens,
-            is_complete_section: false
-          }));
-
-          chunkIndex++;
-          currentChunk = '';
-          currentTokens = 0;
-        }
-
-        // Split large paragraph by sentences
-        const sentences = this.splitIntoSentences(paragraph);
-        for (const sentence of sentences) {
-          const sentenceTokens = this.estimateTokenCount(sentence);
-
-          if (currentTokens + sentenceTokens > this.chunkSize && currentChunk.trim()) {
-            // Create chunk and start new one
-            chunks.push(await this.createChunk({
-              content: currentChunk.trim(),
-              section_title: section.title,
-              exact_reference: `${section.reference}:${chunkIndex + 1}`,
-              chunk_index: chunkIndex,
-              section_index: sectionIndex,
-              book_metadata: bookMetadata,
-              token_count: currentTokens,
-              is_complete_section: false
-            }));
-
-            chunkIndex++;
-            currentChunk = sentence;
-            currentTokens = sentenceTokens;
-          } else {
-            currentChunk += (currentChunk ? ' ' : '') + sentence;
-            currentTokens += sentenceTokens;
-          }
-        }
-
-      } else {
-        // Check if adding this paragraph exceeds chunk size
-        if (currentTokens + paragraphTokens > this.chunkSize && currentChunk.trim()) {
-          // Create chunk and start new one
-          chunks.push(await this.createChunk({
-            content: currentChunk.trim(),
-            section_title: section.title,
-            exact_reference: `${section.reference}:${chunkIndex + 1}`,
-            chunk_index: chunkIndex,
-            section_index: sectionIndex,
-            book_metadata: bookMetadata,
-            token_count: currentTokens,
-            is_complete_section: false
-          }));
-
-          chunkIndex++;
-          currentChunk = paragraph;
-          currentTokens = paragraphTokens;
-        } else {
-          currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
-          currentTokens += paragraphTokens;
-        }
+  groupSegments(sizes) {
+    const ranges = [];
+    let start = 0;
+    let total = 0;
+
+    sizes.forEach((size, i) => {
+      if (i > start && total + size > this.chunkSize) {
+        ranges.push([start, i]);
+        start = i;
+        total = 0;
       }
-    }
+      total += size;
+    });
 
-    // Add final chunk if there's remaining content
-    if (currentChunk.trim()) {
-      chunks.push(await this.createChunk({
-        content: currentChunk.trim(),
-        section_title: section.title,
-        exact_reference: `${section.reference}:${chunkIndex + 1}`,
-        chunk_index: chunkIndex,
-        section_index: sectionIndex,
-        book_metadata: bookMetadata,
-        token_count: currentTokens,
-        is_complete_section: false
-      }));
+    if (sizes.length > start) {
+      ranges.push([start, sizes.length]);
     }
 
-    return chunks;
+    return ranges;
+  }
+
+  /**
+   * Reference of the segments from `first` to `last` (addresses inside the
+   * section): `Likutei Moharan 1` with [3] and [5] → `Likutei Moharan 1:3-5`,
+   * a one-level node `Likutei Halachot, Introduction` → `..., Introduction 3-5`
+   */
+  segmentReference(sectionRef, first, last) {
+    const section = parseReference(sectionRef);
+    const base = section ? section.start : [];
+    const sameSegment = first.join(':') === last.join(':');
+
+    return formatReference({
+      book: section ? section.book : sectionRef,
+      start: [...base, ...first],
+      end: sameSegment ? null : [...base, ...last]
+    });
   }
 
   /**
@@ -273,7 +228,7 @@ class SemanticChunker {
     const {
       content,
       hebrew_text,
-      english_text,
+      segments,
       section_title,
       exact_reference,
       chunk_index,
@@ -294,7 +249,8 @@ class SemanticChunker {
       book_id: book_metadata.id,
       chunk_index,
       content,
-      hebrew_text: this.extractHebrewFromContent(content, hebrew_text),
+      hebrew_text,
+      segments,
       exact_reference,
       section_title,
       paragraph_number: section_index + 1,
@@ -335,7 +291,9 @@ ${content.substring(0, 1000)}...`;
 
       const response = await this.openrouter.chatCompletion(messages, {
         temperature: 0.1,
-        maxTokens: 300
+        maxTokens: 300,
+        task: 'analyze_chunk',
+        context: { content, bookTitle }
       });
 
       const analysis = JSON.parse(response.choices[0].message.content);
@@ -371,7 +329,9 @@ ${content.substring(0, 800)}...`;
 
       const response = await this.openrouter.chatCompletion(messages, {
         temperature: 0.2,
-        maxTokens: 150
+        maxTokens: 150,
+        task: 'summarize_chunk',
+        context: { content, sectionTitle }
       });
 
       return response.choices[0].message.content.trim();
@@ -386,76 +346,12 @@ ${content.substring(0, 800)}...`;
    * Utility methods
    */
 
-  combineTexts(hebrew, english) {
-    let combined = '';
-
-    if (Array.isArray(hebrew) && hebrew.length > 0) {
-      combined += hebrew.join(' ');
-    } else if (typeof hebrew === 'string') {
-      combined += hebrew;
-    }
-
-    if (Array.isArray(english) && english.length > 0) {
-      if (combined) combined += '\n\n';
-      combined += english.join(' ');
-    } else if (typeof english === 'string') {
-      if (combined) combined += '\n\n';
-      combined += english;
-    }
-
-    return combined;
-  }
-
-  extractHebrewFromContent(content, originalHebrew) {
-    // Try to extract Hebrew text from combined content
-    if (originalHebrew) {
-      if (Array.isArray(originalHebrew)) {
-        return originalHebrew.join(' ');
-      }
-      return originalHebrew;
-    }
-
-    // Fallback: extract Hebrew unicode range from content
-    const hebrewRegex = /[\u0590-\u05FF\u200F\u200E\s]+/g;
-    const hebrewMatches = content.match(hebrewRegex);
-
-    if (hebrewMatches) {
-      return hebrewMatches.join(' ').trim();
-    }
-
-    return null;
-  }
-
-  splitIntoParagraphs(text) {
-    return text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
-  }
-
-  splitIntoSentences(text) {
-    // Handle both Hebrew and English sentence endings
-    return text.split(/[.!?׃׀]+/).filter(s => s.trim().length > 0);
-  }
-
   estimateTokenCount(text) {
-    // Rough estimation: ~4 characters per token for mixed Hebrew/English
-    return Math.ceil(text.length / 4);
-  }
-
-  addOverlapBetweenChunks(chunks) {
-    const overlapTokens = Math.floor(this.chunkSize * (this.overlapPercentage / 100));
-
-    for (let i = 0; i < chunks.length - 1; i++) {
-      const currentChunk = chunks[i];
-      const nextChunk = chunks[i + 1];
-
-      // Add end of current chunk to beginning of next chunk
-      const currentWords = currentChunk.content.split(/\s+/);
-      const overlapWords = currentWords.slice(-Math.floor(overlapTokens / 4));
-
-      if (overlapWords.length > 0) {
-        nextChunk.content = overlapWords.join(' ') + ' ' + nextChunk.content;
-        nextChunk.token_count += overlapWords.length;
-      }
+    if (this.tokenizer) {
+      return this.tokenizer.count(text);
     }
+    // Rough fallback before the tokenizer is loaded; undercounts pointed Hebrew
+    return Math.ceil(text.length / 4);
   }
 }
 
@@ -0,0 +1,335 @@
+import { contentTerms, foldText } from '../utils/text.js';
+import { findReferences, normalizeReference } from '../utils/references.js';
+import { regularLetters } from '../utils/hebrew.js';
+
+/**
+ * Checks a generated answer against the text of its sources, not just the
+ * reference strings it cites. Each sentence gets a support status:
+ *
+ * - supported: its quotes appear in the cited chunk, or most of its content
+ *   terms do
+ * - partial: some of its content terms appear in the cited chunks
+ * - unsupported: a quote is not found, a cited reference is not among the
+ *   sources, or almost nothing in the sentence appears in them
+ *
+ * Matching is lexical and fuzzy: case, accents, nikud and final letters are
+ * ignored, and a quote may differ from the source by a few words. Found quotes
+ * are anchored to a character span of the chunk field they come from.
+ */
+
+/**
+ * Verification thresholds from the environment, optionally overridden per request
+ */
+export function getVerificationConfig(overrides = {}) {
+  return {
+    // Share of a quote's words that must appear together in the source
+    quoteThreshold: overrides.quoteThreshold ?? (parseFloat(process.env.CITATION_QUOTE_THRESHOLD) || 0.8),
+    // Share of a sentence's content terms found in its sources to count as supported
+    supportThreshold: overrides.supportThreshold ?? (parseFloat(process.env.CITATION_SUPPORT_THRESHOLD) || 0.5)
+  };
+}
+
+/**
+ * Content terms of a text, maqaf read as a space
+ */
+function matchTerms(text) {
+  return contentTerms((text || '').replace(/־/g, ' ')).map(regularLetters);
+}
+
+/**
+ * Words of a text with their character offsets; `word` is folded, without
+ * nikud or final letters
+ */
+function wordsWithOffsets(text) {
+  const words = [];
+
+  for (const match of (text || '').matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+    const word = regularLetters(foldText(match[0]).replace(/[^\p{L}\p{N}]/gu, ''));
+    if (word) words.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+
+  return words;
+}
+
+/**
+ * Split an answer into sentences, one list item or line at most per sentence
+ */
+export function splitSentences(answer) {
+  return (answer || '')
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .flatMap(line => line.split(/(?<=[.!?…])\s+(?=[^\s])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Quoted fragments in a sentence: «...», “...”, "..." (an opening quote must
+ * start a word, so gershayim in מוהר"ן are not taken for quotes)
+ */
+export function findQuotes(sentence) {
+  const pattern = /«\s*([^»]+?)\s*»|“([^”]+)”|„([^“”]+)[“”]|(?:^|(?<=[\s(:]))"([^"\n]+)"(?=$|[\s.,;:!?)])/g;
+  const quotes = [];
+
+  for (const match of sentence.matchAll(pattern)) {
+    const text = (match[1] || match[2] || match[3] || match[4]).trim();
+    // Single words are emphasis or terms, not quotations
+    if (wordsWithOffsets(text).length >= 3) quotes.push(text);
+  }
+
+  return quotes;
+}
+
+/**
+ * Best window of the source about the quote's length: share of the quote's
+ * words found there (0 to 1) and the character span of the matched words
+ * @returns {{ similarity: number, start: number|null, end: number|null }}
+ */
+export function locateQuote(quote, sourceText) {
+  const quoteWords = wordsWithOffsets(quote).map(entry => entry.word);
+  const sourceWords = wordsWithOffsets(sourceText);
+  let best = { similarity: 0, start: null, end: null };
+
+  if (quoteWords.length === 0 || sourceWords.length === 0) return best;
+
+  // A little slack for inserted or dropped words
+  const windowSize = Math.min(sourceWords.length, quoteWords.length + 2);
+
+  for (let start = 0; start + windowSize <= sourceWords.length; start++) {
+    const wanted = new Map();
+    for (const word of quoteWords) wanted.set(word, (wanted.get(word) || 0) + 1);
+
+    let matched = 0;
+    let first = null;
+    let last = null;
+
+    for (let i = start; i < start + windowSize; i++) {
+      const count = wanted.get(sourceWords[i].word);
+      if (count) {
+        wanted.set(sourceWords[i].word, count - 1);
+        matched++;
+        first = first ?? i;
+        last = i;
+      }
+    }
+
+    const similarity = matched / quoteWords.length;
+    if (similarity > best.similarity) {
+      best = { similarity, start: sourceWords[first].start, end: sourceWords[last].end };
+      if (similarity === 1) break;
+    }
+  }
+
+  return best;
+}
+
+// Chunk fields a quote can come from
+const QUOTE_FIELDS = ['hebrew_text', 'content'];
+
+/**
+ * Find a quote among candidate chunks and anchor it to a field span
+ */
+function anchorQuote(quote, candidates, config) {
+  let best = { chunk_id: null, field: null, start: null, end: null, similarity: 0 };
+
+  for (const chunk of candidates) {
+    for (const field of QUOTE_FIELDS) {
+      const located = locateQuote(quote, chunk[field]);
+      if (located.similarity > best.similarity) {
+        best = { chunk_id: chunk.id, field, ...located };
+      }
+    }
+  }
+
+  const found = best.similarity >= config.quoteThreshold;
+
+  return {
+    text: quote,
+    chunk_id: best.chunk_id,
+    field: found ? best.field : null,
+    start: found ? best.start : null,
+    end: found ? best.end : null,
+    similarity: Math.round(best.similarity * 100) / 100,
+    found
+  };
+}
+
+function chunkTerms(chunk) {
+  return new Set(matchTerms([
+    chunk.content,
+    chunk.hebrew_text,
+    chunk.section_title,
+    chunk.chunk_summary,
+    ...(chunk.keywords || []),
+    ...(chunk.themes || [])
+  ].filter(Boolean).join(' ')));
+}
+
+/**
+ * Reference of a chunk as citations report it
+ */
+export function chunkReference(chunk) {
+  return normalizeReference(chunk.exact_reference) || chunk.exact_reference;
+}
+
+/**
+ * Checks shared by free-text sentences and structured segments
+ */
+function createAssessor(chunks, options) {
+  const config = getVerificationConfig(options);
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const termsById = new Map(chunks.map(chunk => [chunk.id, chunkTerms(chunk)]));
+
+  /**
+   * @param {Object} claim - text, claim terms, references, cited chunk ids,
+   *   whether a cited reference is missing from the sources, and quotes
+   *   as { text, chunk_id? }
+   */
+  return function assess(claim) {
+    const candidateIds = claim.chunkIds.length > 0 ? claim.chunkIds : [...chunksById.keys()];
+
+    const quotes = claim.quotes.map(quote => {
+      const ids = quote.chunk_id && chunksById.has(quote.chunk_id) ? [quote.chunk_id] : candidateIds;
+      return anchorQuote(quote.text, ids.map(id => chunksById.get(id)), config);
+    });
+
+    const sourceTerms = new Set(candidateIds.flatMap(id => [...termsById.get(id)]));
+    const coverage = claim.terms.length > 0
+      ? claim.terms.filter(term => sourceTerms.has(term)).length / claim.terms.length
+      : 0;
+
+    let support;
+    if (quotes.some(quote => !quote.found) || claim.missingSource) {
+      support = 'unsupported';
+    } else if (quotes.length > 0 || coverage >= config.supportThreshold) {
+      support = 'supported';
+    } else if (coverage >= config.supportThreshold / 2) {
+      support = 'partial';
+    } else {
+      support = 'unsupported';
+    }
+
+    return {
+      text: claim.text,
+      references: claim.references,
+      chunk_ids: claim.chunkIds,
+      quotes,
+      coverage: Math.round(coverage * 100) / 100,
+      support
+    };
+  };
+}
+
+/**
+ * Verify an answer sentence by sentence against the chunks it was generated from.
+ * @param {string} answer - generated answer
+ * @param {Array} chunks - source chunks given to the model
+ * @param {Array} citations - from OpenRouterClient.extractCitations
+ * @returns {{ sentences: Array, citations: Array, summary: Object }} citations
+ *   gain `support` and stay `verified` only when a citing sentence is supported
+ */
+export function verifyAnswer(answer, chunks, citations = [], options = {}) {
+  const assess = createAssessor(chunks, options);
+  const citationsByRef = new Map(citations.map(citation => [citation.reference, citation]));
+  const sentences = [];
+
+  for (const text of splitSentences(answer)) {
+    const references = findReferences(text);
+
+    // Claim words only: drop the references themselves and numbers
+    let claim = text;
+    for (const found of [...references].reverse()) {
+      claim = claim.slice(0, found.index) + claim.slice(found.index + found.text.length);
+    }
+    const terms = [...new Set(matchTerms(claim).filter(term => !/^\d+$/.test(term)))];
+
+    // Headings such as "Citations exactes :" or lines holding only references
+    if (terms.length < 2 || (references.length === 0 && /:\s*$/.test(text))) continue;
+
+    const refs = [...new Set(references.map(found => found.reference.ref))];
+    const chunkIds = [...new Set(refs.map(ref => citationsByRef.get(ref)?.chunk_id).filter(Boolean))];
+
+    sentences.push({
+      index: sentences.length,
+      ...assess({
+        text,
+        terms,
+        references: refs,
+        chunkIds,
+        missingSource: refs.length > 0 && chunkIds.length === 0,
+        quotes: findQuotes(text).map(quote => ({ text: quote }))
+      })
+    });
+  }
+
+  return summarize(sentences, citations);
+}
+
+/**
+ * Verify a structured answer: segments already name their chunks and quotes.
+ * Every segment is kept, in order, with its quotes anchored to source spans.
+ * @param {Array} segments - { text, chunk_ids, quotes: [{ text, chunk_id }] }
+ */
+export function verifySegments(segments, chunks, citations = [], options = {}) {
+  const assess = createAssessor(chunks, options);
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+  const sentences = segments.map((segment, index) => {
+    const chunkIds = (segment.chunk_ids || []).filter(id => chunksById.has(id));
+
+    return {
+      index,
+      ...assess({
+        text: segment.text,
+        terms: [...new Set(matchTerms(segment.text).filter(term => !/^\d+$/.test(term)))],
+        references: [...new Set(chunkIds.map(id => chunkReference(chunksById.get(id))))],
+        chunkIds,
+        missingSource: false,
+        quotes: segment.quotes || []
+      })
+    };
+  });
+
+  return summarize(sentences, citations);
+}
+
+/**
+ * Per-citation support and the overall summary
+ */
+function summarize(sentences, citations) {
+  const rank = { supported: 2, partial: 1, unsupported: 0 };
+
+  const verifiedCitations = citations.map(citation => {
+    const citing = sentences.filter(sentence => sentence.references.includes(citation.reference));
+    const support = citing.length > 0
+      ? citing.reduce((best, sentence) => (rank[sentence.support] > rank[best] ? sentence.support : best), 'unsupported')
+      : null;
+
+    return {
+      ...citation,
+      reference_matched: citation.verified,
+      support,
+      // A reference only listed (e.g. in the closing citation list) keeps its reference check
+      verified: citation.verified && support !== 'unsupported'
+    };
+  });
+
+  const count = status => sentences.filter(sentence => sentence.support === status).length;
+  const allQuotes = sentences.flatMap(sentence => sentence.quotes);
+
+  return {
+    sentences,
+    citations: verifiedCitations,
+    summary: {
+      sentences: sentences.length,
+      supported: count('supported'),
+      partial: count('partial'),
+      unsupported: count('unsupported'),
+      quotes: allQuotes.length,
+      quotes_found: allQuotes.filter(quote => quote.found).length,
+      support_rate: sentences.length > 0
+        ? Math.round(((count('supported') + count('partial') / 2) / sentences.length) * 100) / 100
+        : null
+    }
+  };
+}
@@ -0,0 +1,157 @@
+import { validate as isUuid } from 'uuid';
+import { getPostgreSQLPool } from './database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Server-side conversation sessions for multi-turn study of a text.
+ * Each turn stores the question as asked, its standalone rewrite and the
+ * chunks the answer relied on, so follow-ups can reuse that context.
+ */
+class ConversationService {
+  constructor(options = {}) {
+    this.pool = null;
+    this.initialized = false;
+    this.historyTurns = options.historyTurns || parseInt(process.env.CONVERSATION_HISTORY_TURNS) || 4;
+    this.ttlHours = options.ttlHours || parseInt(process.env.CONVERSATION_TTL_HOURS) || 72;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    this.pool = getPostgreSQLPool();
+    this.initialized = true;
+    logger.info('💬 Conversation service initialized');
+  }
+
+  /**
+   * Start a new conversation
+   */
+  async create(metadata = {}) {
+    if (!this.initialized) await this.init();
+
+    await this.pruneExpired();
+
+    const result = await this.pool.query(
+      'INSERT INTO conversations (metadata) VALUES ($1) RETURNING id, metadata, created_at, updated_at',
+      [JSON.stringify(metadata)]
+    );
+
+    return { ...result.rows[0], turns: [] };
+  }
+
+  /**
+   * Load a conversation with its most recent turns (oldest first), or null
+   */
+  async get(id, turnLimit = this.historyTurns) {
+    if (!this.initialized) await this.init();
+    if (!isUuid(id)) return null;
+
+    const conversation = await this.pool.query(
+      'SELECT id, metadata, created_at, updated_at FROM conversations WHERE id = $1',
+      [id]
+    );
+
+    if (conversation.rows.length === 0) {
+      return null;
+    }
+
+    const turns = await this.pool.query(`
+      SELECT turn_index, question, standalone_question, answer, cited_chunk_ids, created_at
+      FROM conversation_turns
+      WHERE conversation_id = $1
+      ORDER BY turn_index DESC
+      LIMIT $2
+    `, [id, turnLimit]);
+
+    return {
+      ...conversation.rows[0],
+      turns: turns.rows.reverse()
+    };
+  }
+
+  /**
+   * Append a turn and return its index. The conversation row is locked while
+   * the next index is read, so concurrent turns on one conversation queue up
+   * instead of colliding on (conversation_id, turn_index).
+   */
+  async addTurn(id, turn) {
+    if (!this.initialized) await this.init();
+
+    const { question, standaloneQuestion, answer, citedChunkIds = [] } = turn;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT id FROM conversations WHERE id = $1 FOR UPDATE', [id]);
+      if (locked.rows.length === 0) {
+        throw new Error(`Unknown conversation ${id}`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO conversation_turns
+          (conversation_id, turn_index, question, standalone_question, answer, cited_chunk_ids)
+        SELECT $1, COALESCE(MAX(turn_index), 0) + 1, $2, $3, $4, $5::uuid[]
+        FROM conversation_turns
+        WHERE conversation_id = $1
+        RETURNING turn_index
+      `, [id, question, standaloneQuestion, answer, citedChunkIds]);
+
+      await client.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [id]);
+      await client.query('COMMIT');
+
+      return result.rows[0].turn_index;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a conversation and its turns; returns false when it did not exist
+   */
+  async delete(id) {
+    if (!this.initialized) await this.init();
+    if (!isUuid(id)) return false;
+
+    const result = await this.pool.query('DELETE FROM conversations WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Drop conversations idle for longer than CONVERSATION_TTL_HOURS
+   */
+  async pruneExpired() {
+    try {
+      const result = await this.pool.query(
+        `DELETE FROM conversations WHERE updated_at < NOW() - make_interval(hours => $1)`,
+        [this.ttlHours]
+      );
+
+      if (result.rowCount > 0) {
+        logger.info(`🧹 Pruned ${result.rowCount} expired conversations`);
+      }
+    } catch (error) {
+      logger.warn('Conversation pruning failed:', error.message);
+    }
+  }
+
+  /**
+   * Chunks cited in the conversation, most recent turn first, without duplicates
+   */
+  static citedChunkIds(conversation) {
+    const ids = [];
+
+    for (const turn of [...conversation.turns].reverse()) {
+      for (const id of turn.cited_chunk_ids || []) {
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+
+    return ids;
+  }
+}
+
+export { ConversationService };
@@ -1,5 +1,7 @@
 import pg from 'pg';
 import { MongoClient } from 'mongodb';
+import { runMigrations } from './migrations.js';
+import { verifyEmbeddingDimensions, applyVectorSearchSettings } from './vector-index.js';
 import { logger } from '../utils/logger.js';
 
 const { Pool } = pg;
@@ -23,22 +25,32 @@ async function initializePostgreSQL() {
       connectionTimeoutMillis: 2000,
     });
 
+    // HNSW ef_search / IVFFlat probes are per-session settings
+    pgPool.on('connect', (client) => {
+      applyVectorSearchSettings(client).catch(error => {
+        logger.warn('Failed to apply vector search settings:', error.message);
+      });
+    });
+
     // Test connection
     const client = await pgPool.connect();
 
-    // Enable pgvector extension (temporarily disabled for initial setup)
+    // Enable pgvector extension (required by the embedding migration)
     try {
       await client.query('CREATE EXTENSION IF NOT EXISTS vector');
       logger.info('pgvector extension enabled');
     } catch (error) {
-      logger.warn('pgvector extension not available, using basic setup');
+      logger.warn('pgvector extension not available, embedding migration will fail');
     }
 
-    // Create tables
-    await createTables(client);
-
-    client.release();
-    logger.info('PostgreSQL connected and tables created');
+    // Bring the schema up to date, then refuse to mix embedding dimensions
+    try {
+      await runMigrations(client);
+      await verifyEmbeddingDimensions(client);
+    } finally {
+      client.release();
+    }
+    logger.info('PostgreSQL connected and schema migrated');
 
     return pgPool;
   } catch (error) {
@@ -64,100 +76,6 @@ async function initializeMongoDB() {
   }
 }
 
-/**
- * Create necessary tables for the vector database
- */
-async function createTables(client) {
-  // Books table for metadata
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS books (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      title TEXT NOT NULL,
-      hebrew_title TEXT,
-      sefaria_ref TEXT UNIQUE,
-      category TEXT,
-      total_chunks INTEGER DEFAULT 0,
-      metadata JSONB,
-      created_at TIMESTAMP DEFAULT NOW(),
-      updated_at TIMESTAMP DEFAULT NOW()
-    )
-  `);
-
-  // Text chunks table with vector embeddings
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS text_chunks (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      book_id UUID REFERENCES books(id) ON DELETE CASCADE,
-      chunk_index INTEGER NOT NULL,
-      content TEXT NOT NULL,
-      hebrew_text TEXT,
-      exact_reference TEXT NOT NULL,
-      section_title TEXT,
-      paragraph_number INTEGER,
-      token_count INTEGER,
-      chunk_summary TEXT,
-      themes TEXT[],
-      keywords TEXT[],
-      embedding TEXT, -- Temporary: will be vector(1536) when pgvector is ready
-      metadata JSONB,
-      created_at TIMESTAMP DEFAULT NOW()
-    )
-  `);
-
-  // Master index table for ultra-fast routing
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS master_index (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      index_type TEXT NOT NULL, -- 'theme', 'person', 'place', 'concept'
-      key_term TEXT NOT NULL,
-      hebrew_term TEXT,
-      related_chunks UUID[],
-      book_references TEXT[],
-      frequency INTEGER DEFAULT 1,
-      importance_score FLOAT DEFAULT 0.5,
-      cross_references JSONB,
-      created_at TIMESTAMP DEFAULT NOW()
-    )
-  `);
-
-  // Citations validation table
-  await client.query(`
-    CREATE TABLE IF NOT EXISTS citations (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      query_text TEXT NOT NULL,
-      response_text TEXT NOT NULL,
-      cited_chunks UUID[],
-      confidence_score FLOAT,
-      validation_status TEXT DEFAULT 'pending', -- 'pending', 'verified', 'invalid'
-      user_feedback INTEGER, -- 1-5 rating
-      created_at TIMESTAMP DEFAULT NOW()
-    )
-  `);
-
-  // Create optimized indexes (vector index temporarily disabled)
-  // await client.query(`
-  //   CREATE INDEX IF NOT EXISTS idx_text_chunks_embedding
-  //   ON text_chunks USING hnsw (embedding vector_cosine_ops)
-  // `);
-
-  await client.query(`
-    CREATE INDEX IF NOT EXISTS idx_text_chunks_reference
-    ON text_chunks(exact_reference)
-  `);
-
-  await client.query(`
-    CREATE INDEX IF NOT EXISTS idx_text_chunks_themes
-    ON text_chunks USING gin(themes)
-  `);
-
-  await client.query(`
-    CREATE INDEX IF NOT EXISTS idx_master_index_key
-    ON master_index(key_term, index_type)
-  `);
-
-  logger.info('Database tables and indexes created successfully');
-}
-
 /**
  * Get PostgreSQL pool
  */
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import pgvector from 'pgvector/pg';
+import { getEmbeddingConfig } from './embedding-config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Embedding generation with a content-hash keyed cache.
+ * Lookups go memory → embedding_cache table → provider, and misses are
+ * sent to the provider in batches of EMBEDDING_BATCH_SIZE.
+ */
+class EmbeddingCache {
+  constructor(openrouter, options = {}) {
+    this.openrouter = openrouter;
+    this.pool = options.pool || null;
+    this.config = options.config || getEmbeddingConfig();
+    this.batchSize = options.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64;
+    this.memoryLimit = options.memoryLimit || 1000;
+    this.memory = new Map();
+    this.stats = { memory_hits: 0, db_hits: 0, generated: 0 };
+  }
+
+  /**
+   * Hash used as the cache key for a text
+   */
+  static hashContent(text) {
+    return crypto.createHash('sha256').update(text.trim()).digest('hex');
+  }
+
+  /**
+   * Embed a single text (e.g. a search query)
+   */
+  async embed(text) {
+    const [embedding] = await this.embedMany([text]);
+    return embedding;
+  }
+
+  /**
+   * Embed many texts, returning embeddings in input order
+   */
+  async embedMany(texts) {
+    const hashes = texts.map(text => EmbeddingCache.hashContent(text));
+    const results = new Map();
+
+    // 1. In-process cache
+    for (const hash of hashes) {
+      if (this.memory.has(hash)) {
+        results.set(hash, this.memory.get(hash));
+        this.stats.memory_hits++;
+      }
+    }
+
+    // 2. Persistent cache
+    const missingFromMemory = [...new Set(hashes.filter(hash => !results.has(hash)))];
+    const fromDatabase = await this.lookup(missingFromMemory);
+
+    for (const [hash, embedding] of fromDatabase) {
+      results.set(hash, embedding);
+      this.remember(hash, embedding);
+      this.stats.db_hits++;
+    }
+
+    // 3. Provider, batched, one request per unique text
+    const pending = new Map();
+    texts.forEach((text, i) => {
+      if (!results.has(hashes[i]) && !pending.has(hashes[i])) {
+        pending.set(hashes[i], text);
+      }
+    });
+
+    const pendingEntries = Array.from(pending.entries());
+
+    for (let i = 0; i < pendingEntries.length; i += this.batchSize) {
+      const batch = pendingEntries.slice(i, i + this.batchSize);
+      const embeddings = await this.openrouter.generateEmbeddings(batch.map(([, text]) => text));
+
+      const generated = batch.map(([hash], j) => [hash, embeddings[j]]);
+      await this.store(generated);
+
+      for (const [hash, embedding] of generated) {
+        results.set(hash, embedding);
+        this.remember(hash, embedding);
+      }
+
+      this.stats.generated += batch.length;
+
+      if (pendingEntries.length > this.batchSize) {
+        logger.info(`🧮 Embedded ${Math.min(i + this.batchSize, pendingEntries.length)}/${pendingEntries.length} new texts`);
+      }
+    }
+
+    return hashes.map(hash => results.get(hash));
+  }
+
+  /**
+   * Fetch cached embeddings for the given hashes
+   */
+  async lookup(hashes) {
+    const found = new Map();
+    if (!this.pool || hashes.length === 0) return found;
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE embedding_cache
+        SET last_used_at = NOW()
+        WHERE model = $1 AND dimensions = $2 AND content_hash = ANY($3)
+        RETURNING content_hash, embedding::text as embedding
+      `, [this.config.modelId, this.config.dimensions, hashes]);
+
+      for (const row of result.rows) {
+        found.set(row.content_hash, JSON.parse(row.embedding));
+      }
+
+    } catch (error) {
+      logger.warn('Embedding cache lookup failed:', error.message);
+    }
+
+    return found;
+  }
+
+  /**
+   * Persist freshly generated embeddings
+   */
+  async store(entries) {
+    if (!this.pool || entries.length === 0) return;
+
+    try {
+      await this.pool.query(`
+        INSERT INTO embedding_cache (content_hash, model, dimensions, embedding)
+        SELECT hash, $1, $2, embedding::vector
+        FROM UNNEST($3::text[], $4::text[]) AS t(hash, embedding)
+        ON CONFLICT (content_hash, model, dimensions) DO UPDATE SET last_used_at = NOW()
+      `, [
+        this.config.modelId,
+        this.config.dimensions,
+        entries.map(([hash]) => hash),
+        entries.map(([, embedding]) => pgvector.toSql(embedding))
+      ]);
+
+    } catch (error) {
+      logger.warn('Embedding cache write failed:', error.message);
+    }
+  }
+
+  remember(hash, embedding) {
+    if (this.memory.size >= this.memoryLimit) {
+      // Map keeps insertion order: drop the oldest entry
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(hash, embedding);
+  }
+
+  clearMemory() {
+    this.memory.clear();
+  }
+}
+
+export { EmbeddingCache };
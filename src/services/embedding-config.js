@@ -0,0 +1,75 @@
+import { getProviderName } from './providers/index.js';
+
+/**
+ * Embedding model configuration: vector dimension and ANN index tuning.
+ * The text_chunks.embedding column is sized from this, so changing the
+ * model (or EMBEDDING_DIMENSIONS) requires `npm run vector-index -- resize`.
+ */
+
+// Default dimension per embedding model. `shortenable` models accept a
+// `dimensions` request parameter and can be truncated below their native size.
+const EMBEDDING_MODELS = {
+  'text-embedding-3-large': { native: 3072, dimensions: 1536, shortenable: true },
+  'text-embedding-3-small': { native: 1536, dimensions: 1536, shortenable: true },
+  'text-embedding-ada-002': { native: 1536, dimensions: 1536, shortenable: false },
+  'local': { native: 1536, dimensions: 1536, shortenable: true }
+};
+
+// pgvector cannot build HNSW/IVFFlat indexes on `vector` columns above this
+const MAX_INDEXED_DIMENSIONS = 2000;
+
+/**
+ * Resolve embedding model, dimension and index settings from the environment
+ */
+export function getEmbeddingConfig(env = process.env) {
+  const model = env.EMBEDDING_MODEL || 'text-embedding-3-large';
+  const bareModel = model.split('/').pop();
+  const known = EMBEDDING_MODELS[bareModel];
+
+  const dimensions = parseInt(env.EMBEDDING_DIMENSIONS) || known?.dimensions;
+
+  if (!dimensions) {
+    throw new Error(`Unknown embedding model "${model}": set EMBEDDING_DIMENSIONS explicitly`);
+  }
+
+  if (known && dimensions !== known.native && !known.shortenable) {
+    throw new Error(`Embedding model "${model}" only produces ${known.native}-dimension vectors`);
+  }
+
+  if (known && dimensions > known.native) {
+    throw new Error(`Embedding model "${model}" cannot produce more than ${known.native} dimensions`);
+  }
+
+  if (dimensions > MAX_INDEXED_DIMENSIONS) {
+    throw new Error(`EMBEDDING_DIMENSIONS=${dimensions} exceeds the ${MAX_INDEXED_DIMENSIONS} dimensions pgvector can index`);
+  }
+
+  const indexType = (env.VECTOR_INDEX_TYPE || 'hnsw').toLowerCase();
+
+  if (!['hnsw', 'ivfflat'].includes(indexType)) {
+    throw new Error(`VECTOR_INDEX_TYPE must be "hnsw" or "ivfflat", got "${indexType}"`);
+  }
+
+  return {
+    model,
+    // Vectors from different providers are not comparable even for the same model name
+    modelId: `${getProviderName(env)}:${model}`,
+    dimensions,
+    // Only send `dimensions` when it differs from what the model returns by default
+    requestDimensions: known?.shortenable && dimensions !== known.native ? dimensions : undefined,
+    index: {
+      type: indexType,
+      hnsw: {
+        m: parseInt(env.HNSW_M) || 16,
+        efConstruction: parseInt(env.HNSW_EF_CONSTRUCTION) || 64,
+        efSearch: parseInt(env.HNSW_EF_SEARCH) || 40
+      },
+      ivfflat: {
+        lists: parseInt(env.IVFFLAT_LISTS) || 100,
+        probes: parseInt(env.IVFFLAT_PROBES) || 10
+      }
+    }
+  };
+}
+
+export { EMBEDDING_MODELS, MAX_INDEXED_DIMENSIONS };
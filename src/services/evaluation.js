@@ -0,0 +1,146 @@
+import fs from 'fs/promises';
+import { normalizeReference, referencesOverlap } from '../utils/references.js';
+
+/**
+ * Metrics for the golden-question evaluation (scripts/evaluate.js).
+ *
+ * A dataset lists questions with the references a good answer relies on,
+ * e.g. Esav → "Likutei Moharan 1". A retrieved chunk or a citation is relevant
+ * when its reference overlaps an expected one, so a section-level expectation
+ * matches any paragraph of it.
+ *
+ * - recall@k: share of expected references found among the first k chunks
+ * - mrr: 1 / rank of the first relevant chunk (0 when none is retrieved)
+ * - citation_precision: share of the answer's citations that are relevant
+ * - faithfulness: support rate of the answer's sentences (citation-verifier)
+ */
+
+export const DEFAULT_KS = [1, 3, 5, 10];
+
+/**
+ * Load and check a dataset file
+ * @returns {{ name: string, version: string|number, questions: Array }}
+ */
+export async function loadDataset(path) {
+  const dataset = JSON.parse(await fs.readFile(path, 'utf8'));
+
+  if (!Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    throw new Error(`Dataset ${path} has no questions`);
+  }
+
+  const ids = new Set();
+  for (const entry of dataset.questions) {
+    if (!entry.id || !entry.question) {
+      throw new Error(`Dataset ${path}: every question needs an id and a question`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`Dataset ${path}: duplicate question id "${entry.id}"`);
+    }
+    ids.add(entry.id);
+
+    // A reference needs at least a section: "Likutei Moharan 1", not "Likutei Moharan"
+    const unparsed = (entry.expected_references || []).filter(ref => !normalizeReference(ref));
+    if (unparsed.length > 0) {
+      throw new Error(`Dataset ${path}: "${entry.id}" has unrecognized references: ${unparsed.join(', ')}`);
+    }
+  }
+
+  return {
+    name: dataset.name || path,
+    version: dataset.version ?? null,
+    questions: dataset.questions.map(entry => ({
+      ...entry,
+      expected_references: (entry.expected_references || []).map(normalizeReference)
+    }))
+  };
+}
+
+function isRelevant(reference, expected) {
+  return Boolean(reference) && expected.some(ref => referencesOverlap(ref, reference));
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Ranking metrics for retrieved references (best first)
+ * @returns {Object} `recall@k` for each k, and `mrr`; null when nothing is expected
+ */
+export function retrievalMetrics(retrieved, expected, ks = DEFAULT_KS) {
+  const metrics = {};
+
+  for (const k of ks) {
+    const top = retrieved.slice(0, k);
+    metrics[`recall@${k}`] = expected.length > 0
+      ? round(expected.filter(ref => top.some(reference => isRelevant(reference, [ref]))).length / expected.length)
+      : null;
+  }
+
+  const firstRelevant = retrieved.findIndex(reference => isRelevant(reference, expected));
+  metrics.mrr = expected.length > 0 ? round(firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0) : null;
+
+  return metrics;
+}
+
+/**
+ * Share of cited references that are expected; null without citations or expectations
+ */
+export function citationPrecision(citedReferences, expected) {
+  if (citedReferences.length === 0 || expected.length === 0) return null;
+
+  return round(citedReferences.filter(reference => isRelevant(reference, expected)).length / citedReferences.length);
+}
+
+/**
+ * Mean of each metric over the questions where it is defined
+ */
+export function summarizeRun(results) {
+  const names = [...new Set(results.flatMap(result => Object.keys(result.metrics)))];
+  const summary = {};
+
+  for (const name of names) {
+    const values = results.map(result => result.metrics[name]).filter(value => typeof value === 'number');
+    summary[name] = values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  }
+
+  return summary;
+}
+
+/**
+ * Differences with a baseline run. A metric regresses when it dropped by more
+ * than `tolerance`; questions are listed when any of their metrics moved by more.
+ */
+export function compareToBaseline(run, baseline, tolerance = 0.02) {
+  const metrics = Object.keys(run.summary).map(name => {
+    const before = baseline.summary?.[name] ?? null;
+    const after = run.summary[name];
+    const delta = before !== null && after !== null ? round(after - before) : null;
+
+    return { name, before, after, delta, regressed: delta !== null && delta < -tolerance };
+  });
+
+  const baselineById = new Map((baseline.questions || []).map(result => [result.id, result]));
+  const questions = [];
+
+  for (const result of run.questions) {
+    const previous = baselineById.get(result.id);
+    if (!previous) continue;
+
+    const changes = Object.entries(result.metrics)
+      .filter(([name, value]) => typeof value === 'number' && typeof previous.metrics[name] === 'number')
+      .map(([name, value]) => ({ name, before: previous.metrics[name], after: value, delta: round(value - previous.metrics[name]) }))
+      .filter(change => Math.abs(change.delta) > tolerance);
+
+    if (changes.length > 0) {
+      questions.push({ id: result.id, regressed: changes.some(change => change.delta < 0), changes });
+    }
+  }
+
+  return {
+    metrics,
+    questions,
+    datasetChanged: baseline.dataset?.version !== run.dataset.version,
+    regressed: metrics.some(metric => metric.regressed)
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Rank fusion for hybrid retrieval.
+ * Merges ranked result lists from sources whose scores live on different
+ * scales (cosine similarity, ts_rank, master index importance).
+ *
+ * - rrf: reciprocal rank fusion, score = Σ weight / (k + rank); ignores raw scores
+ * - weighted: per-source min-max normalized scores, weighted average
+ */
+
+const DEFAULT_WEIGHTS = {
+  vector: 1.0,
+  keyword: 0.8,
+  master: 0.5,
+  // Chunks cited earlier in the same conversation
+  conversation: 0.3
+};
+
+/**
+ * Parse "vector:1,keyword:0.8" style weight lists
+ */
+function parseWeights(value) {
+  if (!value) return {};
+
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([source, weight]) => source && !isNaN(parseFloat(weight)))
+      .map(([source, weight]) => [source, parseFloat(weight)])
+  );
+}
+
+/**
+ * Fusion settings from the environment, optionally overridden per request
+ */
+export function getFusionConfig(overrides = {}) {
+  const mode = (overrides.mode || process.env.FUSION_MODE || 'rrf').toLowerCase();
+
+  if (!['rrf', 'weighted'].includes(mode)) {
+    throw new Error(`Unknown fusion mode "${mode}". Use "rrf" or "weighted"`);
+  }
+
+  // Request bodies reach this unvalidated: a bad k or weight would turn every score into NaN or Infinity
+  const k = overrides.k ?? (parseInt(process.env.FUSION_RRF_K) || 60);
+
+  if (typeof k !== 'number' || !Number.isFinite(k) || k <= 0) {
+    throw new Error(`Fusion k must be a positive number, got "${k}"`);
+  }
+
+  if (overrides.weights !== undefined && (typeof overrides.weights !== 'object' || overrides.weights === null || Array.isArray(overrides.weights))) {
+    throw new Error('Fusion weights must be an object such as { "vector": 1, "keyword": 0.8 }');
+  }
+
+  const weights = {
+    ...DEFAULT_WEIGHTS,
+    ...parseWeights(process.env.FUSION_WEIGHTS),
+    ...(overrides.weights || {})
+  };
+
+  for (const [source, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Fusion weight for "${source}" must be a number of at least 0, got "${weight}"`);
+    }
+  }
+
+  return { mode, k, weights };
+}
+
+/**
+ * Min-max normalize the scores of one source into [0, 1]
+ */
+function normalizeScores(results) {
+  const scores = results.map(result => Number(result.score) || 0);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+
+  // Constant scores (e.g. master index fixed 0.7) carry no ranking signal beyond presence
+  if (max === min) {
+    return scores.map(() => 1);
+  }
+
+  return scores.map(score => (score - min) / (max - min));
+}
+
+/**
+ * Fuse ranked result lists.
+ * @param {Object<string, Array>} sourceResults - e.g. { vector: [...], keyword: [...], master: [...] },
+ *   each list ordered best first
+ * @param {Object} options - overrides for mode, k and weights
+ * @returns {Array} unique chunks ordered by fused score, each with `score`,
+ *   `sources` and a `fusion` breakdown per source
+ */
+export function fuseResults(sourceResults, options = {}) {
+  const config = getFusionConfig(options);
+  const fused = new Map();
+
+  for (const [source, results] of Object.entries(sourceResults)) {
+    const weight = config.weights[source] ?? 0;
+    if (!results || results.length === 0 || weight === 0) continue;
+
+    const normalized = normalizeScores(results);
+    const seenInSource = new Set();
+    let rank = 0;
+
+    results.forEach((result, i) => {
+      // A source may return the same chunk twice; only its best rank counts
+      if (seenInSource.has(result.id)) return;
+      seenInSource.add(result.id);
+      rank++;
+
+      const contribution = config.mode === 'rrf'
+        ? weight / (config.k + rank)
+        : weight * normalized[i];
+
+      if (!fused.has(result.id)) {
+        fused.set(result.id, {
+          chunk: result,
+          score: 0,
+          breakdown: {}
+        });
+      }
+
+      const entry = fused.get(result.id);
+      entry.score += contribution;
+      entry.breakdown[source] = {
+        rank,
+        raw_score: Number(result.score) || 0,
+        normalized_score: normalized[i],
+        contribution
+      };
+
+      // Prefer the most complete representation of the chunk (vector rows carry hebrew_text)
+      if (Object.keys(result).length > Object.keys(entry.chunk).length) {
+        entry.chunk = result;
+      }
+    });
+  }
+
+  const totalWeight = Object.entries(config.weights)
+    .filter(([source]) => sourceResults[source]?.length > 0)
+    .reduce((sum, [, weight]) => sum + weight, 0);
+
+  return Array.from(fused.values())
+    .map(entry => ({
+      ...entry.chunk,
+      score: config.mode === 'weighted' && totalWeight > 0 ? entry.score / totalWeight : entry.score,
+      sources: Object.keys(entry.breakdown),
+      fusion: entry.breakdown
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Compact debug view of a fused ranking
+ */
+export function describeFusion(fusedResults, options = {}, limit = 20) {
+  const config = getFusionConfig(options);
+
+  return {
+    mode: config.mode,
+    k: config.mode === 'rrf' ? config.k : undefined,
+    weights: config.weights,
+    ranking: fusedResults.slice(0, limit).map((result, i) => ({
+      rank: i + 1,
+      id: result.id,
+      reference: result.exact_reference,
+      fused_score: result.score,
+      sources: result.fusion
+    }))
+  };
+}
@@ -1,4 +1,5 @@
 import { getPostgreSQLPool } from './database.js';
+import { parseSearchQuery, searchTsQuery } from '../utils/full-text.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -159,11 +160,16 @@ class MasterIndexService {
   }
 
   /**
-   * Keyword search with filters
+   * Full-text search with filters, on the stored search_vector (see
+   * utils/full-text.js for the query syntax: words, "phrases", NEAR/n)
    */
   async keywordSearch(query, options = {}) {
     const { books = [], themes = [], limit = 20 } = options;
 
+    // Texts are indexed in their search form, so the query is normalized the same way
+    const tsQuery = searchTsQuery(parseSearchQuery(query));
+    if (!tsQuery.sql) return [];
+
     try {
       let sql = `
         SELECT
@@ -175,17 +181,15 @@ class MasterIndexService {
           tc.keywords,
           tc.token_count,
           b.title as book_title,
-          ts_rank(
-            to_tsvector('simple', tc.content),
-            plainto_tsquery('simple', $1)
-          ) as score
+          ts_rank_cd(tc.search_vector, q.query) as score
         FROM text_chunks tc
         JOIN books b ON tc.book_id = b.id
-        WHERE to_tsvector('simple', tc.content) @@ plainto_tsquery('simple', $1)
+        CROSS JOIN (SELECT ${tsQuery.sql} AS query) q
+        WHERE tc.search_vector @@ q.query
       `;
 
-      const params = [query];
-      let paramIndex = 2;
+      const params = [...tsQuery.params];
+      let paramIndex = params.length + 1;
 
       if (books.length > 0) {
         sql += ` AND b.title = ANY($${paramIndex})`;
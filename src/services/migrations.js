@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Arbitrary key so two processes never migrate the same database at once
+const MIGRATION_LOCK_KEY = 4270021;
+
+/**
+ * Versioned, reversible schema migrations.
+ * Each file in src/migrations is named NNN_name.js and exports up(client) and down(client).
+ * Applied versions are recorded in schema_migrations.
+ */
+
+/**
+ * Load migration modules sorted by version
+ */
+async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({
+      version: parseInt(file.split('_')[0], 10),
+      name: file.replace(/\.js$/, ''),
+      description: module.description || '',
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Run a callback while holding the migration advisory lock
+ */
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+/**
+ * Apply a single migration step inside its own transaction
+ */
+async function applyStep(client, migration, direction) {
+  await client.query('BEGIN');
+
+  try {
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+    logger.info(`${direction === 'up' ? '⬆️' : '⬇️'} Migration ${migration.name} ${direction === 'up' ? 'applied' : 'reverted'}`);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply all pending migrations, optionally stopping at a target version
+ */
+export async function runMigrations(client, options = {}) {
+  const { target = Infinity } = options;
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      await applyStep(client, migration, 'up');
+    }
+
+    if (pending.length === 0) {
+      logger.debug('Database schema is up to date');
+    }
+
+    return pending.map(m => m.name);
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+export async function rollbackMigrations(client, steps = 1) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      await applyStep(client, migration, 'down');
+    }
+
+    return toRevert.map(m => m.name);
+  });
+}
+
+/**
+ * List every known migration with its applied state
+ */
+export async function getMigrationStatus(client) {
+  const migrations = await loadMigrations();
+  await ensureMigrationsTable(client);
+
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    description: m.description,
+    applied: appliedAt.has(m.version),
+    applied_at: appliedAt.get(m.version) || null
+  }));
+}
@@ -0,0 +1,83 @@
+/**
+ * Chat model limits used for context budgeting.
+ * `encoding` is the closest tiktoken encoding available in JS; for models with
+ * their own tokenizer (Gemini, Claude) counts are scaled by `tokenRatio` so the
+ * budget errs on the safe side. `pricing` is USD per million input/output tokens,
+ * used to estimate cost when the provider does not report it.
+ */
+
+const CHAT_MODELS = {
+  'google/gemini-2.5-flash': { contextWindow: 1048576, maxOutput: 65536, encoding: 'o200k_base', tokenRatio: 1.1, pricing: { input: 0.3, output: 2.5 } },
+  'google/gemini-2.5-pro': { contextWindow: 1048576, maxOutput: 65536, encoding: 'o200k_base', tokenRatio: 1.1, pricing: { input: 1.25, output: 10 } },
+  'google/gemini-2.0-flash-exp': { contextWindow: 1048576, maxOutput: 8192, encoding: 'o200k_base', tokenRatio: 1.1, pricing: { input: 0, output: 0 } },
+  'google/gemini-2.0-flash-001': { contextWindow: 1048576, maxOutput: 8192, encoding: 'o200k_base', tokenRatio: 1.1, pricing: { input: 0.1, output: 0.4 } },
+  'anthropic/claude-3.5-sonnet': { contextWindow: 200000, maxOutput: 8192, encoding: 'cl100k_base', tokenRatio: 1.2, pricing: { input: 3, output: 15 } },
+  'anthropic/claude-3.7-sonnet': { contextWindow: 200000, maxOutput: 64000, encoding: 'cl100k_base', tokenRatio: 1.2, pricing: { input: 3, output: 15 } },
+  'anthropic/claude-sonnet-4': { contextWindow: 200000, maxOutput: 64000, encoding: 'cl100k_base', tokenRatio: 1.2, pricing: { input: 3, output: 15 } },
+  'openai/gpt-4o': { contextWindow: 128000, maxOutput: 16384, encoding: 'o200k_base', tokenRatio: 1.0, pricing: { input: 2.5, output: 10 } },
+  'openai/gpt-4o-mini': { contextWindow: 128000, maxOutput: 16384, encoding: 'o200k_base', tokenRatio: 1.0, pricing: { input: 0.15, output: 0.6 } }
+};
+
+// Conservative defaults for models missing from the table
+const DEFAULT_CHAT_MODEL = { contextWindow: 32768, maxOutput: 4096, encoding: 'o200k_base', tokenRatio: 1.2 };
+
+/**
+ * Parse "model=tokens,model=tokens" (model ids may contain ':' e.g. ":free")
+ */
+function parseContextLimits(value) {
+  if (!value) return {};
+
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([model, tokens]) => model && parseInt(tokens) > 0)
+      .map(([model, tokens]) => [model, parseInt(tokens)])
+  );
+}
+
+/**
+ * Context window, output limit and tokenizer settings for a chat model
+ */
+export function getModelLimits(model, env = process.env) {
+  // OpenRouter variants such as ":free" or ":nitro" share the base model limits
+  const baseModel = model.split(':')[0];
+  const known = CHAT_MODELS[model] || CHAT_MODELS[baseModel] || DEFAULT_CHAT_MODEL;
+  const overrides = parseContextLimits(env.MODEL_CONTEXT_LIMITS);
+
+  return {
+    model,
+    known: Boolean(CHAT_MODELS[model] || CHAT_MODELS[baseModel]),
+    ...known,
+    contextWindow: overrides[model] || overrides[baseModel] || known.contextWindow
+  };
+}
+
+/**
+ * Token budget for the answer prompt: how many tokens the sources may use
+ * once the prompt scaffolding and the expected answer are accounted for.
+ */
+export function getContextBudgetConfig(model, env = process.env) {
+  const limits = getModelLimits(model, env);
+  const answerTokens = Math.min(parseInt(env.ANSWER_MAX_TOKENS) || 2000, limits.maxOutput);
+
+  return {
+    limits,
+    answerTokens,
+    // Headroom for tokenizer drift and message framing
+    safetyMargin: parseFloat(env.CONTEXT_SAFETY_MARGIN) || 0.05,
+    maxSourceTokens: parseInt(env.MAX_CONTEXT_TOKENS) || null,
+    maxChunks: parseInt(env.MAX_CONTEXT_CHUNKS) || 20
+  };
+}
+
+/**
+ * Estimated cost in USD of a call, or null when the model's pricing is unknown
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+  const { pricing } = getModelLimits(model);
+  if (!pricing) return null;
+
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+}
+
+export { CHAT_MODELS };
@@ -1,66 +1,111 @@
-import axios from 'axios';
+import { createLLMProvider } from './providers/index.js';
+import { getEmbeddingConfig } from './embedding-config.js';
+import { getContextBudgetConfig, estimateCost } from './model-config.js';
+import { getTokenizer } from './tokenizer.js';
+import { currentTrace, hashPrompt } from './query-traces.js';
+import { parseReference, findReferences, compareReferences, referenceContains, referencesOverlap } from '../utils/references.js';
+import { splitSentences, findQuotes, chunkReference } from './citation-verifier.js';
 import { logger } from '../utils/logger.js';
 
+// Prompt labels for the text version shown with each source
+const VERSION_LABELS = { he: 'HÉBREU', en: 'ANGLAIS', fr: 'FRANÇAIS' };
+
 /**
- * OpenRouter API client for Gemini 2.0 Flash and Claude 3.5 Sonnet
+ * OpenRouter API client for Gemini 2.0 Flash and Claude 3.5 Sonnet.
+ * Transport goes through a pluggable LLM provider (see ./providers),
+ * so the same prompts run against OpenRouter or the offline local provider.
  */
 class OpenRouterClient {
-  constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    this.baseURL = 'https://openrouter.ai/api/v1';
-
-    if (!this.apiKey) {
-      throw new Error('OPENROUTER_API_KEY environment variable is required');
-    }
+  constructor(options = {}) {
+    this.provider = options.provider || createLLMProvider();
+    this.embeddingConfig = getEmbeddingConfig();
 
     this.models = {
       primary: process.env.PRIMARY_MODEL || 'google/gemini-2.5-flash',
       translation: process.env.TRANSLATION_MODEL || 'anthropic/claude-3.5-sonnet',
-      embedding: process.env.EMBEDDING_MODEL || 'text-embedding-3-large'
+      embedding: this.embeddingConfig.model
     };
 
-    logger.info('🤖 OpenRouter client initialized with models:', this.models);
+    logger.info(`🤖 OpenRouter client initialized (${this.provider.name} provider) with models:`, this.models);
   }
 
   /**
-   * Make a chat completion request
+   * Make a chat completion request.
+   * `task` and `context` let offline providers answer without parsing prompts.
+   * With `stream`, deltas are passed to `onToken` as they arrive and the
+   * assembled reply is returned in the usual response shape.
+   * Inside a traced query, the call is recorded with its tokens, cost and latency.
    */
   async chatCompletion(messages, options = {}) {
     const {
       model = this.models.primary,
       temperature = 0.3,
       maxTokens = 4000,
-      stream = false
+      stream = false,
+      onToken = null,
+      task = null,
+      context = null
     } = options;
 
-    try {
-      const response = await axios.post(
-        `${this.baseURL}/chat/completions`,
-        {
-          model,
-          messages,
-          temperature,
-          max_tokens: maxTokens,
-          stream,
-          top_p: 0.9
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'https://rabbi-nachman-assistant.com',
-            'X-Title': 'Rabbi Nachman Voice Assistant'
-          },
-          timeout: 30000
-        }
-      );
-
-      return response.data;
+    const started = Date.now();
+    let response;
 
-    } catch (error) {
-      logger.error('OpenRouter API error:', error.response?.data || error.message);
-      throw new Error(`OpenRouter API failed: ${error.message}`);
+    if (!stream) {
+      response = await this.provider.chatCompletion(messages, { model, temperature, maxTokens, task, context });
+    } else {
+      let content = '';
+      let usage = null;
+      const request = { model, temperature, maxTokens, task, context, onUsage: reported => { usage = reported; } };
+
+      for await (const delta of this.provider.streamChatCompletion(messages, request)) {
+        content += delta;
+        if (onToken) onToken(delta);
+      }
+
+      response = {
+        model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content },
+          finish_reason: 'stop'
+        }],
+        usage
+      };
     }
+
+    const trace = currentTrace();
+    if (trace) {
+      trace.recordLLMCall(await this.describeCall(task, model, messages, response, Date.now() - started));
+    }
+
+    return response;
+  }
+
+  /**
+   * Trace entry for a call: provider-reported usage and cost when available,
+   * otherwise counted with the model's tokenizer and priced from the model table
+   */
+  async describeCall(task, model, messages, response, ms) {
+    // The model that actually answered ("local" offline, a fallback on OpenRouter)
+    const servedModel = response.model || model;
+    let promptTokens = response.usage?.prompt_tokens;
+    let completionTokens = response.usage?.completion_tokens;
+
+    if (!promptTokens) {
+      const tokenizer = await getTokenizer(model);
+      promptTokens = messages.reduce((sum, message) => sum + tokenizer.count(message.content), 0);
+      completionTokens = tokenizer.count(response.choices?.[0]?.message?.content || '');
+    }
+
+    return {
+      task,
+      model: servedModel,
+      prompt_hash: hashPrompt(model, messages),
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      cost_usd: response.usage?.cost ?? estimateCost(servedModel, promptTokens, completionTokens),
+      ms
+    };
   }
 
   /**
@@ -91,7 +136,9 @@ Analyse cette question française et fournis UNIQUEMENT un JSON avec:
     const response = await this.chatCompletion(messages, {
       model: this.models.primary,
       temperature: 0.1,
-      maxTokens: 500
+      maxTokens: 500,
+      task: 'analyze_query',
+      context: { question: frenchQuery }
     });
 
     try {
@@ -110,6 +157,53 @@ Analyse cette question française et fournis UNIQUEMENT un JSON avec:
     }
   }
 
+  /**
+   * Rewrite a follow-up question as a standalone question using the
+   * conversation so far (turns oldest first)
+   */
+  async rewriteFollowUp(question, turns) {
+    const history = turns.map(turn => ({
+      question: turn.standalone_question || turn.question,
+      answer: (turn.answer || '').substring(0, 500)
+    }));
+
+    const transcript = history
+      .map(turn => `QUESTION: ${turn.question}\nRÉPONSE: ${turn.answer}`)
+      .join('\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: `Tu aides un étudiant qui étudie les enseignements de Rabbi Nachman de Breslov sur plusieurs questions.
+
+Réécris sa dernière question pour qu'elle soit compréhensible seule: remplace les pronoms et
+les allusions ("la deuxième partie", "ce passage", "il") par le livre, la Torah, la section
+ou le thème dont il est question dans la conversation.
+Si la question est déjà autonome, renvoie-la telle quelle.
+Fournis UNIQUEMENT la question réécrite, en français.`
+      },
+      {
+        role: 'user',
+        content: `CONVERSATION:\n${transcript}\n\nDERNIÈRE QUESTION: ${question}`
+      }
+    ];
+
+    const response = await this.chatCompletion(messages, {
+      model: this.models.primary,
+      temperature: 0,
+      maxTokens: 200,
+      task: 'rewrite_question',
+      context: { question, history }
+    });
+
+    const rewritten = response.choices[0].message.content.trim().replace(/^["«]\s*|\s*["»]$/g, '');
+
+    if (!rewritten) return question;
+
+    logger.info(`🔁 Follow-up rewritten: "${question}" → "${rewritten}"`);
+    return rewritten;
+  }
+
   /**
    * Translate text with religious context
    */
@@ -138,24 +232,45 @@ Fournis UNIQUEMENT la traduction, sans explication.${contextPrompt}`
     const response = await this.chatCompletion(messages, {
       model: this.models.translation,
       temperature: 0.2,
-      maxTokens: 1000
+      maxTokens: 1000,
+      task: 'translate',
+      context: { text, sourceLanguage, targetLanguage }
     });
 
     return response.choices[0].message.content.trim();
   }
 
   /**
-   * Generate precise answer with citations
+   * Render one chunk as it appears in the answer prompt, with the title of
+   * the version its text comes from when known. Chunks with segments are
+   * shown segment by segment, Hebrew above its translation, so the model can
+   * cite the exact paragraph.
    */
-  async generatePreciseAnswer(query, chunks, queryAnalysis) {
-    const chunksContext = chunks.map(chunk => `
+  formatSourceBlock(chunk) {
+    const label = version => `${VERSION_LABELS[version.language] || version.language.toUpperCase()} (${version.title})`;
+    const translation = chunk.version ? label(chunk.version) : 'FRANÇAIS';
+
+    const text = chunk.segments?.length > 0
+      ? chunk.segments.map(segment => `[${segment.reference}]
+HÉBREU: ${segment.hebrew || 'N/A'}
+${segment.translation ? `${label(segment.translation)}: ${segment.translation.content}` : `${translation}: N/A`}`).join('\n')
+      : `HÉBREU: ${chunk.hebrew_text || 'N/A'}
+${translation}: ${chunk.content}`;
+
+    return `
 RÉFÉRENCE: ${chunk.exact_reference}
-HÉBREU: ${chunk.hebrew_text || 'N/A'}
-FRANÇAIS: ${chunk.content}
+${text}
 CONTEXTE: ${chunk.section_title || 'N/A'}
----`).join('\n');
+---`;
+  }
 
-    const messages = [
+  /**
+   * Build the answer prompt; with no chunks it measures the fixed scaffolding
+   */
+  buildAnswerMessages(query, chunks) {
+    const chunksContext = chunks.map(chunk => this.formatSourceBlock(chunk)).join('\n');
+
+    return [
       {
         role: 'system',
         content: `Tu es un expert en enseignements de Rabbi Nachman de Breslov.
@@ -182,11 +297,24 @@ ${chunksContext}`
 Génère une réponse précise avec citations exactes.`
       }
     ];
+  }
+
+  /**
+   * Generate precise answer with citations.
+   * Pass `onToken` to receive the answer text incrementally.
+   */
+  async generatePreciseAnswer(query, chunks, queryAnalysis, options = {}) {
+    const { onToken = null } = options;
+    const messages = this.buildAnswerMessages(query, chunks);
 
     const response = await this.chatCompletion(messages, {
       model: this.models.primary,
       temperature: 0.3,
-      maxTokens: 2000
+      maxTokens: getContextBudgetConfig(this.models.primary).answerTokens,
+      stream: Boolean(onToken),
+      onToken,
+      task: 'answer',
+      context: { query, chunks, queryAnalysis }
     });
 
     const answer = response.choices[0].message.content;
@@ -204,32 +332,194 @@ Génère une réponse précise avec citations exactes.`
   }
 
   /**
-   * Extract citations from generated answer
+   * Answer prompt asking for JSON segments; sources are numbered from 1
+   */
+  buildStructuredAnswerMessages(query, chunks) {
+    const chunksContext = chunks.map((chunk, i) => `[${i + 1}]${this.formatSourceBlock(chunk)}`).join('\n');
+
+    return [
+      {
+        role: 'system',
+        content: `Tu es un expert en enseignements de Rabbi Nachman de Breslov.
+
+RÈGLES ABSOLUES:
+1. Réponds UNIQUEMENT avec les sources fournies ci-dessous
+2. Découpe ta réponse en segments d'une ou deux phrases, chacun avec les numéros des sources qui le soutiennent
+3. Pour citer un passage, recopie-le mot pour mot depuis la source (hébreu ou français) dans "quotes"
+4. Si l'information n'est pas dans les sources, un seul segment "Information non trouvée dans les sources consultées" sans source
+5. Préserve les termes hébreux importants avec leur traduction
+
+Fournis UNIQUEMENT un JSON:
+{"segments": [{"text": "...", "sources": [1], "quotes": [{"source": 1, "text": "..."}]}]}
+
+SOURCES DISPONIBLES:
+${chunksContext}`
+      },
+      {
+        role: 'user',
+        content: `QUESTION: ${query}
+
+Génère une réponse précise, segment par segment.`
+      }
+    ];
+  }
+
+  /**
+   * Generate an answer as segments, each naming the chunks that support it
+   * and the passages it quotes, so clients can link every sentence to its source.
+   * `answer` is the plain text of the segments.
+   */
+  async generateStructuredAnswer(query, chunks, queryAnalysis) {
+    const messages = this.buildStructuredAnswerMessages(query, chunks);
+
+    const response = await this.chatCompletion(messages, {
+      model: this.models.primary,
+      temperature: 0.3,
+      maxTokens: getContextBudgetConfig(this.models.primary).answerTokens,
+      task: 'answer_structured',
+      context: { query, chunks, queryAnalysis }
+    });
+
+    const content = response.choices[0].message.content;
+    const segments = this.parseAnswerSegments(content, chunks) || this.segmentsFromText(content, chunks);
+
+    // One citation per supporting chunk, in order of first use
+    const citedIds = [...new Set(segments.flatMap(segment => segment.chunk_ids))];
+    const citations = citedIds.map(id => ({
+      reference: chunkReference(chunks.find(chunk => chunk.id === id)),
+      chunk_id: id,
+      verified: true
+    }));
+
+    return {
+      answer: segments.map(segment => segment.text).join(' '),
+      segments,
+      citations,
+      confidence: this.calculateConfidence(citations, chunks),
+      model_used: this.models.primary,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Segments from a structured answer, source numbers mapped to chunk ids.
+   * Returns null when the reply is not the expected JSON.
+   */
+  parseAnswerSegments(content, chunks) {
+    const chunkId = source => chunks[Number(source) - 1]?.id ?? null;
+
+    try {
+      const { segments } = JSON.parse(content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+      if (!Array.isArray(segments)) throw new Error('"segments" is not an array');
+
+      return segments
+        .filter(segment => typeof segment?.text === 'string' && segment.text.trim())
+        .map(segment => ({
+          text: segment.text.trim(),
+          chunk_ids: [...new Set((segment.sources || []).map(chunkId).filter(Boolean))],
+          quotes: (segment.quotes || [])
+            .filter(quote => typeof quote?.text === 'string' && quote.text.trim())
+            .map(quote => ({ text: quote.text.trim(), chunk_id: chunkId(quote.source) }))
+        }));
+    } catch (parseError) {
+      logger.warn('Failed to parse structured answer, segmenting the text instead:', parseError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Segments from a free-text answer: one per sentence, linked to the chunks
+   * its references resolve to
+   */
+  segmentsFromText(answer, chunks) {
+    return splitSentences(answer).map(text => {
+      const ids = this.extractCitations(text, chunks)
+        .map(citation => citation.chunk_id)
+        .filter(Boolean);
+
+      return {
+        text,
+        chunk_ids: [...new Set(ids)],
+        quotes: findQuotes(text).map(quote => ({ text: quote, chunk_id: null }))
+      };
+    });
+  }
+
+  /**
+   * Score passages for relevance to a question (0-10 per passage).
+   * Returns raw scores in passage order, or null when the reply cannot be parsed.
+   */
+  async rerankPassages(question, chunks, options = {}) {
+    const { model = this.models.primary, maxChars = 800 } = options;
+
+    const passages = chunks.map((chunk, i) => {
+      const text = (chunk.content || chunk.hebrew_text || '').substring(0, maxChars);
+      return `[${i + 1}] ${chunk.exact_reference || ''}\n${text}`;
+    }).join('\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: `Tu évalues la pertinence de passages des enseignements de Rabbi Nachman pour une question.
+
+Pour chaque passage, donne un score de 0 (sans rapport) à 10 (répond directement à la question).
+Fournis UNIQUEMENT un JSON: {"scores": [{"index": 1, "score": 7}, ...]}`
+      },
+      {
+        role: 'user',
+        content: `QUESTION: ${question}\n\nPASSAGES:\n${passages}`
+      }
+    ];
+
+    const response = await this.chatCompletion(messages, {
+      model,
+      temperature: 0,
+      maxTokens: 20 * chunks.length + 50,
+      task: 'rerank',
+      context: { question, chunks }
+    });
+
+    try {
+      const content = response.choices[0].message.content
+        .replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      const { scores } = JSON.parse(content);
+
+      const byIndex = new Map(scores.map(entry => [Number(entry.index), Number(entry.score)]));
+      return chunks.map((chunk, i) => {
+        const score = byIndex.get(i + 1);
+        return Number.isFinite(score) ? Math.max(0, Math.min(score, 10)) : 0;
+      });
+    } catch (parseError) {
+      logger.warn('Failed to parse rerank response:', parseError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract citations from generated answer.
+   * References are compared after normalization, so "Likutei Moharan:1:3" in the
+   * answer verifies against a chunk stored as "Likutei Moharan 1:3" or "Likutei Moharan 1:2-5".
    */
   extractCitations(answer, availableChunks) {
     const citations = [];
-    const referencePattern = /(Likutei Moharan|Chayei Moharan|Sippurei Maasiyot|Sichot HaRan|Shivchei HaRan|Likutei Tefilot|Likutei Halachot|Sefer HaMidot|Tikkun HaKlali)[^:]*:[^:]*:[^\s,\.]+/gi;
-
-    const matches = answer.match(referencePattern) || [];
-
-    for (const match of matches) {
-      const matchingChunk = availableChunks.find(chunk =>
-        chunk.exact_reference && chunk.exact_reference.includes(match.trim())
-      );
-
-      if (matchingChunk) {
-        citations.push({
-          reference: match.trim(),
-          chunk_id: matchingChunk.id,
-          verified: true
-        });
-      } else {
-        citations.push({
-          reference: match.trim(),
-          chunk_id: null,
-          verified: false
-        });
-      }
+    const chunkReferences = availableChunks.map(chunk => ({
+      chunk,
+      reference: parseReference(chunk.exact_reference)
+    }));
+
+    for (const { reference } of findReferences(answer)) {
+      if (citations.some(citation => citation.reference === reference.ref)) continue;
+
+      // Exact reference first, then a chunk containing it, then any overlap
+      const match = chunkReferences.find(entry => entry.reference && compareReferences(entry.reference, reference) === 0)
+        || chunkReferences.find(entry => referenceContains(entry.reference, reference))
+        || chunkReferences.find(entry => referencesOverlap(entry.reference, reference));
+
+      citations.push({
+        reference: reference.ref,
+        chunk_id: match ? match.chunk.id : null,
+        verified: Boolean(match)
+      });
     }
 
     return citations;
@@ -254,28 +544,18 @@ Génère une réponse précise avec citations exactes.`
    * Generate embeddings for text chunks
    */
   async generateEmbedding(text) {
-    try {
-      const response = await axios.post(
-        `${this.baseURL}/embeddings`,
-        {
-          model: this.models.embedding,
-          input: text
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 15000
-        }
-      );
-
-      return response.data.data[0].embedding;
+    const [embedding] = await this.generateEmbeddings([text]);
+    return embedding;
+  }
 
-    } catch (error) {
-      logger.error('Embedding generation failed:', error.message);
-      throw new Error(`Embedding failed: ${error.message}`);
-    }
+  /**
+   * Generate embeddings for several texts in a single request
+   */
+  async generateEmbeddings(texts) {
+    return this.provider.createEmbeddings(texts, {
+      model: this.models.embedding,
+      dimensions: this.embeddingConfig.requestDimensions
+    });
   }
 
   /**
@@ -294,6 +574,7 @@ Génère une réponse précise avec citations exactes.`
 
       return {
         healthy: isHealthy,
+        provider: this.provider.name,
         models: this.models,
         timestamp: new Date().toISOString()
       };
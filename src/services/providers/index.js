@@ -0,0 +1,41 @@
+import { OpenRouterProvider } from './openrouter-provider.js';
+import { LocalProvider } from './local-provider.js';
+import { logger } from '../../utils/logger.js';
+
+const PROVIDERS = {
+  openrouter: OpenRouterProvider,
+  local: LocalProvider
+};
+
+/**
+ * Name of the configured provider. Without explicit LLM_PROVIDER, falls back
+ * to the local provider when no OpenRouter key is available so the app can boot offline.
+ */
+export function getProviderName(env = process.env) {
+  if (env.LLM_PROVIDER) {
+    return env.LLM_PROVIDER.toLowerCase();
+  }
+
+  return env.OPENROUTER_API_KEY ? 'openrouter' : 'local';
+}
+
+/**
+ * Create the LLM provider selected by LLM_PROVIDER
+ */
+export function createLLMProvider(name = getProviderName(), options = {}) {
+  const providerName = name.toLowerCase();
+
+  if (!process.env.LLM_PROVIDER && providerName === 'local') {
+    logger.warn('OPENROUTER_API_KEY not set, using offline local LLM provider');
+  }
+
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+export { OpenRouterProvider, LocalProvider };
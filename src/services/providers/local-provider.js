@@ -0,0 +1,330 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { getEmbeddingConfig } from '../embedding-config.js';
+import { logger } from '../../utils/logger.js';
+import { STOP_WORDS, foldText, tokenize, contentTerms } from '../../utils/text.js';
+
+// Themes the offline analyzer can recognize, French name first
+const THEME_LEXICON = [
+  { theme: 'joie', hebrew: 'שמחה', patterns: ['joie', 'simcha', 'simha', 'joy', 'שמחה'] },
+  { theme: 'prière', hebrew: 'תפילה', patterns: ['priere', 'tefila', 'prayer', 'תפילה'] },
+  { theme: 'repentir', hebrew: 'תשובה', patterns: ['repentir', 'techouva', 'teshuva', 'repentance', 'תשובה'] },
+  { theme: 'foi', hebrew: 'אמונה', patterns: ['foi', 'emouna', 'emuna', 'faith', 'אמונה'] },
+  { theme: 'confiance', hebrew: 'בטחון', patterns: ['confiance', 'bitachon', 'trust', 'בטחון'] },
+  { theme: 'méditation', hebrew: 'התבודדות', patterns: ['meditation', 'hitbodedout', 'hitbodedut', 'התבודדות'] },
+  { theme: 'torah', hebrew: 'תורה', patterns: ['torah', 'etude', 'study', 'תורה'] },
+  { theme: 'tsaddik', hebrew: 'צדיק', patterns: ['tsaddik', 'tzaddik', 'juste', 'צדיק'] },
+  { theme: 'paix', hebrew: 'שלום', patterns: ['paix', 'shalom', 'peace', 'שלום'] },
+  { theme: 'Esaü', hebrew: 'עשו', patterns: ['esau', 'esav', 'עשו'] }
+];
+
+const BOOK_ALIASES = [
+  { book: 'Likutei_Moharan', patterns: ['likutei moharan', 'likoutei moharan', 'likoutey moharan', 'ליקוטי מוהר'] },
+  { book: 'Chayei_Moharan', patterns: ['chayei moharan', 'hayei moharan', 'חיי מוהר'] },
+  { book: 'Sippurei_Maasiyot', patterns: ['sippurei maasiyot', 'contes', 'mendiants', 'tales', 'סיפורי מעשיות'] },
+  { book: 'Sichot_HaRan', patterns: ['sichot haran', 'sihot haran', 'שיחות הר'] },
+  { book: 'Shivchei_HaRan', patterns: ['shivchei haran', 'שבחי הר'] },
+  { book: 'Likutei_Tefilot', patterns: ['likutei tefilot', 'ליקוטי תפילות'] },
+  { book: 'Likutei_Halachot', patterns: ['likutei halachot', 'ליקוטי הלכות'] },
+  { book: 'Sefer_HaMidot', patterns: ['sefer hamidot', 'ספר המדות'] },
+  { book: 'Tikkun_HaKlali', patterns: ['tikkun haklali', 'tikoun haklali', 'psaumes', 'תיקון הכללי'] }
+];
+
+const DEFAULT_TRANSCRIPTION = 'Qu\'est-ce que Rabbi Nachman dit sur la joie?';
+
+/**
+ * Deterministic offline provider for CI and air-gapped machines.
+ * Same input always yields the same output; no network access.
+ */
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || getEmbeddingConfig().dimensions;
+    this.fixtures = loadFixtures(options.fixturesPath || process.env.LLM_FIXTURES_PATH);
+  }
+
+  /**
+   * Answer a chat request from fixtures, or from the task's offline handler
+   */
+  async chatCompletion(messages, options = {}) {
+    const { task = null, context = {} } = options;
+
+    let content;
+    const fixture = task ? this.fixtures.chat?.[task] : undefined;
+
+    if (fixture !== undefined) {
+      content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+    } else {
+      content = this.respond(task, context || {}, messages);
+    }
+
+    return {
+      id: `local-${hashText(JSON.stringify(messages)).slice(0, 12)}`,
+      model: 'local',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage: {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+      }
+    };
+  }
+
+  /**
+   * Same content as chatCompletion, yielded word by word
+   */
+  async *streamChatCompletion(messages, options = {}) {
+    const response = await this.chatCompletion(messages, options);
+
+    for (const piece of response.choices[0].message.content.split(/(?<=\s)/)) {
+      yield piece;
+    }
+
+    if (options.onUsage) options.onUsage(response.usage);
+  }
+
+  /**
+   * Feature-hashed bag-of-words vectors, L2-normalized
+   */
+  async createEmbeddings(inputs, options = {}) {
+    return inputs.map(input => this.embed(input, options.dimensions || this.dimensions));
+  }
+
+  async transcribe(audio, options = {}) {
+    const transcription = this.fixtures.transcription || {};
+
+    return {
+      text: transcription.text || DEFAULT_TRANSCRIPTION,
+      language: transcription.language || options.language || 'fr',
+      confidence: 1.0,
+      duration: transcription.duration || 0
+    };
+  }
+
+  /**
+   * Silent WAV whose length follows the text length
+   */
+  async synthesize(text) {
+    const seconds = Math.min(Math.ceil(text.length / 150), 30);
+
+    return {
+      audio: silentWav(seconds),
+      mimeType: 'audio/wav',
+      format: 'wav'
+    };
+  }
+
+  /**
+   * Offline task handlers
+   */
+
+  respond(task, context, messages) {
+    switch (task) {
+      case 'analyze_query':
+        return JSON.stringify(this.analyzeQuery(context.question || lastUserMessage(messages)));
+      case 'analyze_chunk':
+        return JSON.stringify(this.analyzeChunk(context.content || ''));
+      case 'summarize_chunk':
+        return firstSentence(context.content || '') || `Enseignement de ${context.sectionTitle}`;
+      case 'translate':
+        return context.text || '';
+      case 'answer':
+        return this.composeAnswer(context.chunks || []);
+      case 'answer_structured':
+        return JSON.stringify(this.composeStructuredAnswer(context.chunks || []));
+      case 'rewrite_question':
+        return this.rewriteQuestion(context.question || lastUserMessage(messages), context.history || []);
+      case 'rerank':
+        return JSON.stringify(this.scorePassages(context.question || '', context.chunks || []));
+      default:
+        return 'OK';
+    }
+  }
+
+  analyzeQuery(question) {
+    const normalized = foldText(question);
+    const matchedThemes = THEME_LEXICON.filter(entry =>
+      entry.patterns.some(pattern => normalized.includes(foldText(pattern)))
+    );
+
+    let queryType = 'teaching';
+    if (/\b(torah|paragraphe|chapitre|section|siman)\b|\d/.test(normalized)) {
+      queryType = 'reference';
+    } else if (/\b(quand|annee|voyage|parti|ne|mort|vie)\b/.test(normalized)) {
+      queryType = 'biographical';
+    }
+
+    return {
+      themes: matchedThemes.map(entry => entry.theme),
+      hebrew_themes: matchedThemes.map(entry => entry.hebrew),
+      suspected_books: BOOK_ALIASES
+        .filter(entry => entry.patterns.some(pattern => normalized.includes(foldText(pattern))))
+        .map(entry => entry.book),
+      query_type: queryType,
+      key_terms: topTerms(question, 8),
+      hebrew_query: matchedThemes.length > 0
+        ? matchedThemes.map(entry => entry.hebrew).join(' ')
+        : question
+    };
+  }
+
+  analyzeChunk(content) {
+    const normalized = foldText(content);
+    const matchedThemes = THEME_LEXICON.filter(entry =>
+      entry.patterns.some(pattern => normalized.includes(foldText(pattern)))
+    );
+
+    return {
+      themes: matchedThemes.map(entry => entry.theme),
+      keywords: topTerms(content, 8),
+      hebrew_concepts: matchedThemes.map(entry => entry.hebrew)
+    };
+  }
+
+  rewriteQuestion(question, history) {
+    const previous = history[history.length - 1];
+    if (!previous) return question;
+
+    // Short questions or ones opening with a connective lean on the previous turn
+    const normalized = foldText(question).trim();
+    const isFollowUp = /^(et|mais|alors|donc|puis|aussi|and|but)\b/.test(normalized)
+      || contentTerms(question).length <= 3;
+
+    return isFollowUp ? `${previous.question} ${question}` : question;
+  }
+
+  scorePassages(question, chunks) {
+    const terms = new Set(contentTerms(question));
+
+    return {
+      scores: chunks.map((chunk, i) => {
+        const tokens = new Set(tokenize(`${chunk.content || ''} ${chunk.hebrew_text || ''}`));
+        const matched = [...terms].filter(term => tokens.has(term)).length;
+        return { index: i + 1, score: terms.size > 0 ? Math.round(10 * matched / terms.size) : 0 };
+      })
+    };
+  }
+
+  composeAnswer(chunks) {
+    if (chunks.length === 0) {
+      return 'Information non trouvée dans les sources consultées';
+    }
+
+    const used = chunks.slice(0, 3);
+    const lines = used.map(chunk =>
+      `- ${firstSentence(chunk.content || chunk.hebrew_text || '')} (${chunk.exact_reference})`
+    );
+
+    return [
+      'Réponse hors ligne, extraite directement des sources consultées :',
+      '',
+      ...lines,
+      '',
+      'Citations exactes :',
+      ...used.map(chunk => `- ${chunk.exact_reference}`)
+    ].join('\n');
+  }
+
+  composeStructuredAnswer(chunks) {
+    if (chunks.length === 0) {
+      return { segments: [{ text: 'Information non trouvée dans les sources consultées', sources: [], quotes: [] }] };
+    }
+
+    return {
+      segments: chunks.slice(0, 3).map((chunk, i) => {
+        const quote = firstSentence(chunk.hebrew_text || '');
+
+        return {
+          text: firstSentence(chunk.content || chunk.hebrew_text || ''),
+          sources: [i + 1],
+          quotes: quote ? [{ source: i + 1, text: quote }] : []
+        };
+      })
+    };
+  }
+
+  embed(text, dimensions = this.dimensions) {
+    const vector = new Array(dimensions).fill(0);
+
+    for (const token of tokenize(text)) {
+      const digest = crypto.createHash('md5').update(token).digest();
+      const index = digest.readUInt32BE(0) % dimensions;
+      vector[index] += (digest[4] & 1) ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+/**
+ * Utility functions
+ */
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return {};
+
+  try {
+    const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    logger.info(`🧪 Local provider fixtures loaded from ${fixturesPath}`);
+    return fixtures;
+  } catch (error) {
+    logger.warn(`Failed to load local provider fixtures from ${fixturesPath}:`, error.message);
+    return {};
+  }
+}
+
+function topTerms(text, limit) {
+  const counts = new Map();
+
+  for (const token of tokenize(text)) {
+    if (token.length <= 3 || STOP_WORDS.has(token)) continue;
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+function firstSentence(text) {
+  const sentence = text.replace(/<[^>]*>/g, '').split(/(?<=[.!?׃])\s+/)[0] || '';
+  return sentence.length > 200 ? `${sentence.substring(0, 200)}...` : sentence.trim();
+}
+
+function lastUserMessage(messages = []) {
+  const userMessages = messages.filter(message => message.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function silentWav(seconds, sampleRate = 8000) {
+  const dataSize = seconds * sampleRate * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
+
+export { LocalProvider };
@@ -0,0 +1,266 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import { StringDecoder } from 'string_decoder';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Lines of a server-sent event stream, the last one included even when the
+ * stream ends without a newline
+ */
+async function* streamLines(stream) {
+  // Hebrew is multi-byte: never decode a UTF-8 sequence split across network chunks
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const data of stream) {
+    buffer += decoder.write(data);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+
+  buffer += decoder.end();
+  if (buffer) yield buffer;
+}
+
+/**
+ * OpenRouter implementation of the LLM provider interface
+ * (chat, embeddings, transcription, speech)
+ */
+class OpenRouterProvider {
+  constructor(options = {}) {
+    this.name = 'openrouter';
+    this.apiKey = options.apiKey || process.env.OPENROUTER_API_KEY;
+    this.baseURL = options.baseURL || 'https://openrouter.ai/api/v1';
+
+    if (!this.apiKey) {
+      throw new Error('OPENROUTER_API_KEY environment variable is required');
+    }
+  }
+
+  /**
+   * Make a chat completion request
+   */
+  async chatCompletion(messages, options = {}) {
+    const {
+      model,
+      temperature = 0.3,
+      maxTokens = 4000
+    } = options;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          top_p: 0.9,
+          // Token counts and cost (USD) in the response
+          usage: { include: true }
+        },
+        {
+          headers: this.headers({
+            'HTTP-Referer': 'https://rabbi-nachman-assistant.com',
+            'X-Title': 'Rabbi Nachman Voice Assistant'
+          }),
+          timeout: 30000
+        }
+      );
+
+      return response.data;
+
+    } catch (error) {
+      logger.error('OpenRouter API error:', error.response?.data || error.message);
+      throw new Error(`OpenRouter API failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Streamed chat completion, yields content deltas as they arrive (SSE).
+   * `onUsage` receives the token counts sent with the last event.
+   */
+  async *streamChatCompletion(messages, options = {}) {
+    const {
+      model,
+      temperature = 0.3,
+      maxTokens = 4000,
+      onUsage = null
+    } = options;
+
+    let response;
+
+    try {
+      response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: true,
+          top_p: 0.9,
+          usage: { include: true }
+        },
+        {
+          headers: this.headers({
+            'HTTP-Referer': 'https://rabbi-nachman-assistant.com',
+            'X-Title': 'Rabbi Nachman Voice Assistant'
+          }),
+          responseType: 'stream',
+          timeout: 60000
+        }
+      );
+    } catch (error) {
+      logger.error('OpenRouter streaming request failed:', error.message);
+      throw new Error(`OpenRouter API failed: ${error.message}`);
+    }
+
+    for await (const line of streamLines(response.data)) {
+      // Skip blank separators and keep-alive comments (": OPENROUTER PROCESSING")
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      // A partial or malformed line is skipped rather than ending the stream
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch {
+        logger.warn('Skipping unparsable OpenRouter stream line:', payload.slice(0, 80));
+        continue;
+      }
+
+      if (event.error) {
+        throw new Error(`OpenRouter stream error: ${event.error.message || 'unknown'}`);
+      }
+
+      if (event.usage && onUsage) onUsage(event.usage);
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  /**
+   * Generate embeddings for a list of inputs, in input order
+   */
+  async createEmbeddings(inputs, options = {}) {
+    const { model, dimensions } = options;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/embeddings`,
+        {
+          model,
+          input: inputs,
+          ...(dimensions ? { dimensions } : {})
+        },
+        {
+          headers: this.headers(),
+          timeout: 15000
+        }
+      );
+
+      return response.data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+
+    } catch (error) {
+      logger.error('Embedding generation failed:', error.message);
+      throw new Error(`Embedding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Speech-to-text with Whisper
+   */
+  async transcribe(audio, options = {}) {
+    const {
+      filename = 'audio.wav',
+      mimeType = 'audio/wav',
+      language = 'fr',
+      model = 'whisper-1'
+    } = options;
+
+    try {
+      const formData = new FormData();
+      formData.append('file', audio, { filename, contentType: mimeType });
+      formData.append('model', model);
+      formData.append('language', language);
+
+      const response = await axios.post(
+        `${this.baseURL}/audio/transcriptions`,
+        formData,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            ...formData.getHeaders()
+          },
+          timeout: 30000
+        }
+      );
+
+      return {
+        text: response.data.text,
+        language: response.data.language || language,
+        confidence: 0.9,
+        duration: response.data.duration
+      };
+
+    } catch (error) {
+      logger.error('OpenRouter transcription failed:', error.message);
+      throw new Error(`Transcription failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Text-to-speech, returns the raw audio buffer
+   */
+  async synthesize(text, options = {}) {
+    const {
+      model = 'tts-1',
+      voice = 'alloy',
+      speed = 1.0
+    } = options;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/audio/speech`,
+        {
+          model,
+          input: text,
+          voice,
+          speed
+        },
+        {
+          headers: this.headers(),
+          responseType: 'arraybuffer',
+          timeout: 30000
+        }
+      );
+
+      return {
+        audio: Buffer.from(response.data),
+        mimeType: 'audio/mpeg',
+        format: 'mp3'
+      };
+
+    } catch (error) {
+      logger.error('OpenRouter speech synthesis failed:', error.message);
+      throw new Error(`TTS failed: ${error.message}`);
+    }
+  }
+
+  headers(extra = {}) {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      ...extra
+    };
+  }
+}
+
+export { OpenRouterProvider };
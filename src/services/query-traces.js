@@ -0,0 +1,235 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+import { validate as isUuid } from 'uuid';
+import { getPostgreSQLPool } from './database.js';
+import { isChunkId } from '../utils/ids.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Trace of one /ask run, persisted in the citations table: the query analysis,
+ * candidate chunks per retrieval source, the chunks the answer was given, every
+ * LLM call (prompt hash, model, tokens, cost) and the latency of each stage.
+ *
+ * The active trace is carried by AsyncLocalStorage so services deep in the
+ * pipeline (OpenRouterClient.chatCompletion) can record into it without
+ * threading it through every signature.
+ */
+
+const traceStorage = new AsyncLocalStorage();
+
+// Candidates kept per source, enough to see what the fusion chose from
+const MAX_CANDIDATES = 50;
+
+/**
+ * Run `fn` with `trace` as the current trace
+ */
+export function runWithTrace(trace, fn) {
+  return traceStorage.run(trace, fn);
+}
+
+/**
+ * Trace of the request being processed, or null outside of /ask
+ */
+export function currentTrace() {
+  return traceStorage.getStore() || null;
+}
+
+/**
+ * Stable hash of a prompt, to group answers produced from the same input
+ */
+export function hashPrompt(model, messages) {
+  return createHash('sha256')
+    .update(JSON.stringify({ model, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function roundScore(score) {
+  return typeof score === 'number' ? Math.round(score * 10000) / 10000 : null;
+}
+
+class QueryTrace {
+  constructor(question, conversationId = null) {
+    this.question = question;
+    this.conversationId = conversationId;
+    this.startedAt = Date.now();
+    this.standaloneQuestion = null;
+    this.queryAnalysis = null;
+    this.candidates = {};
+    this.selected = [];
+    this.timings = {};
+    this.llmCalls = [];
+    this.details = {};
+    this.verification = null;
+    this.error = null;
+  }
+
+  /**
+   * Time a stage; repeated stages add up
+   */
+  async time(stage, fn) {
+    const start = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.timings[stage] = (this.timings[stage] || 0) + Date.now() - start;
+    }
+  }
+
+  /**
+   * Ranked candidates returned by one retrieval source
+   */
+  recordCandidates(source, results) {
+    this.candidates[source] = results.slice(0, MAX_CANDIDATES).map((chunk, index) => ({
+      id: chunk.id,
+      rank: index + 1,
+      score: roundScore(chunk.score)
+    }));
+  }
+
+  /**
+   * Chunks the answer model was given
+   */
+  recordSelected(chunks) {
+    this.selected = chunks.map(chunk => ({
+      id: chunk.id,
+      reference: chunk.exact_reference,
+      score: roundScore(chunk.rerank_score ?? chunk.score),
+      tokens: chunk.context_tokens ?? chunk.token_count ?? null
+    }));
+  }
+
+  /**
+   * @param {Object} call - task, model, prompt_hash, prompt_tokens,
+   *   completion_tokens, cost_usd, ms
+   */
+  recordLLMCall(call) {
+    this.llmCalls.push(call);
+  }
+
+  /**
+   * Token and cost totals over all LLM calls; cost is null when unknown for every call
+   */
+  usage() {
+    const priced = this.llmCalls.filter(call => call.cost_usd != null);
+
+    return {
+      prompt_tokens: this.llmCalls.reduce((sum, call) => sum + (call.prompt_tokens || 0), 0),
+      completion_tokens: this.llmCalls.reduce((sum, call) => sum + (call.completion_tokens || 0), 0),
+      cost_usd: priced.length > 0 ? priced.reduce((sum, call) => sum + call.cost_usd, 0) : null
+    };
+  }
+
+  /**
+   * The call that produced the answer, falling back to the last one made
+   */
+  answerCall() {
+    return this.llmCalls.filter(call => call.task?.startsWith('answer')).pop()
+      || this.llmCalls[this.llmCalls.length - 1]
+      || null;
+  }
+}
+
+class QueryTraceService {
+  constructor() {
+    this.pool = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    this.pool = getPostgreSQLPool();
+    this.initialized = true;
+    logger.info('🧾 Query trace service initialized');
+  }
+
+  /**
+   * Persist a trace with the answer it produced; returns the row id, or null
+   * when saving failed (a trace must never fail the request)
+   */
+  async save(trace, { answer = null, confidence = null, citedChunkIds = [] } = {}) {
+    try {
+      if (!this.initialized) await this.init();
+
+      const usage = trace.usage();
+      const answerCall = trace.answerCall();
+      const verification = trace.verification;
+
+      const result = await this.pool.query(`
+        INSERT INTO citations (
+          query_text, response_text, cited_chunks, confidence_score,
+          standalone_question, conversation_id, query_analysis, candidates, selected_chunks,
+          prompt_hash, model, timings, llm_calls, prompt_tokens, completion_tokens,
+          cost_usd, latency_ms, verification, details, error
+        ) VALUES ($1, $2, $3::uuid[], $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        RETURNING id
+      `, [
+        trace.question,
+        answer,
+        citedChunkIds.filter(isChunkId),
+        confidence,
+        trace.standaloneQuestion,
+        isUuid(trace.conversationId || '') ? trace.conversationId : null,
+        JSON.stringify(trace.queryAnalysis),
+        JSON.stringify(trace.candidates),
+        JSON.stringify(trace.selected),
+        answerCall?.prompt_hash || null,
+        answerCall?.model || null,
+        JSON.stringify(trace.timings),
+        JSON.stringify(trace.llmCalls),
+        usage.prompt_tokens,
+        usage.completion_tokens,
+        usage.cost_usd,
+        Date.now() - trace.startedAt,
+        verification ? JSON.stringify(verification) : null,
+        JSON.stringify(trace.details),
+        trace.error
+      ]);
+
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to save query trace:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Most recent traces, without the bulky candidate lists, optionally only
+   * those with a given validation status
+   */
+  async recent(limit = 50, { status = null } = {}) {
+    if (!this.initialized) await this.init();
+
+    const result = await this.pool.query(`
+      SELECT
+        id, query_text, standalone_question, conversation_id, confidence_score,
+        validation_status, user_feedback, feedback_comment,
+        COALESCE(jsonb_array_length(flagged_sources), 0) AS flagged_count,
+        model, prompt_hash, latency_ms, timings,
+        prompt_tokens, completion_tokens, cost_usd,
+        verification->'summary' AS verification_summary,
+        COALESCE(jsonb_array_length(selected_chunks), 0) AS selected_count,
+        error, created_at
+      FROM citations
+      WHERE $2::text IS NULL OR validation_status = $2
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limit, status]);
+
+    return result.rows;
+  }
+
+  /**
+   * Full trace of one query, or null
+   */
+  async get(id) {
+    if (!this.initialized) await this.init();
+    if (!isUuid(id)) return null;
+
+    const result = await this.pool.query('SELECT * FROM citations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+}
+
+export { QueryTrace, QueryTraceService };
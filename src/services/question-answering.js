@@ -0,0 +1,388 @@
+import { OpenRouterClient } from './openrouter.js';
+import { VectorSearchService } from './vector-search.js';
+import { MasterIndexService } from './master-index.js';
+import { ConversationService } from './conversations.js';
+import { QueryTrace, QueryTraceService, runWithTrace } from './query-traces.js';
+import { fuseResults, describeFusion } from './fusion.js';
+import { Reranker } from './reranker.js';
+import { getContextBudgetConfig } from './model-config.js';
+import { getTokenizer } from './tokenizer.js';
+import { verifyAnswer, verifySegments } from './citation-verifier.js';
+import { getVersionConfig, withVersions, segmentsFor } from './text-versions.js';
+import { parseReferenceQuery } from '../utils/references.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * The question answering pipeline behind /ask and /ask/stream, also run
+ * in-process by the evaluation harness (scripts/evaluate.js):
+ * rewrite follow-ups, analyze, look up or retrieve, answer, verify, record.
+ */
+class QuestionAnsweringService {
+  constructor(options = {}) {
+    this.openrouter = options.openrouter || new OpenRouterClient();
+    this.reranker = options.reranker || new Reranker(this.openrouter);
+    this.vectorSearch = options.vectorSearch || null;
+    this.masterIndex = options.masterIndex || null;
+    this.conversations = options.conversations || null;
+    this.queryTraces = options.queryTraces || null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    if (!this.vectorSearch) this.vectorSearch = new VectorSearchService();
+    if (!this.masterIndex) this.masterIndex = new MasterIndexService();
+    if (!this.conversations) this.conversations = new ConversationService();
+    if (!this.queryTraces) this.queryTraces = new QueryTraceService();
+
+    await Promise.all([
+      this.vectorSearch.init(),
+      this.masterIndex.init(),
+      this.conversations.init(),
+      this.queryTraces.init()
+    ]);
+
+    this.initialized = true;
+  }
+
+  /**
+   * Answer a question within a conversation.
+   * `emit(event, data)` receives progress events; when given, the answer is streamed.
+   * Every run, failed or not, is saved as a trace; its id is returned as `query_id`.
+   * With `record: false` (evaluation runs) neither the turn nor the trace is saved;
+   * pass a `trace` to read it afterwards. A conversation without an id
+   * (stateless /ask) records no turn.
+   */
+  async answer(params, conversation, options = {}) {
+    if (!this.initialized) await this.init();
+
+    const { emit = null, record = true } = options;
+    const trace = options.trace || new QueryTrace(params.question, conversation.id);
+
+    try {
+      const result = await runWithTrace(trace, () => this.runPipeline(params, conversation, emit, trace, record));
+      const queryId = await this.logQuery(trace, result, record);
+      return { ...result, query_id: queryId };
+    } catch (error) {
+      trace.error = error.message;
+      await this.logQuery(trace, null, record);
+      throw error;
+    }
+  }
+
+  async runPipeline(params, conversation, emit, trace, record) {
+    const {
+      question,
+      maxResults = 10,
+      includeAudio = false,
+      fusion = {},
+      rerank = {},
+      verification: verificationOptions = {},
+      version = {},
+      format = 'text',
+      debug = false
+    } = params;
+
+    const notify = emit || (() => {});
+    const recordTurn = record && Boolean(conversation.id);
+
+    logger.info(`🔍 New query: "${question}"`);
+
+    // Step 0: Follow-ups become standalone questions using the conversation so far
+    let standaloneQuestion = question;
+    if (conversation.turns.length > 0) {
+      notify('status', { stage: 'rewriting' });
+      standaloneQuestion = await trace.time('rewrite', () => this.openrouter.rewriteFollowUp(question, conversation.turns));
+      notify('rewrite', { question, standalone_question: standaloneQuestion });
+    }
+
+    // Step 1: Analyze the French query
+    notify('status', { stage: 'analyzing' });
+    trace.standaloneQuestion = standaloneQuestion;
+    const queryAnalysis = await trace.time('analysis', () => this.openrouter.analyzeQuery(standaloneQuestion));
+    trace.queryAnalysis = queryAnalysis;
+    notify('analysis', queryAnalysis);
+
+    // Step 2: Explicit references ("Likutei Moharan 1:3") are served directly,
+    // everything else goes through hybrid retrieval
+    notify('status', { stage: 'searching' });
+    const retrieval = await this.retrieve(standaloneQuestion, queryAnalysis, conversation, { maxResults, fusion, rerank, version, format }, trace);
+    const { topChunks, reference, passage } = retrieval;
+
+    if (passage) {
+      notify('reference', { reference: reference.ref, match: passage.match });
+    }
+
+    notify('sources', topChunks.map(chunk => ({
+      id: chunk.id,
+      reference: chunk.exact_reference,
+      section_title: chunk.section_title,
+      version: chunk.version,
+      score: chunk.rerank_score ?? chunk.score
+    })));
+
+    if (topChunks.length === 0) {
+      const answer = "Je n'ai pas trouvé d'information pertinente dans les sources consultées pour cette question.";
+      const turnIndex = recordTurn
+        ? await trace.time('conversation', () => this.conversations.addTurn(conversation.id, { question, standaloneQuestion, answer }))
+        : undefined;
+
+      return {
+        answer,
+        confidence: 0,
+        sources: [],
+        suggestions: this.generateSuggestions(queryAnalysis),
+        conversation_id: conversation.id,
+        turn_index: turnIndex,
+        standalone_question: standaloneQuestion
+      };
+    }
+
+    // Step 3: Generate precise answer with citations; structured answers come
+    // as segments linked to their chunks and are not streamed token by token
+    notify('status', { stage: 'answering' });
+    const structured = format === 'structured';
+    const response = await trace.time('answer', () => (structured
+      ? this.openrouter.generateStructuredAnswer(standaloneQuestion, topChunks, queryAnalysis)
+      : this.openrouter.generatePreciseAnswer(
+        standaloneQuestion,
+        topChunks,
+        queryAnalysis,
+        { onToken: emit ? text => emit('token', { text }) : null }
+      )));
+
+    // Step 4: Check quotes and claims against the source text, not just the references
+    const verification = await trace.time('verification', async () => (structured
+      ? verifySegments(response.segments, topChunks, response.citations, verificationOptions)
+      : verifyAnswer(response.answer, topChunks, response.citations, verificationOptions)));
+    trace.verification = { summary: verification.summary, sentences: verification.sentences };
+    const citations = withCitedVersions(verification.citations, topChunks);
+    const confidence = this.openrouter.calculateConfidence(citations, topChunks);
+    if (structured) notify('segments', verification.sentences);
+    notify('verification', verification.summary);
+
+    // Step 5: Generate audio if requested
+    let audioUrl = null;
+    if (includeAudio) {
+      // This would integrate with TTS service
+      // audioUrl = await generateAudio(response.answer);
+    }
+
+    // Step 6: Record the turn; when no citation matched a chunk, keep the chunks the answer was given
+    // (the trace is saved by answer() once the pipeline returns)
+    const citedChunkIds = [...new Set(citations.map(citation => citation.chunk_id).filter(Boolean))];
+    const turnIndex = recordTurn
+      ? await trace.time('conversation', () => this.conversations.addTurn(conversation.id, {
+        question,
+        standaloneQuestion,
+        answer: response.answer,
+        citedChunkIds: citedChunkIds.length > 0 ? citedChunkIds : topChunks.map(chunk => chunk.id)
+      }))
+      : undefined;
+
+    return {
+      answer: response.answer,
+      confidence,
+      sources: citations,
+      segments: structured ? verification.sentences : undefined,
+      verification: { summary: verification.summary, sentences: verification.sentences },
+      query_analysis: queryAnalysis,
+      chunks_used: topChunks.length,
+      audio_url: audioUrl,
+      generated_at: response.generated_at,
+      conversation_id: conversation.id,
+      turn_index: turnIndex,
+      standalone_question: standaloneQuestion,
+      reference: passage ? { ref: reference.ref, match: passage.match } : undefined,
+      debug: debug ? retrieval.debug : undefined
+    };
+  }
+
+  /**
+   * Chunks for the answer, best first: the passage for an explicit reference,
+   * otherwise hybrid retrieval. Chunks carry the text version asked for
+   * (options.version, see text-versions.js). Candidates and selected chunks go to the trace.
+   * @returns {{ topChunks: Array, reference: Object|null, passage: Object|null, debug: Object }}
+   */
+  async retrieve(question, queryAnalysis, conversation, options = {}, trace = new QueryTrace(question)) {
+    if (!this.initialized) await this.init();
+
+    const versionConfig = getVersionConfig(options.version);
+    const reference = parseReferenceQuery(question);
+    const passage = reference
+      ? await trace.time('lookup', () => this.vectorSearch.getPassageForReference(reference))
+      : null;
+
+    let retrieval;
+    if (passage) {
+      logger.info(`📍 Direct lookup: ${reference.ref} (${passage.match} match)`);
+      trace.recordCandidates('reference', passage.chunks);
+      const chunks = await withVersions(passage.chunks, this.vectorSearch, versionConfig);
+      retrieval = {
+        topChunks: await trace.time('selection', () => this.selectBestChunks(chunks, question)),
+        debug: { reference: { ...reference, match: passage.match } }
+      };
+    } else {
+      if (reference) {
+        logger.info(`📍 ${reference.ref} has no stored chunks, falling back to retrieval`);
+      }
+      retrieval = await this.retrieveChunks(question, queryAnalysis, conversation, { ...options, versionConfig }, trace);
+    }
+
+    trace.recordSelected(retrieval.topChunks);
+    trace.details = { format: options.format, version: versionConfig, ...retrieval.debug };
+
+    return { ...retrieval, reference, passage };
+  }
+
+  /**
+   * Hybrid retrieval: vector, keyword, master index and conversation sources,
+   * fused, fitted to the context budget and optionally reranked
+   */
+  async retrieveChunks(question, queryAnalysis, conversation, options, trace) {
+    const { maxResults = 10, fusion = {}, rerank = {}, versionConfig = getVersionConfig() } = options;
+
+    const [vectorResults, keywordResults, masterResults, conversationResults] = await trace.time('search', () => Promise.all([
+      // Vector similarity search
+      this.vectorSearch.search(queryAnalysis.hebrew_query, maxResults),
+      // Full-text keyword search
+      this.masterIndex.keywordSearch(queryAnalysis.hebrew_query, { limit: maxResults * 2 }),
+      // Search master index for quick routing (themes, books, key terms)
+      this.masterIndex.search(queryAnalysis),
+      // Chunks cited earlier in this conversation
+      this.vectorSearch.getChunksByIds(ConversationService.citedChunkIds(conversation))
+    ]));
+
+    const sources = {
+      vector: vectorResults,
+      keyword: keywordResults,
+      master: masterResults,
+      conversation: conversationResults
+    };
+    for (const [source, results] of Object.entries(sources)) {
+      trace.recordCandidates(source, results);
+    }
+
+    // Fuse rankings from all sources; the text shown from here on is the version asked for
+    const combinedResults = await withVersions(fuseResults(sources, fusion), this.vectorSearch, versionConfig);
+    trace.recordCandidates('fused', combinedResults);
+    const candidateChunks = await trace.time('selection', () => this.selectBestChunks(combinedResults, question));
+
+    // Optional reranking against the question, trimmed to a token budget
+    const reranked = await trace.time('rerank', () => this.reranker.rerank(question, candidateChunks, { ...rerank, queryAnalysis }));
+
+    return {
+      topChunks: reranked.chunks,
+      debug: {
+        fusion: describeFusion(combinedResults, fusion),
+        rerank: {
+          mode: reranked.mode,
+          candidates: reranked.candidates,
+          kept: reranked.chunks.length,
+          tokens: reranked.tokens,
+          scores: reranked.scores
+        }
+      }
+    };
+  }
+
+  async selectBestChunks(results, question) {
+    // Select top chunks that fit in the answer model's context window, measured
+    // with its tokenizer on the exact text sent, after prompt and answer reservations
+    const model = this.openrouter.models.primary;
+    const budget = getContextBudgetConfig(model);
+    const tokenizer = await getTokenizer(model);
+
+    const scaffoldingTokens = this.openrouter.buildAnswerMessages(question, [])
+      .reduce((sum, message) => sum + tokenizer.count(message.content), 0);
+
+    let maxTokens = Math.floor(budget.limits.contextWindow * (1 - budget.safetyMargin))
+      - scaffoldingTokens
+      - budget.answerTokens;
+
+    if (budget.maxSourceTokens) {
+      maxTokens = Math.min(maxTokens, budget.maxSourceTokens);
+    }
+
+    let totalTokens = 0;
+    const selectedChunks = [];
+    let skipped = 0;
+
+    for (const chunk of results) {
+      const contextTokens = tokenizer.count(this.openrouter.formatSourceBlock(chunk));
+
+      if (totalTokens + contextTokens <= maxTokens) {
+        selectedChunks.push({ ...chunk, context_tokens: contextTokens });
+        totalTokens += contextTokens;
+      } else {
+        skipped++;
+      }
+
+      if (selectedChunks.length >= budget.maxChunks) break;
+    }
+
+    logger.debug(`Context budget for ${model}: ${totalTokens}/${maxTokens} tokens, ${selectedChunks.length} chunks, ${skipped} skipped`);
+
+    return selectedChunks;
+  }
+
+  generateSuggestions(queryAnalysis) {
+    // Generate helpful suggestions based on failed query
+    const suggestions = [];
+
+    if (queryAnalysis.suspected_books.length > 0) {
+      suggestions.push(`Essayez de chercher dans ${queryAnalysis.suspected_books[0]}`);
+    }
+
+    if (queryAnalysis.themes.length > 0) {
+      suggestions.push(`Recherchez des enseignements sur: ${queryAnalysis.themes.join(', ')}`);
+    }
+
+    suggestions.push('Reformulez votre question avec des termes plus généraux');
+    suggestions.push('Vérifiez l\'orthographe des noms et termes hébreux');
+
+    return suggestions;
+  }
+
+  /**
+   * Log a query for analytics and save its trace; returns the trace id
+   */
+  async logQuery(trace, result, record = true) {
+    logger.query('Query processed', trace.question, {
+      confidence: result?.confidence,
+      citations: result?.sources.length,
+      unsupported_sentences: trace.verification?.summary.unsupported,
+      themes: trace.queryAnalysis?.themes,
+      error: trace.error || undefined
+    });
+
+    if (!record) return null;
+
+    return this.queryTraces.save(trace, {
+      answer: result?.answer,
+      confidence: result?.confidence,
+      citedChunkIds: (result?.sources || []).map(citation => citation.chunk_id).filter(Boolean)
+    });
+  }
+}
+
+/**
+ * Citations with the version of the text they cite (title and license) and
+ * the cited segments, Hebrew next to the translation
+ */
+function withCitedVersions(citations, chunks) {
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+  return citations.map(citation => {
+    const chunk = byId.get(citation.chunk_id);
+
+    return {
+      ...citation,
+      version: chunk?.version || null,
+      segments: chunk?.segments ? segmentsFor(chunk.segments, citation.reference) : []
+    };
+  });
+}
+
+export { QuestionAnsweringService };
@@ -0,0 +1,50 @@
+import { normalizeReference } from '../utils/references.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rewrite stored chunk references to their canonical form
+ * ("Likutei_Moharan:1:2" → "Likutei Moharan 1:2") so lookups and citation
+ * checks compare like with like. A reference is left as is when its canonical
+ * form is already used by another chunk of the same book.
+ */
+export async function normalizeStoredReferences(client) {
+  const { rows } = await client.query(
+    'SELECT id, book_id, exact_reference FROM text_chunks WHERE exact_reference IS NOT NULL'
+  );
+
+  const taken = new Set(rows.map(row => `${row.book_id}|${row.exact_reference}`));
+  const ids = [];
+  const references = [];
+  let conflicts = 0;
+
+  for (const row of rows) {
+    const normalized = normalizeReference(row.exact_reference);
+    if (!normalized || normalized === row.exact_reference) continue;
+
+    const key = `${row.book_id}|${normalized}`;
+    if (taken.has(key)) {
+      conflicts++;
+      continue;
+    }
+
+    taken.add(key);
+    ids.push(row.id);
+    references.push(normalized);
+  }
+
+  if (ids.length > 0) {
+    await client.query(`
+      UPDATE text_chunks tc
+      SET exact_reference = u.reference
+      FROM unnest($1::uuid[], $2::text[]) AS u(id, reference)
+      WHERE tc.id = u.id
+    `, [ids, references]);
+  }
+
+  if (conflicts > 0) {
+    logger.warn(`⚠️ ${conflicts} references left unchanged: canonical form already in use`);
+  }
+
+  logger.info(`🔖 Normalized ${ids.length} chunk references`);
+  return { updated: ids.length, conflicts };
+}
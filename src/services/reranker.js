@@ -0,0 +1,168 @@
+import { contentTerms, tokenize } from '../utils/text.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Optional reranking stage between retrieval and answer generation.
+ * Scores each candidate chunk against the question, then keeps the best
+ * ones within a token budget so the answer model sees less noise.
+ *
+ * - llm: the chat model scores passages 0-10 (falls back to lexical on bad output)
+ * - lexical: BM25 over the candidate set, works offline
+ * - auto: llm with a remote provider, lexical with the local provider
+ * - none: keep retrieval order untouched
+ */
+
+const RERANK_MODES = ['none', 'lexical', 'llm', 'auto'];
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Rerank settings from the environment, optionally overridden per request
+ */
+export function getRerankConfig(overrides = {}) {
+  const mode = (overrides.mode || process.env.RERANK_MODE || 'none').toLowerCase();
+
+  if (!RERANK_MODES.includes(mode)) {
+    throw new Error(`Unknown rerank mode "${mode}". Use one of: ${RERANK_MODES.join(', ')}`);
+  }
+
+  return {
+    mode,
+    topK: overrides.topK || parseInt(process.env.RERANK_TOP_K) || 8,
+    tokenBudget: overrides.tokenBudget || parseInt(process.env.RERANK_TOKEN_BUDGET) || 6000,
+    minScore: overrides.minScore ?? (parseFloat(process.env.RERANK_MIN_SCORE) || 0)
+  };
+}
+
+class Reranker {
+  constructor(openrouter) {
+    this.openrouter = openrouter;
+  }
+
+  /**
+   * Rerank candidate chunks for a question.
+   * @param {string} question - the user question
+   * @param {Array} chunks - candidates, best first
+   * @param {Object} options - overrides for mode, topK, tokenBudget, minScore,
+   *   plus `queryAnalysis` to widen lexical matching with key terms
+   * @returns {{ chunks: Array, mode: string, candidates: number, scores: Array }}
+   */
+  async rerank(question, chunks, options = {}) {
+    const config = getRerankConfig(options);
+    let mode = config.mode === 'auto'
+      ? (this.openrouter.provider.name === 'local' ? 'lexical' : 'llm')
+      : config.mode;
+
+    if (mode === 'none' || chunks.length === 0) {
+      return { chunks, mode: 'none', candidates: chunks.length, scores: [] };
+    }
+
+    let scores = null;
+
+    if (mode === 'llm') {
+      try {
+        const raw = await this.openrouter.rerankPassages(question, chunks);
+        scores = raw && raw.map(score => score / 10);
+      } catch (error) {
+        logger.warn('LLM reranking failed:', error.message);
+      }
+
+      if (!scores) {
+        logger.warn('⚠️ Falling back to lexical reranking');
+        mode = 'lexical';
+      }
+    }
+
+    if (mode === 'lexical') {
+      scores = this.lexicalScores(question, chunks, options.queryAnalysis);
+    }
+
+    const ranked = chunks
+      .map((chunk, i) => ({ ...chunk, rerank_score: scores[i], retrieval_rank: i + 1 }))
+      .sort((a, b) => b.rerank_score - a.rerank_score || a.retrieval_rank - b.retrieval_rank);
+
+    const kept = [];
+    let totalTokens = 0;
+
+    for (const chunk of ranked) {
+      if (kept.length >= config.topK) break;
+      if (chunk.rerank_score < config.minScore) break;
+
+      const tokens = chunk.context_tokens ?? chunk.token_count ?? 0;
+      // Always keep the best chunk, even when it alone exceeds the budget
+      if (kept.length > 0 && totalTokens + tokens > config.tokenBudget) continue;
+
+      kept.push(chunk);
+      totalTokens += tokens;
+    }
+
+    logger.info(`🎯 Reranked ${chunks.length} chunks (${mode}), kept ${kept.length} (${totalTokens} tokens)`);
+
+    return {
+      chunks: kept,
+      mode,
+      candidates: chunks.length,
+      tokens: totalTokens,
+      scores: ranked.map(chunk => ({
+        id: chunk.id,
+        reference: chunk.exact_reference,
+        retrieval_rank: chunk.retrieval_rank,
+        rerank_score: chunk.rerank_score,
+        kept: kept.includes(chunk)
+      }))
+    };
+  }
+
+  /**
+   * BM25 of the question terms against each candidate, normalized to [0, 1].
+   * Document frequencies come from the candidate set itself.
+   */
+  lexicalScores(question, chunks, queryAnalysis = null) {
+    const terms = new Set([
+      ...contentTerms(question),
+      ...contentTerms((queryAnalysis?.key_terms || []).join(' ')),
+      ...contentTerms(queryAnalysis?.hebrew_query || '')
+    ]);
+
+    const documents = chunks.map(chunk => tokenize([
+      chunk.content,
+      chunk.hebrew_text,
+      chunk.section_title,
+      ...(chunk.keywords || []),
+      ...(chunk.themes || [])
+    ].filter(Boolean).join(' ')));
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const documentFrequency = new Map();
+    for (const doc of documents) {
+      for (const token of new Set(doc)) {
+        if (terms.has(token)) {
+          documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+      }
+    }
+
+    const raw = documents.map(doc => {
+      const counts = new Map();
+      for (const token of doc) {
+        if (terms.has(token)) counts.set(token, (counts.get(token) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const [term, frequency] of counts) {
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+      }
+      return score;
+    });
+
+    const max = Math.max(...raw);
+    return raw.map(score => (max > 0 ? score / max : 0));
+  }
+}
+
+export { Reranker };
@@ -0,0 +1,31 @@
+import { PostgresStorage } from './postgres-storage.js';
+import { MemoryStorage } from './memory-storage.js';
+
+const BACKENDS = {
+  postgres: PostgresStorage,
+  memory: MemoryStorage
+};
+
+/**
+ * Name of the configured storage backend (STORAGE_BACKEND, default postgres)
+ */
+export function getStorageBackend(env = process.env) {
+  return (env.STORAGE_BACKEND || 'postgres').toLowerCase();
+}
+
+/**
+ * Create the corpus storage selected by STORAGE_BACKEND. The memory backend
+ * lives and dies with the process: tests and offline runs only.
+ */
+export function createStorage(name = getStorageBackend(), options = {}) {
+  const backendName = name.toLowerCase();
+  const Storage = BACKENDS[backendName];
+
+  if (!Storage) {
+    throw new Error(`Unknown storage backend "${backendName}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return new Storage(options);
+}
+
+export { PostgresStorage, MemoryStorage };
@@ -0,0 +1,534 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { OpenRouterClient } from '../openrouter.js';
+import { EmbeddingCache } from '../embedding-cache.js';
+import { normalizeReference, referenceContains, referencesOverlap } from '../../utils/references.js';
+import { foldText } from '../../utils/text.js';
+import { searchForm, addAbbreviation, listAbbreviations } from '../../utils/hebrew.js';
+import { documentLexemes, parseSearchQuery, matchSearchQuery } from '../../utils/full-text.js';
+import { isChunkId } from '../../utils/ids.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * In-process corpus storage for tests and offline runs: the same operations
+ * as PostgresStorage on plain Maps, with services shaped like the Postgres
+ * ones (the subset the question answering pipeline and the admin views use).
+ * Vector search is exact cosine similarity over embeddings computed on demand;
+ * with the local LLM provider the whole flow is deterministic.
+ * Nothing outlives the process.
+ */
+class MemoryStorage {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.openrouter = options.openrouter || null;
+    this.embeddings = null;
+    this.books = new Map();
+    this.chunks = new Map();
+    this.masterIndex = null;
+    this.conversations = new Map();
+    this.citations = new Map();
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    if (!this.openrouter) this.openrouter = new OpenRouterClient();
+    this.embeddings = new EmbeddingCache(this.openrouter);
+    this.initialized = true;
+    logger.info('🧪 In-memory storage initialized');
+  }
+
+  /**
+   * Save a book's chunks; ids match the ones PostgresStorage derives
+   */
+  async saveChunks(bookName, chunks, bookData = {}) {
+    if (!this.initialized) await this.init();
+
+    let book = this.books.get(bookName);
+    if (!book) {
+      book = {
+        id: this.books.size + 1,
+        title: bookName.replace(/_/g, ' '),
+        hebrew_title: null,
+        sefaria_ref: bookName,
+        category: 'Breslov',
+        metadata: { extraction_method: bookData.extraction_method || 'unknown' },
+        total_chunks: 0,
+        created_at: new Date()
+      };
+      this.books.set(bookName, book);
+    }
+    book.hebrew_title = bookData.heTitle || bookData.heIndexTitle || book.hebrew_title;
+    book.updated_at = new Date();
+
+    // Chunks this run no longer produces are dropped, as in PostgresStorage.saveChunks
+    const ids = new Set(chunks.map(chunk => legacyChunkId(chunk.id)));
+    for (const [id, row] of this.chunks) {
+      if (row.book_id === book.id && !ids.has(id)) this.chunks.delete(id);
+    }
+
+    chunks.forEach((chunk, i) => {
+      const id = legacyChunkId(chunk.id);
+      const contentSearch = chunk.content_search ?? searchForm(chunk.content);
+      const hebrewSearch = chunk.hebrew_search ?? searchForm(chunk.hebrew_text);
+
+      this.chunks.set(id, {
+        id,
+        book_id: book.id,
+        chunk_index: i,
+        content: chunk.content,
+        hebrew_text: chunk.hebrew_text || null,
+        content_search: contentSearch,
+        hebrew_search: hebrewSearch,
+        search_lexemes: documentLexemes(contentSearch, hebrewSearch),
+        exact_reference: normalizeReference(chunk.reference) || chunk.reference,
+        section_title: chunk.metadata?.section_title || null,
+        paragraph_number: chunk.section_number,
+        token_count: chunk.token_count,
+        chunk_summary: null,
+        themes: [],
+        keywords: [],
+        versions: chunk.versions || [],
+        segments: chunk.segments || [],
+        metadata: {
+          ...chunk.metadata,
+          legacy_id: chunk.id,
+          section_reference: chunk.exact_reference,
+          chunk_type: chunk.chunk_type
+        },
+        created_at: this.chunks.get(id)?.created_at || new Date()
+      });
+    });
+
+    book.total_chunks = [...this.chunks.values()].filter(chunk => chunk.book_id === book.id).length;
+  }
+
+  /**
+   * Every stored chunk with its book, in reading order
+   */
+  async getAllChunks() {
+    return this.rows().map(row => ({
+      id: row.id,
+      book_name: row.book_name,
+      section_number: row.paragraph_number,
+      chunk_number: row.chunk_index,
+      reference: row.exact_reference,
+      exact_reference: row.exact_reference,
+      content: row.content,
+      hebrew_text: row.hebrew_text,
+      token_count: row.token_count,
+      metadata: row.metadata,
+      created_at: row.created_at
+    }));
+  }
+
+  async saveMasterIndex(masterIndex) {
+    this.masterIndex = masterIndex;
+    logger.info('💾 Master index kept in memory');
+  }
+
+  /**
+   * Services the question answering pipeline reads from
+   */
+  createServices() {
+    return {
+      vectorSearch: new MemoryVectorSearch(this),
+      masterIndex: new MemoryMasterIndex(this),
+      conversations: new MemoryConversations(this),
+      queryTraces: new MemoryQueryTraces(this),
+      abbreviations: new MemoryAbbreviations(this)
+    };
+  }
+
+  async close() {
+    this.initialized = false;
+  }
+
+  /**
+   * Chunks joined with their book, like `text_chunks JOIN books`
+   */
+  rows() {
+    const books = new Map([...this.books.values()].map(book => [book.id, book]));
+
+    return [...this.chunks.values()]
+      .map(chunk => {
+        const book = books.get(chunk.book_id);
+        return {
+          ...chunk,
+          book_name: book.sefaria_ref,
+          book_title: book.title,
+          hebrew_title: book.hebrew_title,
+          category: book.category
+        };
+      })
+      .sort((a, b) => a.book_name.localeCompare(b.book_name) || a.chunk_index - b.chunk_index);
+  }
+}
+
+class MemoryVectorSearch {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async init() {
+    await this.storage.init();
+  }
+
+  /**
+   * Exact cosine similarity over every chunk (embeddings are L2-normalized)
+   */
+  async search(query, limit = 10, filters = {}) {
+    await this.init();
+
+    const rows = this.storage.rows().filter(row => (!filters.books?.length || filters.books.includes(row.book_title))
+      && (!filters.themes?.length || row.themes.some(theme => filters.themes.includes(theme))));
+    if (rows.length === 0) return [];
+
+    const [queryEmbedding, ...embeddings] = await this.storage.embeddings.embedMany([query, ...rows.map(row => row.content)]);
+
+    return rows
+      .map((row, i) => {
+        const score = embeddings[i].reduce((sum, value, j) => sum + value * queryEmbedding[j], 0);
+        return { ...toChunk(row), score, distance: 1 - score };
+      })
+      .filter(chunk => !filters.minScore || chunk.score >= filters.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async getChunksByIds(ids) {
+    return ids
+      .map(id => this.storage.rows().find(row => row.id === id))
+      .filter(Boolean)
+      .map(row => ({ ...toChunk(row), score: 1 }));
+  }
+
+  /**
+   * Text versions of chunks, default versions first
+   */
+  async getChunkVersions(ids) {
+    const versions = new Map();
+
+    for (const id of ids) {
+      const row = this.storage.chunks.get(id);
+      if (!row) continue;
+
+      versions.set(id, [...row.versions].sort((a, b) => (b.is_default - a.is_default)
+        || a.language.localeCompare(b.language)
+        || a.version_title.localeCompare(b.version_title)));
+    }
+
+    return versions;
+  }
+
+  /**
+   * Segments of chunks in reading order (Hebrew and translations side by side)
+   */
+  async getChunkSegments(ids) {
+    const segments = new Map();
+
+    for (const id of ids) {
+      const row = this.storage.chunks.get(id);
+      if (row) segments.set(id, row.segments);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Same matching as VectorSearchService.getPassageForReference
+   */
+  async getPassageForReference(reference, contextSize = 1) {
+    const rows = this.storage.rows();
+    const section = rows.filter(row => row.exact_reference === reference.sectionRef
+      || row.exact_reference.startsWith(`${reference.sectionRef}:`));
+
+    if (section.length === 0) {
+      const overlapping = rows.filter(row => row.exact_reference.startsWith(`${reference.book} `)
+        && !row.exact_reference.slice(reference.book.length + 1).includes(':')
+        && referencesOverlap(row.exact_reference, reference));
+
+      return overlapping.length > 0
+        ? { match: 'range', chunks: overlapping.map(row => ({ ...toChunk(row), is_target: true })) }
+        : null;
+    }
+
+    if (reference.end) {
+      const overlapping = section.filter(row => referencesOverlap(row.exact_reference, reference));
+
+      if (overlapping.length > 0) {
+        return { match: 'range', chunks: overlapping.map(row => ({ ...toChunk(row), is_target: true })) };
+      }
+    }
+
+    const target = reference.segment
+      && section.find(row => referenceContains(row.exact_reference, reference));
+
+    if (target) {
+      const chunks = rows
+        .filter(row => row.book_id === target.book_id
+          && Math.abs(row.chunk_index - target.chunk_index) <= contextSize)
+        .map(row => ({ ...toChunk(row), is_target: row.id === target.id }))
+        .sort((a, b) => b.is_target - a.is_target);
+
+      return { match: 'exact', chunks };
+    }
+
+    return {
+      match: 'section',
+      chunks: section.slice(0, 50).map(row => ({ ...toChunk(row), is_target: true }))
+    };
+  }
+
+  async getChunkByReference(reference) {
+    const exactReference = normalizeReference(reference) || reference;
+    const row = this.storage.rows().find(candidate => candidate.exact_reference === exactReference);
+
+    return row ? toChunk(row) : null;
+  }
+}
+
+class MemoryMasterIndex {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async init() {
+    await this.storage.init();
+  }
+
+  /**
+   * Route through the index built by scripts/build-index.js: themes, suspected
+   * books and key terms, like MasterIndexService.search
+   */
+  async search(queryAnalysis) {
+    const index = this.storage.masterIndex || { themes: {}, keywords: {} };
+    const chunkIds = new Map();
+    const add = (ids, score) => ids.forEach(id => chunkIds.set(id, Math.max(chunkIds.get(id) || 0, score)));
+
+    for (const theme of queryAnalysis.themes || []) {
+      const term = foldText(theme);
+      for (const [key, entry] of Object.entries(index.themes)) {
+        if (foldText(key).includes(term) || entry.hebrew === theme) add(entry.chunks, 0.9);
+      }
+    }
+
+    for (const book of queryAnalysis.suspected_books || []) {
+      const name = foldText(book);
+      const rows = this.storage.rows()
+        .filter(row => foldText(row.book_title).includes(name) || foldText(row.book_name).includes(name));
+      add(rows.slice(0, 50).map(row => row.id), 0.8);
+    }
+
+    for (const term of queryAnalysis.key_terms || []) {
+      const folded = foldText(term);
+      for (const [key, entry] of Object.entries(index.keywords)) {
+        if (key.includes(folded)) add(entry.chunks, 0.7);
+      }
+    }
+
+    return this.storage.rows()
+      .filter(row => chunkIds.has(row.id))
+      .map(row => ({ ...toChunk(row), score: chunkIds.get(row.id) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Chunks matching every clause of the query, ranked by matched occurrences;
+   * same syntax and analysis as the Postgres search_vector (utils/full-text.js)
+   */
+  async keywordSearch(query, options = {}) {
+    const { books = [], themes = [], limit = 20 } = options;
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return [];
+
+    return this.storage.rows()
+      .filter(row => (books.length === 0 || books.includes(row.book_title))
+        && (themes.length === 0 || row.themes.some(theme => themes.includes(theme))))
+      .map(row => ({ ...toChunk(row), score: matchSearchQuery(clauses, row.search_lexemes).score }))
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async getChunksByIds(chunkIds) {
+    return this.storage.rows()
+      .filter(row => chunkIds.includes(row.id))
+      .map(row => ({ ...toChunk(row), score: 0.7 }));
+  }
+
+  async getAvailableBooks() {
+    return [...this.storage.books.values()]
+      .map(book => ({ ...book, popular_themes: [] }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+}
+
+class MemoryConversations {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.historyTurns = options.historyTurns || parseInt(process.env.CONVERSATION_HISTORY_TURNS) || 4;
+  }
+
+  async init() {
+    await this.storage.init();
+  }
+
+  async create(metadata = {}) {
+    const now = new Date();
+    const conversation = { id: uuidv4(), metadata, created_at: now, updated_at: now, turns: [] };
+
+    this.storage.conversations.set(conversation.id, conversation);
+    return { ...conversation, turns: [] };
+  }
+
+  async get(id, turnLimit = this.historyTurns) {
+    const conversation = this.storage.conversations.get(id);
+    if (!conversation) return null;
+
+    return { ...conversation, turns: conversation.turns.slice(-turnLimit) };
+  }
+
+  async addTurn(id, turn) {
+    const conversation = this.storage.conversations.get(id);
+    if (!conversation) throw new Error(`Unknown conversation ${id}`);
+
+    const { question, standaloneQuestion, answer, citedChunkIds = [] } = turn;
+    const turnIndex = conversation.turns.length + 1;
+
+    conversation.turns.push({
+      turn_index: turnIndex,
+      question,
+      standalone_question: standaloneQuestion,
+      answer,
+      cited_chunk_ids: citedChunkIds,
+      created_at: new Date()
+    });
+    conversation.updated_at = new Date();
+
+    return turnIndex;
+  }
+
+  async delete(id) {
+    return this.storage.conversations.delete(id);
+  }
+}
+
+class MemoryQueryTraces {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async init() {
+    await this.storage.init();
+  }
+
+  /**
+   * Keep a trace as a citations row; returns its id
+   */
+  async save(trace, { answer = null, confidence = null, citedChunkIds = [] } = {}) {
+    const usage = trace.usage();
+    const answerCall = trace.answerCall();
+    const id = uuidv4();
+
+    this.storage.citations.set(id, {
+      id,
+      query_text: trace.question,
+      response_text: answer,
+      cited_chunks: citedChunkIds.filter(isChunkId),
+      confidence_score: confidence,
+      validation_status: 'pending',
+      user_feedback: null,
+      standalone_question: trace.standaloneQuestion,
+      conversation_id: trace.conversationId,
+      query_analysis: trace.queryAnalysis,
+      candidates: trace.candidates,
+      selected_chunks: trace.selected,
+      prompt_hash: answerCall?.prompt_hash || null,
+      model: answerCall?.model || null,
+      timings: trace.timings,
+      llm_calls: trace.llmCalls,
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      cost_usd: usage.cost_usd,
+      latency_ms: Date.now() - trace.startedAt,
+      verification: trace.verification,
+      details: trace.details,
+      error: trace.error,
+      created_at: new Date()
+    });
+
+    return id;
+  }
+
+  async recent(limit = 50, { status = null } = {}) {
+    return [...this.storage.citations.values()]
+      .filter(row => !status || row.validation_status === status)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async get(id) {
+    return this.storage.citations.get(id) || null;
+  }
+}
+
+/**
+ * Same id as Postgres' md5(legacy_id)::uuid
+ */
+function legacyChunkId(legacyId) {
+  const hex = crypto.createHash('md5').update(legacyId).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function toChunk(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    hebrew_text: row.hebrew_text,
+    exact_reference: row.exact_reference,
+    section_title: row.section_title,
+    token_count: row.token_count,
+    chunk_summary: row.chunk_summary,
+    themes: row.themes || [],
+    keywords: row.keywords || [],
+    book_title: row.book_title,
+    hebrew_title: row.hebrew_title,
+    category: row.category,
+    metadata: row.metadata
+  };
+}
+
+/**
+ * Added abbreviations go to the process-wide dictionary of utils/hebrew.js,
+ * like the ones AbbreviationService loads from its table
+ */
+class MemoryAbbreviations {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async init() {
+    await this.storage.init();
+  }
+
+  async list() {
+    return listAbbreviations();
+  }
+
+  async add({ abbreviation, expansions }) {
+    const entry = addAbbreviation({ abbreviation, expansions });
+    const chunks = [...this.storage.chunks.values()].filter(chunk => chunk.search_lexemes.has(entry.key));
+
+    for (const chunk of chunks) {
+      chunk.content_search = searchForm(chunk.content);
+      chunk.hebrew_search = searchForm(chunk.hebrew_text);
+      chunk.search_lexemes = documentLexemes(chunk.content_search, chunk.hebrew_search);
+    }
+
+    return { entry, chunks_updated: chunks.length };
+  }
+}
+
+export { MemoryStorage };
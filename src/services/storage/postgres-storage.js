@@ -0,0 +1,256 @@
+import pgvector from 'pgvector/pg';
+import { initializeDatabase, getPostgreSQLPool, closeConnections } from '../database.js';
+import { OpenRouterClient } from '../openrouter.js';
+import { EmbeddingCache } from '../embedding-cache.js';
+import { getEmbeddingConfig } from '../embedding-config.js';
+import { VectorSearchService } from '../vector-search.js';
+import { MasterIndexService } from '../master-index.js';
+import { ConversationService } from '../conversations.js';
+import { QueryTraceService } from '../query-traces.js';
+import { AbbreviationService } from '../abbreviations.js';
+import { normalizeReference } from '../../utils/references.js';
+import { searchForm } from '../../utils/hebrew.js';
+import { hebrewLexemes } from '../../utils/full-text.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Corpus storage in PostgreSQL + pgvector (books, text_chunks, master_index),
+ * used by the ingestion scripts and, through createServices(), by the API
+ */
+class PostgresStorage {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.openrouter = options.openrouter || null;
+    this.pool = null;
+    this.embeddings = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    await initializeDatabase();
+    this.pool = getPostgreSQLPool();
+    this.embeddings = new EmbeddingCache(this.openrouter || new OpenRouterClient(), { pool: this.pool });
+
+    // Chunks are indexed with the editors' abbreviations too
+    await new AbbreviationService().init();
+    this.initialized = true;
+  }
+
+  /**
+   * Save a book's chunks to the canonical books + text_chunks tables, with
+   * their text versions in chunk_versions and their segments in text_segments.
+   * Chunk ids are md5(legacy id)::uuid so re-runs (and migrate.js import-legacy) upsert.
+   * Embeddings go through the embedding cache: on a re-run only chunks whose
+   * content changed reach the provider, in batches.
+   */
+  async saveChunks(bookName, chunks, bookData = {}) {
+    if (!this.initialized) await this.init();
+
+    // Embedded before the transaction is opened, like VectorSearchService.storeChunksBatch
+    const embeddings = await this.embeddings.embedMany(chunks.map(chunk => chunk.content));
+    logger.info(`🧮 Embedding cache for ${bookName}:`, this.embeddings.stats);
+
+    const embeddingModel = getEmbeddingConfig().modelId;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const bookResult = await client.query(`
+        INSERT INTO books (title, hebrew_title, sefaria_ref, category, metadata)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (sefaria_ref) DO UPDATE SET
+          hebrew_title = COALESCE(EXCLUDED.hebrew_title, books.hebrew_title),
+          updated_at = NOW()
+        RETURNING id
+      `, [
+        bookName.replace(/_/g, ' '),
+        bookData.heTitle || bookData.heIndexTitle || null,
+        bookName,
+        'Breslov',
+        { extraction_method: bookData.extraction_method || 'unknown' }
+      ]);
+
+      const bookId = bookResult.rows[0].id;
+
+      // Chunk ids are positional, so re-chunking a book gives them other passages:
+      // chunks this run no longer produces are dropped, and the kept ones park their
+      // reference on their id until the upsert below, so two of them trading
+      // references never collide on (book_id, exact_reference)
+      await client.query(`
+        DELETE FROM text_chunks
+        WHERE book_id = $1
+        AND NOT (id = ANY(SELECT md5(legacy_id)::uuid FROM unnest($2::text[]) AS legacy_id))
+      `, [bookId, chunks.map(chunk => chunk.id)]);
+
+      await client.query('UPDATE text_chunks SET exact_reference = id::text WHERE book_id = $1', [bookId]);
+
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const hebrewSearch = chunk.hebrew_search ?? searchForm(chunk.hebrew_text);
+
+        await client.query(`
+          INSERT INTO text_chunks (
+            id, book_id, chunk_index, content, hebrew_text, exact_reference,
+            section_title, paragraph_number, token_count, metadata,
+            content_search, hebrew_search, hebrew_lexemes,
+            embedding, embedding_model, content_hash
+          ) VALUES (md5($1)::uuid, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::tsvector, $14, $15, $16)
+          ON CONFLICT (id) DO UPDATE SET
+            chunk_index = EXCLUDED.chunk_index,
+            content = EXCLUDED.content,
+            hebrew_text = EXCLUDED.hebrew_text,
+            exact_reference = EXCLUDED.exact_reference,
+            section_title = EXCLUDED.section_title,
+            paragraph_number = EXCLUDED.paragraph_number,
+            token_count = EXCLUDED.token_count,
+            metadata = EXCLUDED.metadata,
+            embedding = EXCLUDED.embedding,
+            embedding_model = EXCLUDED.embedding_model,
+            content_hash = EXCLUDED.content_hash,
+            content_search = EXCLUDED.content_search,
+            hebrew_search = EXCLUDED.hebrew_search,
+            hebrew_lexemes = EXCLUDED.hebrew_lexemes
+        `, [
+          chunk.id,
+          bookId,
+          i,
+          chunk.content,
+          chunk.hebrew_text || null,
+          normalizeReference(chunk.reference) || chunk.reference,
+          chunk.metadata?.section_title || null,
+          chunk.section_number,
+          chunk.token_count,
+          {
+            ...chunk.metadata,
+            legacy_id: chunk.id,
+            section_reference: chunk.exact_reference,
+            chunk_type: chunk.chunk_type
+          },
+          chunk.content_search ?? searchForm(chunk.content),
+          hebrewSearch,
+          hebrewLexemes(hebrewSearch),
+          pgvector.toSql(embeddings[i]),
+          embeddingModel,
+          EmbeddingCache.hashContent(chunk.content)
+        ]);
+
+        await client.query('DELETE FROM chunk_versions WHERE chunk_id = md5($1)::uuid', [chunk.id]);
+
+        for (const version of chunk.versions || []) {
+          await client.query(`
+            INSERT INTO chunk_versions (chunk_id, language, version_title, license, version_source, is_default, content)
+            VALUES (md5($1)::uuid, $2, $3, $4, $5, $6, $7)
+          `, [
+            chunk.id,
+            version.language,
+            version.version_title,
+            version.license,
+            version.version_source,
+            version.is_default,
+            version.content
+          ]);
+        }
+
+        await client.query('DELETE FROM text_segments WHERE chunk_id = md5($1)::uuid', [chunk.id]);
+
+        for (const [position, segment] of (chunk.segments || []).entries()) {
+          await client.query(`
+            INSERT INTO text_segments (chunk_id, position, reference, hebrew, translations)
+            VALUES (md5($1)::uuid, $2, $3, $4, $5)
+          `, [
+            chunk.id,
+            position,
+            segment.reference,
+            segment.hebrew,
+            JSON.stringify(segment.translations)
+          ]);
+        }
+      }
+
+      await client.query(
+        'UPDATE books SET total_chunks = (SELECT COUNT(*) FROM text_chunks WHERE book_id = $1) WHERE id = $1',
+        [bookId]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Every stored chunk with its book, in reading order
+   */
+  async getAllChunks() {
+    if (!this.initialized) await this.init();
+
+    const result = await this.pool.query(`
+      SELECT
+        tc.id,
+        b.sefaria_ref as book_name,
+        tc.paragraph_number as section_number,
+        tc.chunk_index as chunk_number,
+        tc.exact_reference as reference,
+        tc.exact_reference,
+        tc.content,
+        tc.hebrew_text,
+        tc.token_count,
+        tc.metadata,
+        tc.created_at
+      FROM text_chunks tc
+      JOIN books b ON tc.book_id = b.id
+      ORDER BY b.sefaria_ref, tc.chunk_index
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Replace the complete master index (scripts/build-index.js)
+   */
+  async saveMasterIndex(masterIndex) {
+    if (!this.initialized) await this.init();
+
+    await this.pool.query('DELETE FROM master_index WHERE index_type = $1', ['master']);
+
+    await this.pool.query(`
+      INSERT INTO master_index (index_type, key_term, related_chunks, frequency, cross_references)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      'master',
+      'complete_index',
+      [], // No specific chunks for master index
+      1,
+      masterIndex
+    ]);
+
+    logger.info('💾 Master index saved to database');
+  }
+
+  /**
+   * Services the question answering pipeline reads from
+   */
+  createServices() {
+    return {
+      vectorSearch: new VectorSearchService(),
+      masterIndex: new MasterIndexService(),
+      conversations: new ConversationService(),
+      queryTraces: new QueryTraceService(),
+      abbreviations: new AbbreviationService()
+    };
+  }
+
+  async close() {
+    await closeConnections();
+    this.initialized = false;
+  }
+}
+
+export { PostgresStorage };
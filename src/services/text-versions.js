@@ -0,0 +1,130 @@
+import { referencesOverlap } from '../utils/references.js';
+
+/**
+ * Text versions of a passage: the Hebrew original and the translations
+ * extracted from Sefaria (several English ones, French when it exists), each
+ * with its version title and license. Chunks keep the default translation in
+ * `content`; a query can ask for another version, which is then shown to the
+ * model and cited instead.
+ *
+ * A request picks a version by title, or the first version in a language
+ * (default versions first). Chunks without it keep their default translation.
+ * The same choice applies per segment to the aligned Hebrew/translation pairs
+ * of text_segments.
+ */
+
+export const VERSION_LANGUAGES = ['he', 'en', 'fr'];
+
+/**
+ * Version choice from the environment (TEXT_VERSION_LANGUAGE), optionally
+ * overridden per request: { language: 'fr' } or { title: '<version title>' }
+ */
+export function getVersionConfig(overrides = {}) {
+  const language = (overrides.language || process.env.TEXT_VERSION_LANGUAGE || '').toLowerCase() || null;
+
+  if (language && !VERSION_LANGUAGES.includes(language)) {
+    throw new Error(`Unknown version language "${language}". Use one of: ${VERSION_LANGUAGES.join(', ')}`);
+  }
+
+  return {
+    language,
+    title: overrides.title || null
+  };
+}
+
+/**
+ * The version a config asks for among a chunk's versions, or null
+ */
+export function chooseVersion(versions, config) {
+  if (config.title) {
+    const byTitle = versions.find(version => version.version_title === config.title);
+    if (byTitle) return byTitle;
+  }
+
+  if (config.language) {
+    const inLanguage = versions.filter(version => version.language === config.language);
+    return inLanguage.find(version => version.is_default) || inLanguage[0] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Chunk as shown for a version choice: `content` is the chosen version's
+ * text and `version` says which one it is, with its license
+ */
+export function applyVersion(chunk, versions = [], config = getVersionConfig()) {
+  const chosen = chooseVersion(versions, config);
+  const shown = chosen || versions.find(version => version.is_default && version.language !== 'he');
+
+  return {
+    ...chunk,
+    content: chosen ? chosen.content : chunk.content,
+    version: shown ? describeVersion(shown, Boolean(chosen) || (!config.title && !config.language)) : null
+  };
+}
+
+/**
+ * Apply a version choice to chunks, loading their versions and segments from
+ * the search service: each chunk also gets `segments`, its Hebrew and the
+ * chosen translation aligned segment by segment
+ */
+export async function withVersions(chunks, vectorSearch, config = getVersionConfig()) {
+  if (chunks.length === 0) return chunks;
+
+  const ids = chunks.map(chunk => chunk.id);
+  const [versionsById, segmentsById] = await Promise.all([
+    vectorSearch.getChunkVersions(ids),
+    vectorSearch.getChunkSegments(ids)
+  ]);
+
+  return chunks.map(chunk => ({
+    ...applyVersion(chunk, versionsById.get(chunk.id) || [], config),
+    segments: alignedSegments(segmentsById.get(chunk.id) || [], config)
+  }));
+}
+
+/**
+ * Stored segments as shown for a version choice: each segment's reference,
+ * Hebrew and translation (the chosen version, else the default translation)
+ */
+export function alignedSegments(segments, config = getVersionConfig()) {
+  return segments.map(segment => {
+    const translations = segment.translations || [];
+    const translation = chooseVersion(translations, config)
+      || translations.find(version => version.is_default)
+      || translations[0];
+
+    return {
+      reference: segment.reference,
+      hebrew: segment.hebrew || null,
+      translation: translation
+        ? { language: translation.language, title: translation.version_title, content: translation.content }
+        : null
+    };
+  });
+}
+
+/**
+ * Segments covering a reference: `Likutei Moharan 1:4` keeps that segment
+ * of a chunk stored as `1:3-5`; a reference that is not narrower keeps them all
+ */
+export function segmentsFor(segments, reference) {
+  const covered = segments.filter(segment => referencesOverlap(segment.reference, reference));
+  return covered.length > 0 ? covered : segments;
+}
+
+/**
+ * Public description of a version (no text); `matched` is false when the
+ * requested version was not available and the default is shown instead
+ */
+export function describeVersion(version, matched = true) {
+  return {
+    language: version.language,
+    title: version.version_title,
+    license: version.license || null,
+    source: version.version_source || null,
+    is_default: Boolean(version.is_default),
+    matched
+  };
+}
@@ -0,0 +1,59 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import { getModelLimits } from './model-config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Token counting with real BPE encodings.
+ * Ranks are a few MB each, so they are loaded on first use and shared.
+ */
+
+const RANK_LOADERS = {
+  o200k_base: () => import('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => import('js-tiktoken/ranks/cl100k_base')
+};
+
+const encoders = new Map();
+
+async function loadEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    const loader = RANK_LOADERS[encoding];
+
+    if (!loader) {
+      throw new Error(`Unsupported tokenizer encoding "${encoding}"`);
+    }
+
+    encoders.set(encoding, loader().then(module => {
+      logger.debug(`Tokenizer ${encoding} loaded`);
+      return new Tiktoken(module.default);
+    }));
+  }
+
+  return encoders.get(encoding);
+}
+
+/**
+ * Tokenizer for a chat model. `count` is synchronous once loaded and
+ * already scaled by the model's token ratio.
+ */
+export async function getTokenizer(model) {
+  const limits = getModelLimits(model);
+  const encoder = await loadEncoder(limits.encoding);
+
+  return {
+    model,
+    encoding: limits.encoding,
+    count(text) {
+      if (!text) return 0;
+      // Special-token text (e.g. "<|endoftext|>") in sources must be counted, not rejected
+      return Math.ceil(encoder.encode(text, 'all').length * limits.tokenRatio);
+    }
+  };
+}
+
+/**
+ * Count tokens of a text for a model
+ */
+export async function countTokens(text, model) {
+  const tokenizer = await getTokenizer(model);
+  return tokenizer.count(text);
+}
@@ -0,0 +1,135 @@
+import { getEmbeddingConfig } from './embedding-config.js';
+import { logger } from '../utils/logger.js';
+
+const INDEX_NAME = 'idx_text_chunks_embedding';
+
+/**
+ * pgvector column and ANN index management for text_chunks.embedding
+ */
+
+/**
+ * Current dimension of the embedding column, and stored embeddings per model
+ */
+export async function getVectorColumnInfo(client) {
+  const column = await client.query(`
+    SELECT format_type(a.atttypid, a.atttypmod) as type, a.atttypmod as typmod
+    FROM pg_attribute a
+    WHERE a.attrelid = 'text_chunks'::regclass
+    AND a.attname = 'embedding'
+    AND NOT a.attisdropped
+  `);
+
+  if (column.rows.length === 0) {
+    return null;
+  }
+
+  const index = await client.query(`
+    SELECT indexdef FROM pg_indexes
+    WHERE tablename = 'text_chunks' AND indexname = $1
+  `, [INDEX_NAME]);
+
+  const models = await client.query(`
+    SELECT
+      COALESCE(embedding_model, 'unknown') as model,
+      vector_dims(embedding) as dimensions,
+      COUNT(*) as count
+    FROM text_chunks
+    WHERE embedding IS NOT NULL
+    GROUP BY 1, 2
+    ORDER BY 3 DESC
+  `);
+
+  const { type, typmod } = column.rows[0];
+
+  return {
+    type,
+    dimensions: type.startsWith('vector') && typmod > 0 ? typmod : null,
+    index: index.rows[0]?.indexdef || null,
+    stored: models.rows.map(row => ({
+      model: row.model,
+      dimensions: parseInt(row.dimensions),
+      count: parseInt(row.count)
+    }))
+  };
+}
+
+/**
+ * Refuse to run when the column, stored embeddings and configured model disagree.
+ * Mixing vectors from different models/dimensions makes similarity scores meaningless.
+ */
+export async function verifyEmbeddingDimensions(client, config = getEmbeddingConfig()) {
+  const info = await getVectorColumnInfo(client);
+
+  if (!info) {
+    throw new Error('text_chunks.embedding column not found. Run: npm run migrate');
+  }
+
+  if (info.dimensions !== config.dimensions) {
+    throw new Error(
+      `Embedding dimension mismatch: text_chunks.embedding is ${info.type} but ` +
+      `${config.model} is configured for ${config.dimensions} dimensions. ` +
+      'Run: npm run vector-index -- resize (clears stored embeddings)'
+    );
+  }
+
+  const foreign = info.stored.filter(entry => entry.model !== config.modelId);
+
+  if (foreign.length > 0) {
+    const summary = foreign.map(entry => `${entry.count} from ${entry.model}`).join(', ');
+    throw new Error(
+      `Stored embeddings were produced by another model (${summary}), configured: ${config.modelId}. ` +
+      'Run: npm run vector-index -- resize to clear and re-embed'
+    );
+  }
+
+  logger.info(`📐 Embeddings: ${config.modelId}, ${config.dimensions} dimensions, ${info.index ? config.index.type : 'no'} index`);
+  return info;
+}
+
+/**
+ * (Re)create the ANN index with the configured type and build parameters
+ */
+export async function createVectorIndex(client, config = getEmbeddingConfig()) {
+  const { type, hnsw, ivfflat } = config.index;
+
+  await client.query(`DROP INDEX IF EXISTS ${INDEX_NAME}`);
+
+  if (type === 'ivfflat') {
+    await client.query(`
+      CREATE INDEX ${INDEX_NAME}
+      ON text_chunks USING ivfflat (embedding vector_cosine_ops)
+      WITH (lists = ${ivfflat.lists})
+    `);
+  } else {
+    await client.query(`
+      CREATE INDEX ${INDEX_NAME}
+      ON text_chunks USING hnsw (embedding vector_cosine_ops)
+      WITH (m = ${hnsw.m}, ef_construction = ${hnsw.efConstruction})
+    `);
+  }
+
+  logger.info(`🧭 Vector index ${INDEX_NAME} built (${type})`);
+}
+
+/**
+ * Change the embedding column dimension. Existing embeddings cannot be
+ * converted between dimensions, so they are cleared and must be regenerated.
+ */
+export async function resizeEmbeddingColumn(client, config = getEmbeddingConfig()) {
+  await client.query(`DROP INDEX IF EXISTS ${INDEX_NAME}`);
+  await client.query('UPDATE text_chunks SET embedding = NULL, embedding_model = NULL');
+  await client.query(`ALTER TABLE text_chunks ALTER COLUMN embedding TYPE vector(${config.dimensions})`);
+  await createVectorIndex(client, config);
+
+  logger.info(`📐 text_chunks.embedding resized to vector(${config.dimensions}); embeddings must be regenerated`);
+}
+
+/**
+ * Session-level query tuning, applied to every new pool connection
+ */
+export async function applyVectorSearchSettings(client, config = getEmbeddingConfig()) {
+  const { hnsw, ivfflat } = config.index;
+
+  await client.query(`SET hnsw.ef_search = ${hnsw.efSearch}`);
+  await client.query(`SET ivfflat.probes = ${ivfflat.probes}`);
+}
@@ -1,5 +1,11 @@
+import pgvector from 'pgvector/pg';
 import { getPostgreSQLPool } from './database.js';
 import { OpenRouterClient } from './openrouter.js';
+import { getEmbeddingConfig } from './embedding-config.js';
+import { EmbeddingCache } from './embedding-cache.js';
+import { normalizeReference, referenceContains, referencesOverlap } from '../utils/references.js';
+import { searchForm } from '../utils/hebrew.js';
+import { hebrewLexemes } from '../utils/full-text.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -9,6 +15,8 @@ class VectorSearchService {
   constructor() {
     this.pool = null;
     this.openrouter = new OpenRouterClient();
+    this.embeddingModelId = getEmbeddingConfig().modelId;
+    this.embeddings = null;
     this.initialized = false;
   }
 
@@ -16,6 +24,7 @@ class VectorSearchService {
     if (this.initialized) return;
 
     this.pool = getPostgreSQLPool();
+    this.embeddings = new EmbeddingCache(this.openrouter, { pool: this.pool });
     this.initialized = true;
     logger.info('🔍 Vector search service initialized');
   }
@@ -27,8 +36,8 @@ class VectorSearchService {
     if (!this.initialized) await this.init();
 
     try {
-      // Generate embedding for the query
-      const queryEmbedding = await this.openrouter.generateEmbedding(query);
+      // Embed the query (cached: identical queries are embedded once)
+      const queryEmbedding = await this.embeddings.embed(query);
 
       // Build SQL query with filters
       let sql = `
@@ -52,7 +61,7 @@ class VectorSearchService {
         JOIN books b ON tc.book_id = b.id
       `;
 
-      const params = [JSON.stringify(queryEmbedding)];
+      const params = [pgvector.toSql(queryEmbedding)];
       let paramIndex = 2;
 
       // Add filters
@@ -110,7 +119,187 @@ class VectorSearchService {
   }
 
   /**
-   * Get a specific chunk by reference
+   * Load chunks by id, in the order given (e.g. chunks cited earlier in a conversation)
+   */
+  async getChunksByIds(ids) {
+    if (!this.initialized) await this.init();
+    if (ids.length === 0) return [];
+
+    try {
+      const result = await this.pool.query(`
+        SELECT
+          tc.*,
+          b.title as book_title,
+          b.hebrew_title,
+          b.category
+        FROM text_chunks tc
+        JOIN books b ON tc.book_id = b.id
+        WHERE tc.id = ANY($1::uuid[])
+      `, [ids]);
+
+      const byId = new Map(result.rows.map(row => [row.id, row]));
+
+      return ids.filter(id => byId.has(id)).map(id => ({ ...toChunk(byId.get(id)), score: 1 }));
+
+    } catch (error) {
+      logger.error('Get chunks by id failed:', error);
+      throw new Error(`Failed to get chunks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Text versions of chunks (chunk_versions), default versions first
+   * @returns {Map<string, Array>} chunk id → versions
+   */
+  async getChunkVersions(ids) {
+    if (!this.initialized) await this.init();
+
+    const versions = new Map();
+    if (ids.length === 0) return versions;
+
+    try {
+      const result = await this.pool.query(`
+        SELECT chunk_id, language, version_title, license, version_source, is_default, content
+        FROM chunk_versions
+        WHERE chunk_id = ANY($1::uuid[])
+        ORDER BY is_default DESC, language, version_title
+      `, [ids]);
+
+      for (const row of result.rows) {
+        if (!versions.has(row.chunk_id)) versions.set(row.chunk_id, []);
+        versions.get(row.chunk_id).push(row);
+      }
+
+      return versions;
+
+    } catch (error) {
+      logger.error('Get chunk versions failed:', error);
+      throw new Error(`Failed to get chunk versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Segments of chunks (text_segments) in reading order, each with its
+   * reference, Hebrew and translations side by side
+   * @returns {Map<string, Array>} chunk id → segments
+   */
+  async getChunkSegments(ids) {
+    if (!this.initialized) await this.init();
+
+    const segments = new Map();
+    if (ids.length === 0) return segments;
+
+    try {
+      const result = await this.pool.query(`
+        SELECT chunk_id, reference, hebrew, translations
+        FROM text_segments
+        WHERE chunk_id = ANY($1::uuid[])
+        ORDER BY chunk_id, position
+      `, [ids]);
+
+      for (const row of result.rows) {
+        if (!segments.has(row.chunk_id)) segments.set(row.chunk_id, []);
+        segments.get(row.chunk_id).push({ reference: row.reference, hebrew: row.hebrew, translations: row.translations });
+      }
+
+      return segments;
+
+    } catch (error) {
+      logger.error('Get chunk segments failed:', error);
+      throw new Error(`Failed to get chunk segments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a parsed reference (see utils/references.js) to stored chunks.
+   * A segment ref matches the chunk containing it (e.g. "1:4" in a chunk stored
+   * as "1:3-5"), with neighbouring chunks as context; otherwise every chunk of
+   * the section is returned in reading order. A segment of a single-level node
+   * (an introduction) matches the chunks overlapping it, like a range.
+   * @returns {{ match: 'exact'|'range'|'section', chunks: Array }|null}
+   */
+  async getPassageForReference(reference, contextSize = 1) {
+    if (!this.initialized) await this.init();
+
+    const columns = `
+      tc.*,
+      b.title as book_title,
+      b.hebrew_title,
+      b.category
+    `;
+
+    try {
+      const section = await this.pool.query(`
+        SELECT ${columns}
+        FROM text_chunks tc
+        JOIN books b ON tc.book_id = b.id
+        WHERE tc.exact_reference = $1
+        OR left(tc.exact_reference, length($1) + 1) = $1 || ':'
+        ORDER BY tc.chunk_index
+      `, [reference.sectionRef]);
+
+      if (section.rows.length === 0) {
+        // Single-level nodes are addressed by segment: "Likutei Halachot, Introduction 2"
+        // lies in the chunk stored as "Likutei Halachot, Introduction 1-2"
+        const node = await this.pool.query(`
+          SELECT ${columns}
+          FROM text_chunks tc
+          JOIN books b ON tc.book_id = b.id
+          WHERE left(tc.exact_reference, length($1) + 1) = $1 || ' '
+          AND position(':' in substr(tc.exact_reference, length($1) + 2)) = 0
+          ORDER BY tc.chunk_index
+        `, [reference.book]);
+
+        const overlapping = node.rows.filter(row => referencesOverlap(row.exact_reference, reference));
+
+        return overlapping.length > 0
+          ? { match: 'range', chunks: overlapping.map(row => ({ ...toChunk(row), is_target: true })) }
+          : null;
+      }
+
+      // A range returns every chunk it overlaps
+      if (reference.end) {
+        const overlapping = section.rows.filter(row => referencesOverlap(row.exact_reference, reference));
+
+        if (overlapping.length > 0) {
+          return { match: 'range', chunks: overlapping.map(row => ({ ...toChunk(row), is_target: true })) };
+        }
+      }
+
+      const target = reference.segment
+        && section.rows.find(row => referenceContains(row.exact_reference, reference));
+
+      if (target) {
+        const result = await this.pool.query(`
+          SELECT ${columns}
+          FROM text_chunks tc
+          JOIN books b ON tc.book_id = b.id
+          WHERE tc.book_id = $1 AND tc.chunk_index BETWEEN $2 AND $3
+          ORDER BY tc.chunk_index
+        `, [target.book_id, Math.max(0, target.chunk_index - contextSize), target.chunk_index + contextSize]);
+
+        // Target first so it survives context budgeting, neighbours after
+        const chunks = result.rows
+          .map(row => ({ ...toChunk(row), is_target: row.id === target.id }))
+          .sort((a, b) => b.is_target - a.is_target);
+
+        return { match: 'exact', chunks };
+      }
+
+      return {
+        match: 'section',
+        chunks: section.rows.slice(0, 50).map(row => ({ ...toChunk(row), is_target: true }))
+      };
+
+    } catch (error) {
+      logger.error('Reference lookup failed:', error);
+      throw new Error(`Failed to look up ${reference.ref}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a specific chunk by reference ("Likutei_Moharan:1:2" and
+   * "Likutei Moharan 1:2" find the same chunk)
    */
   async getChunkByReference(reference) {
     if (!this.initialized) await this.init();
@@ -127,7 +316,7 @@ class VectorSearchService {
         WHERE tc.exact_reference = $1
       `;
 
-      const result = await this.pool.query(sql, [reference]);
+      const result = await this.pool.query(sql, [normalizeReference(reference) || reference]);
 
       if (result.rows.length === 0) {
         return null;
@@ -216,37 +405,8 @@ class VectorSearchService {
     if (!this.initialized) await this.init();
 
     try {
-      // Generate embedding for the chunk content
-      const embedding = await this.openrouter.generateEmbedding(chunk.content);
-
-      const sql = `
-        INSERT INTO text_chunks (
-          id, book_id, chunk_index, content, hebrew_text, exact_reference,
-          section_title, paragraph_number, token_count, chunk_summary,
-          themes, keywords, embedding, metadata
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
-        )
-      `;
-
-      const params = [
-        chunk.id,
-        chunk.book_id,
-        chunk.chunk_index,
-        chunk.content,
-        chunk.hebrew_text,
-        chunk.exact_reference,
-        chunk.section_title,
-        chunk.paragraph_number,
-        chunk.token_count,
-        chunk.chunk_summary,
-        chunk.themes,
-        chunk.keywords,
-        JSON.stringify(embedding),
-        chunk.metadata
-      ];
-
-      await this.pool.query(sql, params);
+      const embedding = await this.embeddings.embed(chunk.content);
+      await this.storeChunkWithClient(this.pool, chunk, embedding);
 
       logger.debug(`✅ Stored chunk ${chunk.exact_reference}`);
 
@@ -264,13 +424,18 @@ class VectorSearchService {
 
     logger.info(`📥 Storing ${chunks.length} chunks in batch...`);
 
+    // Embed before opening the transaction: cached content is reused and
+    // only new or changed chunks reach the provider, in batched requests
+    const embeddings = await this.embeddings.embedMany(chunks.map(chunk => chunk.content));
+    logger.info('🧮 Embedding cache:', this.embeddings.stats);
+
     const client = await this.pool.connect();
 
     try {
       await client.query('BEGIN');
 
       for (let i = 0; i < chunks.length; i++) {
-        await this.storeChunkWithClient(client, chunks[i]);
+        await this.storeChunkWithClient(client, chunks[i], embeddings[i]);
 
         if ((i + 1) % 10 === 0) {
           logger.info(`📝 Stored ${i + 1}/${chunks.length} chunks`);
@@ -290,22 +455,44 @@ class VectorSearchService {
   }
 
   /**
-   * Store chunk using existing database client (for transactions)
+   * Store chunk using existing database client (for transactions).
+   * Re-ingesting a reference replaces the previous chunk for it.
    */
-  async storeChunkWithClient(client, chunk) {
-    // Generate embedding for the chunk content
-    const embedding = await this.openrouter.generateEmbedding(chunk.content);
+  async storeChunkWithClient(client, chunk, embedding = null) {
+    if (!embedding) {
+      embedding = await this.embeddings.embed(chunk.content);
+    }
 
     const sql = `
       INSERT INTO text_chunks (
         id, book_id, chunk_index, content, hebrew_text, exact_reference,
         section_title, paragraph_number, token_count, chunk_summary,
-        themes, keywords, embedding, metadata
+        themes, keywords, embedding, embedding_model, content_hash, metadata,
+        content_search, hebrew_search, hebrew_lexemes
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19::tsvector
       )
+      ON CONFLICT (book_id, exact_reference) DO UPDATE SET
+        chunk_index = EXCLUDED.chunk_index,
+        content = EXCLUDED.content,
+        hebrew_text = EXCLUDED.hebrew_text,
+        section_title = EXCLUDED.section_title,
+        paragraph_number = EXCLUDED.paragraph_number,
+        token_count = EXCLUDED.token_count,
+        chunk_summary = EXCLUDED.chunk_summary,
+        themes = EXCLUDED.themes,
+        keywords = EXCLUDED.keywords,
+        embedding = EXCLUDED.embedding,
+        embedding_model = EXCLUDED.embedding_model,
+        content_hash = EXCLUDED.content_hash,
+        metadata = EXCLUDED.metadata,
+        content_search = EXCLUDED.content_search,
+        hebrew_search = EXCLUDED.hebrew_search,
+        hebrew_lexemes = EXCLUDED.hebrew_lexemes
     `;
 
+    const hebrewSearch = searchForm(chunk.hebrew_text);
+
     const params = [
       chunk.id,
       chunk.book_id,
@@ -319,8 +506,13 @@ class VectorSearchService {
       chunk.chunk_summary,
       chunk.themes,
       chunk.keywords,
-      JSON.stringify(embedding),
-      chunk.metadata
+      pgvector.toSql(embedding),
+      this.embeddingModelId,
+      EmbeddingCache.hashContent(chunk.content),
+      chunk.metadata,
+      searchForm(chunk.content),
+      hebrewSearch,
+      hebrewLexemes(hebrewSearch)
     ];
 
     await client.query(sql, params);
@@ -410,4 +602,25 @@ class VectorSearchService {
   }
 }
 
+/**
+ * Chunk fields returned to callers from a text_chunks + books row
+ */
+function toChunk(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    hebrew_text: row.hebrew_text,
+    exact_reference: row.exact_reference,
+    section_title: row.section_title,
+    token_count: row.token_count,
+    chunk_summary: row.chunk_summary,
+    themes: row.themes || [],
+    keywords: row.keywords || [],
+    book_title: row.book_title,
+    hebrew_title: row.hebrew_title,
+    category: row.category,
+    metadata: row.metadata
+  };
+}
+
 export { VectorSearchService };
\ No newline at end of file
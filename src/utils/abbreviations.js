@@ -0,0 +1,76 @@
+/**
+ * Curated rashei teivot and short forms found in Breslov texts, with their
+ * expansions. utils/hebrew.js registers them at load: search forms of texts
+ * and queries then carry the expansions, and a query for an abbreviation also
+ * matches its written-out forms. Spelling variants are matched through a key
+ * (letters only, regular final letters), so ר"ל, ר״ל and ר׳׳ל are one entry,
+ * and prefixed forms (והקב״ה, כשהקב״ה) find the entry without their prefix.
+ *
+ * Entries added by editors live in the abbreviations table
+ * (services/abbreviations.js, POST /api/admin/abbreviations).
+ */
+
+export const ABBREVIATIONS = [
+  // Authors and sages
+  { abbreviation: 'ר״נ', expansions: ['רבי נחמן'] },
+  { abbreviation: 'מוהר״ן', expansions: ['מורנו הרב רבי נחמן'] },
+  { abbreviation: 'מוהרנ״ת', expansions: ['מורנו הרב רבי נתן'] },
+  { abbreviation: 'חז״ל', expansions: ['חכמינו זכרונם לברכה'] },
+  { abbreviation: 'רז״ל', expansions: ['רבותינו זכרונם לברכה'] },
+  { abbreviation: 'ז״ל', expansions: ['זכרונו לברכה'] },
+  { abbreviation: 'זצ״ל', expansions: ['זכר צדיק לברכה'] },
+  { abbreviation: 'זללה״ה', expansions: ['זכר צדיק וקדוש לברכה לחיי העולם הבא'] },
+  { abbreviation: 'ע״ה', expansions: ['עליו השלום'] },
+  { abbreviation: 'ת״ח', expansions: ['תלמיד חכם', 'תלמידי חכמים'] },
+
+  // Names of God
+  { abbreviation: 'הקב״ה', expansions: ['הקדוש ברוך הוא'] },
+  { abbreviation: 'השי״ת', expansions: ['השם יתברך'] },
+  { abbreviation: 'ה׳', expansions: ['השם'] },
+  { abbreviation: 'ית׳', expansions: ['יתברך'] },
+  { abbreviation: 'ב״ה', expansions: ['ברוך השם', 'ברוך הוא'] },
+  { abbreviation: 'בע״ה', expansions: ['בעזרת השם'] },
+
+  // Concepts
+  { abbreviation: 'יצה״ר', expansions: ['יצר הרע'] },
+  { abbreviation: 'יצה״ט', expansions: ['יצר הטוב'] },
+  { abbreviation: 'ס״א', expansions: ['סטרא אחרא'] },
+  { abbreviation: 'עוה״ב', expansions: ['עולם הבא'] },
+  { abbreviation: 'עוה״ז', expansions: ['עולם הזה'] },
+  { abbreviation: 'אדה״ר', expansions: ['אדם הראשון'] },
+  { abbreviation: 'בחי׳', expansions: ['בחינת'] },
+  { abbreviation: 'ע״ז', expansions: ['על זה', 'עבודה זרה'] },
+
+  // Books
+  { abbreviation: 'לקו״מ', expansions: ['ליקוטי מוהרן'] },
+  { abbreviation: 'לקו״ה', expansions: ['ליקוטי הלכות'] },
+  { abbreviation: 'שו״ע', expansions: ['שולחן ערוך'] },
+  { abbreviation: 'או״ח', expansions: ['אורח חיים'] },
+  { abbreviation: 'יו״ד', expansions: ['יורה דעה'] },
+  { abbreviation: 'חו״מ', expansions: ['חושן משפט'] },
+  { abbreviation: 'אה״ע', expansions: ['אבן העזר'] },
+  { abbreviation: 'ש״ס', expansions: ['שישה סדרים'] },
+
+  // Connectives and references
+  { abbreviation: 'ע״י', expansions: ['על ידי'] },
+  { abbreviation: 'ע״כ', expansions: ['על כן', 'עד כאן'] },
+  { abbreviation: 'ע״ש', expansions: ['עיין שם'] },
+  { abbreviation: 'עי׳', expansions: ['עיין'] },
+  { abbreviation: 'ר״ל', expansions: ['רוצה לומר', 'רחמנא ליצלן'] },
+  { abbreviation: 'אא״כ', expansions: ['אלא אם כן'] },
+  { abbreviation: 'א״כ', expansions: ['אם כן'] },
+  { abbreviation: 'אע״פ', expansions: ['אף על פי'] },
+  { abbreviation: 'אעפ״כ', expansions: ['אף על פי כן'] },
+  { abbreviation: 'אח״כ', expansions: ['אחר כך'] },
+  { abbreviation: 'כ״כ', expansions: ['כל כך'] },
+  { abbreviation: 'כ״ש', expansions: ['כל שכן'] },
+  { abbreviation: 'מ״מ', expansions: ['מכל מקום'] },
+  { abbreviation: 'ק״ו', expansions: ['קל וחומר'] },
+  { abbreviation: 'ד״א', expansions: ['דבר אחר'] },
+  { abbreviation: 'כנ״ל', expansions: ['כנזכר לעיל'] },
+  { abbreviation: 'כמ״ש', expansions: ['כמו שכתוב'] },
+  { abbreviation: 'שנ׳', expansions: ['שנאמר'] },
+  { abbreviation: 'פי׳', expansions: ['פירוש'] },
+  { abbreviation: 'וכו׳', expansions: ['וכולי'] },
+  { abbreviation: 'וכיו״ב', expansions: ['וכיוצא בזה'] }
+];
@@ -0,0 +1,208 @@
+import frenchStemmer from 'natural/lib/natural/stemmers/porter_stemmer_fr.js';
+import frenchStopWords from 'natural/lib/natural/util/stopwords_fr.js';
+import { searchForm, prefixVariants, findAbbreviation } from './hebrew.js';
+
+/**
+ * Full-text search over chunk texts. text_chunks.search_vector is a stored,
+ * GIN-indexed tsvector generated from:
+ *
+ * - content_search (the translation) through the French configuration,
+ *   so prières matches prière
+ * - hebrew_lexemes, computed here from hebrew_search: every word with its
+ *   forms without prefix letters at the same position, so שמחה matches
+ *   ובשמחה while phrases keep their word positions
+ *
+ * Query syntax: words (all required), "quoted phrases" (adjacent words, in
+ * order) and `word NEAR/n word` (at most n words apart, in either order).
+ * Queries go through searchForm like the texts; an abbreviation from the
+ * dictionary matches itself or any of its expansions, so ר״ל also finds
+ * רוצה לומר written out. MemoryMasterIndex applies the same rules in JS with
+ * matchSearchQuery.
+ */
+
+const HEBREW_WORD = /^[א-ת]+$/;
+const NEAR = /^NEAR\/(\d+)$/i;
+const MAX_NEAR_DISTANCE = 10;
+
+const STOP_WORDS = new Set(frenchStopWords.words.map(word => searchForm(word)));
+
+/**
+ * tsvector literal of a Hebrew search form: 'ובשמחה':1 'בשמחה':1 'שמחה':1 ...
+ */
+export function hebrewLexemes(hebrewSearch) {
+  return hebrewTokens(hebrewSearch)
+    .map(([lexeme, position]) => `'${lexeme.replace(/'/g, '\'\'')}':${position}`)
+    .join(' ');
+}
+
+/**
+ * Clauses of a query, all required: { type: 'words', words },
+ * { type: 'phrase', words }, { type: 'near', words: [a, b], distance } or,
+ * for an abbreviation, { type: 'any', alternatives: [[word], [expansion words], ...] }.
+ * Words are in search form.
+ */
+export function parseSearchQuery(query) {
+  const tokens = [...(query || '').matchAll(/(?<!\p{L})"([^"]+)"(?!\p{L})|(\S+)/gu)]
+    .map(([, phrase, word]) => (phrase !== undefined ? { phrase: true, text: phrase } : { phrase: false, text: word }));
+
+  const clauses = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const words = searchForm(tokens[i].text).split(' ').filter(Boolean);
+    const near = tokens[i + 1] && !tokens[i + 1].phrase && tokens[i + 1].text.match(NEAR);
+    const next = near && tokens[i + 2] ? searchForm(tokens[i + 2].text).split(' ').filter(Boolean) : [];
+    const abbreviation = !tokens[i].phrase && findAbbreviation(tokens[i].text);
+
+    if (near && words.length > 0 && next.length > 0) {
+      if (words.length > 1) clauses.push({ type: 'words', words: words.slice(0, -1) });
+      clauses.push({
+        type: 'near',
+        words: [words.at(-1), next[0]],
+        distance: Math.min(Math.max(parseInt(near[1]), 1), MAX_NEAR_DISTANCE)
+      });
+      if (next.length > 1) clauses.push({ type: 'words', words: next.slice(1) });
+      i += 2;
+    } else if (abbreviation) {
+      const alternatives = abbreviation.expansions.map(expansion => searchForm(expansion).split(' ').filter(Boolean));
+      clauses.push({ type: 'any', alternatives: [[words[0]], ...alternatives] });
+    } else if (words.length > 0 && !NEAR.test(tokens[i].text)) {
+      clauses.push({ type: tokens[i].phrase && words.length > 1 ? 'phrase' : 'words', words });
+    }
+  }
+
+  return clauses;
+}
+
+/**
+ * SQL tsquery for parsed clauses, with its parameters numbered from
+ * `firstParam`. Hebrew words are matched as stored (the index holds their
+ * prefix-less forms), other words are stemmed with the French configuration.
+ */
+export function searchTsQuery(clauses, firstParam = 1) {
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+  const word = value => `plainto_tsquery('${HEBREW_WORD.test(value) ? 'simple' : 'french'}', ${param(value)})`;
+
+  const phrase = words => {
+    if (!words.some(value => HEBREW_WORD.test(value))) {
+      return `phraseto_tsquery('french', ${param(words.join(' '))})`;
+    }
+    return words.map(word).reduce((left, right) => `tsquery_phrase(${left}, ${right})`);
+  };
+
+  const parts = clauses.map(clause => {
+    if (clause.type === 'phrase') return phrase(clause.words);
+
+    if (clause.type === 'any') {
+      return `(${clause.alternatives.map(words => (words.length > 1 ? phrase(words) : word(words[0]))).join(' || ')})`;
+    }
+
+    if (clause.type === 'near') {
+      const [a, b] = clause.words.map(word);
+      const alternatives = [];
+      for (let distance = 1; distance <= clause.distance; distance++) {
+        alternatives.push(`tsquery_phrase(${a}, ${b}, ${distance})`, `tsquery_phrase(${b}, ${a}, ${distance})`);
+      }
+      return `(${alternatives.join(' || ')})`;
+    }
+
+    return clause.words.map(word).join(' && ');
+  });
+
+  return { sql: parts.length > 0 ? `(${parts.join(' && ')})` : null, params };
+}
+
+/**
+ * Lexeme positions of a chunk, as in search_vector: the stemmed translation,
+ * then the Hebrew lexemes after it
+ */
+export function documentLexemes(contentSearch, hebrewSearch) {
+  const positions = new Map();
+  const add = (lexeme, position) => {
+    if (!positions.has(lexeme)) positions.set(lexeme, []);
+    positions.get(lexeme).push(position);
+  };
+
+  const words = (contentSearch || '').split(' ').filter(Boolean);
+  words.forEach((value, i) => {
+    const lexeme = queryLexeme(value);
+    if (lexeme) add(lexeme, i + 1);
+  });
+
+  for (const [lexeme, position] of hebrewTokens(hebrewSearch)) {
+    add(lexeme, words.length + position);
+  }
+
+  return positions;
+}
+
+/**
+ * Whether a chunk's lexemes (documentLexemes) satisfy every clause, and a
+ * score: matched occurrences over the chunk length, 0 when a clause fails
+ */
+export function matchSearchQuery(clauses, lexemes) {
+  let occurrences = 0;
+
+  for (const clause of clauses) {
+    const matches = clause.type === 'any'
+      ? clause.alternatives.reduce((sum, words) =>
+        sum + clauseMatches({ type: words.length > 1 ? 'phrase' : 'words', words }, lexemes), 0)
+      : clauseMatches(clause, lexemes);
+
+    if (matches === 0) return { matched: false, score: 0 };
+    occurrences += matches;
+  }
+
+  if (occurrences === 0) return { matched: false, score: 0 };
+
+  const length = Math.max(...[...lexemes.values()].flat(), 1);
+  return { matched: true, score: occurrences / length };
+}
+
+/**
+ * Occurrences of a words, phrase or near clause in a chunk's lexemes: 0 when
+ * it does not match, null when it only holds stop words
+ */
+function clauseMatches(clause, lexemes) {
+  const positions = clause.words.map(queryLexeme).map(term => (term ? lexemes.get(term) || [] : null));
+  const required = positions.filter(Boolean);
+  if (required.length === 0) return null;
+
+  if (clause.type === 'phrase') {
+    // Stop words are skipped but keep their place, as phraseto_tsquery does
+    const offsets = positions.map((list, i) => (list ? i : null)).filter(offset => offset !== null);
+    return required[0].filter(start =>
+      required.every((list, i) => list.includes(start + offsets[i] - offsets[0]))).length;
+  }
+
+  if (clause.type === 'near' && required.length === 2) {
+    return required[0].filter(a => required[1].some(b => a !== b && Math.abs(a - b) <= clause.distance)).length;
+  }
+
+  return required.every(list => list.length > 0)
+    ? required.reduce((sum, list) => sum + list.length, 0)
+    : 0;
+}
+
+/**
+ * [lexeme, position] pairs of a Hebrew search form, positions from 1
+ */
+function hebrewTokens(hebrewSearch) {
+  return (hebrewSearch || '')
+    .split(' ')
+    .filter(Boolean)
+    .flatMap((word, i) => prefixVariants(word).map(lexeme => [lexeme, i + 1]));
+}
+
+/**
+ * A query word as indexed: Hebrew as is, other words stemmed in French, null
+ * for French stop words
+ */
+function queryLexeme(word) {
+  if (HEBREW_WORD.test(word)) return word;
+  if (STOP_WORDS.has(word)) return null;
+  return frenchStemmer.stem(word);
+}
@@ -0,0 +1,180 @@
+import { ABBREVIATIONS } from './abbreviations.js';
+
+/**
+ * Hebrew text normalization. Sefaria text carries nikud, cantillation
+ * (ta'amim), HTML tags and footnote markup; two forms are derived from it:
+ *
+ * - display form: markup and footnotes removed, entities decoded,
+ *   cantillation removed, nikud kept
+ * - search form: the display form without nikud or punctuation, lowercased
+ *   without accents, final letters written as regular letters and rashei
+ *   teivot followed by their expansions from the abbreviation dictionary
+ *   (ר״נ → רנ רבי נחמנ, see utils/abbreviations.js)
+ *
+ * Both the stored texts and the queries go through searchForm, so שמחה
+ * matches שִׂמְחָה. The full-text index also stores each word without its
+ * prefix letters (see utils/full-text.js), so שמחה matches וּבְשִׂמְחָה.
+ */
+
+// Final letters and their regular forms
+export const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Letters that attach to the front of a word, in the order they combine:
+// ו, then ש (or כש, מש, לכש), then ה or a preposition (ב כ ל מ, מה): ובשמחה, כשהיה, ומהבית
+const PREFIX = /^ו?(?:[כמל]?ש)?(?:[בכלמ]|מה|ה)?$/;
+const MAX_PREFIX_LENGTH = 4;
+const MIN_STEM_LENGTH = 2;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+// Abbreviation dictionary by key (see abbreviationKey): the curated entries,
+// then those added with addAbbreviation
+const DICTIONARY = new Map();
+
+ABBREVIATIONS.forEach(entry => addAbbreviation(entry, 'curated'));
+
+/**
+ * Regular forms of final letters: שלום → שלומ
+ */
+export function regularLetters(text) {
+  return (text || '').replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter]);
+}
+
+/**
+ * Remove nikud and cantillation; maqaf, paseq and sof pasuq become spaces
+ */
+export function stripNikud(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u05BE\u05C0\u05C3\u05C6]/g, ' ')
+    .replace(/[\u0591-\u05C7]/g, '');
+}
+
+/**
+ * Text as shown to readers and the model: no HTML, footnotes or cantillation,
+ * entities decoded, whitespace collapsed. Nikud is kept.
+ */
+export function displayForm(text) {
+  return (text || '')
+    .replace(/<sup[^>]*class="footnote-marker"[^>]*>[\s\S]*?<\/sup>/gi, '')
+    .replace(/<i[^>]*class="footnote"[^>]*>[\s\S]*?<\/i>/gi, '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => decodeEntity(name) ?? '')
+    .replace(/[\u0591-\u05AF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Text as indexed and queried: see the module comment
+ */
+export function searchForm(text) {
+  const expanded = stripNikud(displayForm(text))
+    .split(/\s+/)
+    .map(expandAbbreviation)
+    .join(' ');
+
+  return regularLetters(expanded)
+    .replace(/([א-ת])["״׳']+(?=[א-ת])/g, '$1')
+    .toLowerCase()
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * A search-form word and its forms without prefix letters:
+ * ובשמחה → ובשמחה, בשמחה, שמחה. Stems keep at least two letters, and words
+ * that are not Hebrew come back alone.
+ */
+export function prefixVariants(word) {
+  const variants = [word];
+  if (!/^[א-ת]+$/.test(word)) return variants;
+
+  for (let length = 1; length <= MAX_PREFIX_LENGTH && word.length - length >= MIN_STEM_LENGTH; length++) {
+    if (PREFIX.test(word.slice(0, length))) variants.push(word.slice(length));
+  }
+
+  return variants;
+}
+
+/**
+ * Dictionary key of an abbreviation: its Hebrew letters, final letters
+ * written as regular ones (ר"ל, ר״ל and ר׳׳ל are all רל)
+ */
+export function abbreviationKey(abbreviation) {
+  return regularLetters((abbreviation || '').replace(/[^א-ת]/g, ''));
+}
+
+/**
+ * Dictionary entry for an abbreviation, as addAbbreviation stores it
+ */
+export function abbreviationEntry({ abbreviation, expansions }, source = 'custom') {
+  return {
+    key: abbreviationKey(abbreviation),
+    abbreviation: abbreviation.trim(),
+    expansions: [...new Set(expansions.map(expansion => expansion.trim()).filter(Boolean))],
+    source
+  };
+}
+
+/**
+ * Add an entry to the dictionary, or replace the one with the same key;
+ * returns the entry as stored
+ */
+export function addAbbreviation(fields, source = 'custom') {
+  const entry = abbreviationEntry(fields, source);
+
+  DICTIONARY.set(entry.key, entry);
+  return entry;
+}
+
+/**
+ * Remove an entry from the dictionary; returns the removed entry or null
+ */
+export function removeAbbreviation(abbreviation) {
+  const key = abbreviationKey(abbreviation);
+  const entry = DICTIONARY.get(key) || null;
+
+  DICTIONARY.delete(key);
+  return entry;
+}
+
+/**
+ * Every dictionary entry, curated and added
+ */
+export function listAbbreviations() {
+  return [...DICTIONARY.values()];
+}
+
+/**
+ * Dictionary entry for a word written as an abbreviation (with a quote mark
+ * after a Hebrew letter), also behind prefix letters: והקב״ה → הקב״ה. Null
+ * for other words and unknown abbreviations.
+ */
+export function findAbbreviation(word) {
+  if (!/[א-ת]["״׳']/.test(word || '')) return null;
+
+  for (const key of prefixVariants(abbreviationKey(word))) {
+    if (DICTIONARY.has(key)) return DICTIONARY.get(key);
+  }
+  return null;
+}
+
+/**
+ * A word followed by its expansions when it is a known abbreviation
+ * ("ז״ל," → "ז״ל, זכרונו לברכה"), otherwise the word itself
+ */
+function expandAbbreviation(word) {
+  const entry = findAbbreviation(word);
+  return entry ? [word, ...entry.expansions].join(' ') : word;
+}
+
+function decodeEntity(name) {
+  if (name[0] !== '#') return ENTITIES[name.toLowerCase()];
+
+  const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  // Past U+10FFFF fromCodePoint throws: such an entity is dropped like an unknown one
+  return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : null;
+}
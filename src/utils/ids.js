@@ -0,0 +1,9 @@
+const UUID_FORMAT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Chunk ids are UUID-shaped but not always RFC 4122 UUIDs: the chunk processor
+ * derives them as md5(legacy id)::uuid, which uuid's validate() rejects
+ */
+export function isChunkId(value) {
+  return typeof value === 'string' && UUID_FORMAT.test(value);
+}
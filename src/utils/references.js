@@ -0,0 +1,606 @@
+import { foldText } from './text.js';
+import { FINAL_LETTERS } from './hebrew.js';
+
+/**
+ * References to Breslov texts: book catalog, Hebrew numerals and
+ * parsing of explicit references out of French, English or Hebrew questions
+ * ("la première Torah du Likutei Moharan, paragraphe 3", "LM 1:3", "ליקוטי מוהר"ן תורה א").
+ * Canonical references use Sefaria titles: `Likutei Moharan 1:3`.
+ */
+
+// Sefaria title first; aliases are matched after folding (see foldReference)
+const BOOKS = [
+  {
+    title: 'Likutei Moharan',
+    hebrew: 'ליקוטי מוהר"ן',
+    aliases: ['likutei moharan', 'likoutei moharan', 'likoutey moharan', 'likutey moharan', 'liqoutei moharan', 'lm', 'ליקוטי מוהרן', 'ליקוטי מוהר']
+  },
+  {
+    title: 'Likutei Moharan II',
+    hebrew: 'ליקוטי מוהר"ן תנינא',
+    aliases: ['likutei moharan ii', 'likutei moharan tinyana', 'likoutei moharan ii', 'likoutei moharan tinyana', 'tinyana', 'lm ii', 'ליקוטי מוהרן תנינא']
+  },
+  {
+    title: 'Kitzur Likutei Moharan',
+    hebrew: 'קיצור ליקוטי מוהר"ן',
+    aliases: ['kitzur likutei moharan', 'kitsour likoutei moharan', 'קיצור ליקוטי מוהרן']
+  },
+  {
+    title: 'Sippurei Maasiyot',
+    hebrew: 'סיפורי מעשיות',
+    aliases: ['sippurei maasiyot', 'sipourei maasiot', 'sippurei maasiot', 'contes de rabbi nachman', 'rabbi nachman s stories', 'סיפורי מעשיות']
+  },
+  {
+    title: 'Chayei Moharan',
+    hebrew: 'חיי מוהר"ן',
+    aliases: ['chayei moharan', 'hayei moharan', 'haye moharan', 'חיי מוהרן']
+  },
+  {
+    title: 'Sichot HaRan',
+    hebrew: 'שיחות הר"ן',
+    aliases: ['sichot haran', 'sihot haran', 'sichos haran', 'שיחות הרן']
+  },
+  {
+    title: 'Shivchei HaRan',
+    hebrew: 'שבחי הר"ן',
+    aliases: ['shivchei haran', 'chivhei haran', 'shivchey haran', 'שבחי הרן']
+  },
+  {
+    title: 'Likutei Tefilot',
+    hebrew: 'ליקוטי תפילות',
+    aliases: ['likutei tefilot', 'likoutei tefilot', 'likutei tefillot', 'ליקוטי תפילות', 'ליקוטי תפלות']
+  },
+  {
+    title: 'Likutei Halachot',
+    hebrew: 'ליקוטי הלכות',
+    aliases: ['likutei halachot', 'likoutei halakhot', 'likutei halakhot', 'ליקוטי הלכות']
+  },
+  {
+    title: 'Sefer HaMidot',
+    hebrew: 'ספר המידות',
+    aliases: ['sefer hamidot', 'sefer hamiddot', 'livre des traits', 'ספר המידות', 'ספר המדות']
+  },
+  {
+    title: 'Tikkun HaKlali',
+    hebrew: 'תיקון הכללי',
+    aliases: ['tikkun haklali', 'tikoun haklali', 'tikkun hakelali', 'תיקון הכללי']
+  },
+  {
+    title: 'Meshivat Nefesh',
+    hebrew: 'משיבת נפש',
+    aliases: ['meshivat nefesh', 'meshivas nefesh', 'משיבת נפש']
+  }
+];
+
+const HEBREW_LETTER_VALUES = {
+  'א': 1, 'ב': 2, 'ג': 3, 'ד': 4, 'ה': 5, 'ו': 6, 'ז': 7, 'ח': 8, 'ט': 9,
+  'י': 10, 'כ': 20, 'ך': 20, 'ל': 30, 'מ': 40, 'ם': 40, 'נ': 50, 'ן': 50,
+  'ס': 60, 'ע': 70, 'פ': 80, 'ף': 80, 'צ': 90, 'ץ': 90,
+  'ק': 100, 'ר': 200, 'ש': 300, 'ת': 400
+};
+
+const HEBREW_NUMERAL_LETTERS = [
+  [400, 'ת'], [300, 'ש'], [200, 'ר'], [100, 'ק'],
+  [90, 'צ'], [80, 'פ'], [70, 'ע'], [60, 'ס'], [50, 'נ'], [40, 'מ'], [30, 'ל'], [20, 'כ'], [10, 'י'],
+  [9, 'ט'], [8, 'ח'], [7, 'ז'], [6, 'ו'], [5, 'ה'], [4, 'ד'], [3, 'ג'], [2, 'ב'], [1, 'א']
+];
+
+const ORDINAL_WORDS = {
+  // French
+  premier: 1, premiere: 1, deuxieme: 2, second: 2, seconde: 2, troisieme: 3,
+  quatrieme: 4, cinquieme: 5, sixieme: 6, septieme: 7, huitieme: 8, neuvieme: 9,
+  dixieme: 10, onzieme: 11, douzieme: 12, treizieme: 13, quatorzieme: 14,
+  quinzieme: 15, seizieme: 16, vingtieme: 20,
+  // English
+  first: 1, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8,
+  ninth: 9, tenth: 10, eleventh: 11, twelfth: 12, twentieth: 20
+};
+
+// Cardinals only count after a section word ("Torah deux"): before one they
+// are articles or quantities ("une histoire", "one teaching")
+const CARDINAL_WORDS = {
+  // French
+  un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8,
+  neuf: 9, dix: 10, onze: 11, douze: 12, treize: 13, quatorze: 14, quinze: 15,
+  seize: 16, vingt: 20,
+  // English
+  one: 1, two: 2, three: 3, four: 4, five: 5, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, twenty: 20
+};
+
+// Words naming a top-level section (a Torah, story, conversation...) and a paragraph
+const SECTION_WORDS = [
+  'torah', 'tora', 'torot', 'enseignement', 'lecon', 'teaching', 'lesson', 'siman', 'simane',
+  'chapitre', 'chapter', 'section', 'maasse', 'maase', 'maaseh', 'histoire', 'conte', 'story', 'tale',
+  'sicha', 'sichah', 'causerie', 'priere', 'tefila', 'tefilah', 'prayer',
+  'תורה', 'סימן', 'מעשה', 'שיחה', 'תפילה', 'פרק'
+];
+
+const PARAGRAPH_WORDS = ['paragraphe', 'paragraph', 'para', 'alinea', 'ot', 'os', 'verset', 'verse', 'segment', 'אות', '§'];
+
+const NUMBER_PATTERN = '(\\d+[a-z]*|[a-z]+|[א-ת]{1,4})';
+
+// Hebrew numeral marked as one: ל״א, ל"א, ל׳׳א, א׳
+const MARKED_NUMERAL = '[א-ת]{0,3}(?:["״]|׳׳)[א-ת]|[א-ת]{1,3}׳';
+
+// Hebrew words may carry one or two prefix letters: בתורה, ובאות
+const HEBREW_PREFIX = '[בוהלמשכ]{0,2}';
+const NUMBER_PREFIX = '(?:n°|no|numero|number|nr|#)?\\s*';
+
+/**
+ * Fold a reference or question for matching: lowercase, no accents, nikud or
+ * Hebrew quote marks (so מוהר"ן and מוהרן compare equal)
+ */
+export function foldReference(text) {
+  return foldText(text || '')
+    .replace(/["״׳]/g, '')
+    .replace(/[,;!?()«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * foldReference keeping Hebrew quote marks and commas, which tell a numeral
+ * (ל״א, "ל, א") from a word (לא)
+ */
+function foldQuoted(text) {
+  return foldText(text || '')
+    .replace(/[;!?()«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hebrew numeral (gematria) to number, e.g. "א" → 1, "טו" → 15, "קנ"ה" → 155.
+ * Returns null unless the letters are the canonical spelling of their value.
+ */
+export function hebrewToNumber(numeral) {
+  const letters = (numeral || '').replace(/["״׳']/g, '');
+  if (!/^[א-ת]+$/.test(letters)) return null;
+
+  const value = [...letters].reduce((sum, letter) => sum + HEBREW_LETTER_VALUES[letter], 0);
+  const normalized = [...letters].map(letter => FINAL_LETTERS[letter] || letter).join('');
+
+  return numberToHebrew(value) === normalized ? value : null;
+}
+
+/**
+ * Number to Hebrew numeral without quote marks, e.g. 15 → "טו", 155 → "קנה"
+ */
+export function numberToHebrew(value) {
+  if (!Number.isInteger(value) || value <= 0) return '';
+
+  let remaining = value;
+  let numeral = '';
+
+  while (remaining >= 400) {
+    numeral += 'ת';
+    remaining -= 400;
+  }
+
+  for (const [amount, letter] of HEBREW_NUMERAL_LETTERS) {
+    if (remaining >= amount) {
+      numeral += letter;
+      remaining -= amount;
+    }
+  }
+
+  // 15 and 16 avoid spelling divine names
+  return numeral.replace(/יה$/, 'טו').replace(/יו$/, 'טז');
+}
+
+/**
+ * Digits, number words (French/English) or a Hebrew numeral to a number;
+ * with `ordinalOnly`, digits and ordinals only ("3", "3e", "troisieme")
+ */
+function parseNumber(token, ordinalOnly = false) {
+  if (/^\d+$/.test(token)) return parseInt(token);
+
+  const ordinal = token.match(/^(\d+)(?:er|ere|re|e|eme|st|nd|rd|th)$/);
+  if (ordinal) return parseInt(ordinal[1]);
+
+  if (ORDINAL_WORDS[token]) return ORDINAL_WORDS[token];
+  if (ordinalOnly) return null;
+
+  if (CARDINAL_WORDS[token]) return CARDINAL_WORDS[token];
+
+  return hebrewToNumber(token);
+}
+
+/**
+ * Book named in a folded text (longest alias wins: "Likutei Moharan II" over
+ * "Likutei Moharan"), with the position right after the match
+ */
+function findBook(folded) {
+  let best = null;
+
+  for (const book of BOOKS) {
+    for (const alias of book.aliases) {
+      // Quote marks may be kept in the text: מוהר"ן as well as מוהרן
+      const title = escapeRegExp(foldReference(alias)).replace(/([א-ת])/g, '$1["״׳]?');
+      const pattern = new RegExp(`(?:^|[^\\p{L}\\p{N}])${HEBREW_PREFIX}(${title})(?=$|[^\\p{L}\\p{N}])`, 'u');
+      const match = folded.match(pattern);
+
+      if (match && (!best || match[1].length > best.length)) {
+        best = { book, index: match.index + match[0].length - match[1].length, length: match[1].length };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * First number attached to one of the given words, either after it
+ * ("torah 1", "paragraphe 3", "תורה א") or before it ("première torah", "3e paragraphe")
+ */
+function findNumbered(folded, words) {
+  const alternatives = words.map(escapeRegExp).join('|');
+  const after = new RegExp(`(?:^|[^\\p{L}])${HEBREW_PREFIX}(?:${alternatives})\\s*${NUMBER_PREFIX}${NUMBER_PATTERN}(?=$|[^\\p{L}\\p{N}])`, 'gu');
+  const before = new RegExp(`(?:^|[^\\p{L}\\p{N}])${NUMBER_PATTERN}\\s+(?:${alternatives})(?=$|[^\\p{L}])`, 'gu');
+
+  for (const [pattern, ordinalOnly] of [[after, false], [before, true]]) {
+    for (const match of folded.matchAll(pattern)) {
+      const value = parseNumber(match[1], ordinalOnly);
+      if (value) return value;
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Parse an explicit reference out of a question.
+ * @returns {Object|null} parsed reference (see parseReference), or null when
+ *   no book and section number are both present
+ */
+export function parseReferenceQuery(question) {
+  // A bare reference in any stored shape, ranges included: "Likutei_Moharan:1:2-5",
+  // "Likutei Halachot, Introduction 2"
+  const bare = parseReference(question);
+  if (bare && isKnownBook(bare.book)) return bare;
+
+  // A node ref within a question: "Que dit Likutei Halachot, Orach Chaim, Laws of Fringes 1:2 ?"
+  const node = findReferences(question).find(({ reference }) => !BOOKS.some(book => book.title === reference.book));
+  if (node) return node.reference;
+
+  const folded = foldReference(question);
+  const quoted = foldQuoted(question);
+  const found = findBook(quoted);
+
+  if (!found) return null;
+
+  const { book } = found;
+  const afterTitle = quoted.slice(found.index + found.length);
+
+  // "Likutei Moharan 1:3", "Likutei Moharan 1.3", "LM 64", "ליקוטי מוהר"ן ל״א", "ליקוטי מוהר"ן א, ג".
+  // Unmarked Hebrew letters only count as a pair: "מוהר"ן לא ברור" is a sentence, not torah 31
+  const direct = afterTitle.match(/^\s*(\d+)(?:\s*[:.]\s*(\d+))?(?!\d)/)
+    || afterTitle.match(new RegExp(`^\\s*(${MARKED_NUMERAL})(?:\\s*[:.,]\\s*(${MARKED_NUMERAL}|[א-ת]{1,4})|\\s+(${MARKED_NUMERAL}))?(?=$|[^\\p{L}])`, 'u'))
+    || afterTitle.match(/^\s*([א-ת]{1,4})\s*[:,]\s*([א-ת]{1,4}(?:["״][א-ת]|׳)?)(?=$|[^\p{L}])/u);
+
+  const directSection = direct ? parseNumber(direct[1]) : null;
+  const segmentToken = direct?.[2] || direct?.[3];
+  const directSegment = segmentToken ? parseNumber(segmentToken) : null;
+
+  let section = directSection || findNumbered(folded, SECTION_WORDS);
+  let segment = (directSection && directSegment) || findNumbered(folded, PARAGRAPH_WORDS);
+
+  // "§ 3" or "§3"
+  if (!segment) {
+    const paragraphSign = folded.match(/§\s*(\d+)/);
+    segment = paragraphSign ? parseInt(paragraphSign[1]) : null;
+  }
+
+  if (!section) return null;
+
+  return describeReference({
+    book: book.title,
+    start: segment ? [section, segment] : [section],
+    end: null
+  });
+}
+
+/**
+ * Parse a reference string in any of the shapes found in the corpus and in
+ * model answers: "Likutei Moharan 1:2", "Likutei_Moharan:1:2", "Likutei Moharan 1.2",
+ * "Likutei Moharan, Torah 1, §2", "ליקוטי מוהר"ן א, ב", ranges "1:2-5" and "1:2-2:3".
+ * Unknown book titles are kept as written (underscores read as spaces).
+ * @returns {{ book: string, start: number[], end: number[]|null, section: number,
+ *   segment: number|null, ref: string, sectionRef: string }|null}
+ */
+export function parseReference(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const cleaned = text.trim()
+    .replace(/_/g, ' ')
+    .replace(/\s*[-–—]\s*/g, '-')
+    .replace(/\s*§\s*/g, ':');
+
+  // Tokens at even indexes, separators at odd ones
+  const parts = cleaned.split(/([\s:.,]+)/);
+  let last = parts.length - 1;
+  if (parts[last] === '') last -= 2;
+
+  // The address is the longest run of numeric tokens at the end
+  let addressStart = -1;
+  for (let i = last; i >= 0; i -= 2) {
+    if (!parseAddressToken(parts[i])) break;
+    addressStart = i;
+  }
+
+  if (addressStart <= 0) return null;
+
+  const start = [];
+  let end = null;
+
+  for (let i = addressStart; i <= last; i += 2) {
+    const [from, to] = parseAddressToken(parts[i]);
+    (end || start).push(from);
+
+    if (to !== undefined) {
+      if (end) return null;
+      end = [to];
+    }
+  }
+
+  // "1:2-5" ends at 1:5, "1:2-2:3" at 2:3
+  if (end && end.length < start.length) {
+    end = [...start.slice(0, start.length - end.length), ...end];
+  }
+
+  if (end) {
+    const order = comparePaths(start, end);
+    if (order > 0) return null;
+    if (order === 0) end = null;
+  }
+
+  return describeReference({
+    book: resolveBookTitle(parts.slice(0, addressStart).join('')),
+    start,
+    end
+  });
+}
+
+/**
+ * Canonical form of a reference string, or null when it cannot be parsed
+ */
+export function normalizeReference(text) {
+  const reference = parseReference(text);
+  return reference ? reference.ref : null;
+}
+
+/**
+ * Canonical Sefaria-style reference: "Likutei Moharan 1", "Likutei Moharan 1:3",
+ * "Likutei Moharan 1:3-5" or "Likutei Moharan 1:3-2:4"
+ */
+export function formatReference(reference) {
+  const { book, start = [], end = null } = reference;
+  let text = start.length > 0 ? `${book} ${start.join(':')}` : book;
+
+  if (end) text += `-${rangeEnd(start, end).join(':')}`;
+
+  return text;
+}
+
+/**
+ * Hebrew form of a reference, e.g. `ליקוטי מוהר"ן א, ג`
+ */
+export function formatHebrewReference(reference) {
+  const { book, start = [], end = null } = reference;
+  const entry = BOOKS.find(candidate => candidate.title === book);
+  const title = entry ? entry.hebrew : book;
+  const numerals = path => path.map(numberToHebrew).join(', ');
+
+  let text = start.length > 0 ? `${title} ${numerals(start)}` : title;
+  if (end) text += `-${numerals(rangeEnd(start, end))}`;
+
+  return text;
+}
+
+/**
+ * Sort order of two references (strings or parsed): catalog order of books,
+ * then by address, a section before its segments. Unparseable refs sort last.
+ */
+export function compareReferences(a, b) {
+  const left = toReference(a);
+  const right = toReference(b);
+
+  if (!left || !right) return (left ? -1 : 0) + (right ? 1 : 0);
+
+  const bookOrder = compareBooks(left.book, right.book);
+  if (bookOrder !== 0) return bookOrder;
+
+  return comparePaths(left.start, right.start, true)
+    || comparePaths(left.end || left.start, right.end || right.start, true);
+}
+
+/**
+ * Whether `inner` lies entirely within `outer`: "Likutei Moharan 1" contains
+ * "Likutei Moharan 1:3", and "Likutei Moharan 1:2-5" contains "Likutei Moharan 1:4"
+ */
+export function referenceContains(outer, inner) {
+  const container = toReference(outer);
+  const contained = toReference(inner);
+
+  if (!container || !contained || container.book !== contained.book) return false;
+  if (container.start.length > contained.start.length) return false;
+
+  return comparePaths(container.start, contained.start) <= 0
+    && comparePaths(contained.end || contained.start, container.end || container.start) <= 0;
+}
+
+/**
+ * Whether two references share any text, e.g. "Likutei Moharan 1" and
+ * "Likutei Moharan 1:3", or "Likutei Moharan 1:2-5" and "Likutei Moharan 1:4-8"
+ */
+export function referencesOverlap(a, b) {
+  const left = toReference(a);
+  const right = toReference(b);
+
+  if (!left || !right || left.book !== right.book) return false;
+
+  return comparePaths(left.start, right.end || right.start) <= 0
+    && comparePaths(right.start, left.end || left.start) <= 0;
+}
+
+/**
+ * References cited in free text (an answer), in order of appearance
+ * @returns {Array<{ text: string, index: number, reference: Object }>}
+ */
+export function findReferences(text) {
+  const found = [];
+
+  for (const match of (text || '').matchAll(getCitationPattern())) {
+    const reference = parseReference(match[0]);
+    if (reference && isKnownBook(reference.book)) {
+      found.push({ text: match[0], index: match.index, reference });
+    }
+  }
+
+  return found;
+}
+
+let citationPattern = null;
+
+/**
+ * Book title or alias followed by an address, as models write citations:
+ * "Likutei Moharan:1:3", "(Likutei Moharan 1:3-5)", "Likutei Moharan, Torah 1, §3",
+ * "ליקוטי מוהר"ן א, ג", or with a node path in between:
+ * "Likutei Halachot, Orach Chaim, Laws of Fringes 1:2"
+ */
+function getCitationPattern() {
+  if (citationPattern) return citationPattern;
+
+  const titles = [...new Set(BOOKS.flatMap(book => [foldReference(book.title), ...book.aliases]))]
+    .sort((a, b) => b.length - a.length)
+    .map(title => escapeRegExp(title)
+      .replace(/ /g, '[\\s_]+')
+      .replace(/([א-ת])/g, '$1["״׳]?'));
+
+  const number = '(?:\\d+|[א-ת]{1,4}(?:["״׳\'][א-ת]?)?)';
+  const separator = '(?:\\s*[:.]\\s*|\\s*,?\\s*§\\s*|,\\s*(?=[א-ת]))';
+  const address = `${number}(?:${separator}${number})*(?:\\s*[-–]\\s*${number}(?:\\s*[:.]\\s*${number})*)?`;
+  const sectionWord = '(?:\\s*,?\\s*(?:torah|tora|siman|תורה|סימן))?';
+
+  // Comma-separated node titles, none of them a book title or starting with a section word
+  const notTitle = `(?!(?:${titles.join('|')})(?![\\p{L}\\p{N}]))`;
+  const notSectionWord = `(?!(?:${[...SECTION_WORDS, ...PARAGRAPH_WORDS].map(escapeRegExp).join('|')})(?![\\p{L}]))`;
+  const nodeTitle = `${notSectionWord}${notTitle}[\\p{L}'’]+(?:[\\s-]+${notTitle}[\\p{L}'’]+)*`;
+  const nodePath = `(?:\\s*,\\s*${nodeTitle})*`;
+
+  citationPattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${titles.join('|')})${nodePath}${sectionWord}[\\s_.:,]+${address}(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+
+  return citationPattern;
+}
+
+/**
+ * Adds the flat fields used for lookups: section, segment, ref and sectionRef
+ */
+function describeReference(reference) {
+  const [section = null, segment = null] = reference.start;
+
+  return {
+    ...reference,
+    section,
+    segment,
+    ref: formatReference(reference),
+    sectionRef: formatReference({ book: reference.book, start: reference.start.slice(0, 1) })
+  };
+}
+
+/**
+ * End of a range without the part it shares with the start: 1:2-1:5 → [5]
+ */
+function rangeEnd(start, end) {
+  let shared = 0;
+  while (shared < end.length - 1 && start[shared] === end[shared]) shared++;
+  return end.slice(shared);
+}
+
+function toReference(value) {
+  return typeof value === 'string' ? parseReference(value) : value || null;
+}
+
+/**
+ * One address token: "3", "ג", "קנ"ה", or "2-5" across a range boundary
+ * @returns {number[]|null} [value] or [from, to]
+ */
+function parseAddressToken(token) {
+  const pieces = (token || '').split('-');
+  if (pieces.length > 2) return null;
+
+  const values = pieces.map(piece => (/^\d+$/.test(piece) ? parseInt(piece) : hebrewToNumber(piece)));
+  return values.every(value => value > 0) ? values : null;
+}
+
+/**
+ * Catalog title for a title written in any known spelling, a node path with its
+ * book title resolved the same way ("Likoutei Halakhot, Introduction" →
+ * "Likutei Halachot, Introduction"), otherwise the title as written
+ */
+function resolveBookTitle(title) {
+  const book = findCatalogBook(title);
+  if (book) return book.title;
+
+  const cleaned = title.replace(/[\s:.,]+$/, '').replace(/\s+/g, ' ');
+  const [root, ...nodes] = cleaned.split(/\s*,\s*/);
+  const rootBook = nodes.length > 0 && findCatalogBook(root);
+
+  return rootBook ? [rootBook.title, ...nodes].join(', ') : cleaned;
+}
+
+function findCatalogBook(title) {
+  const sectionWords = SECTION_WORDS.map(escapeRegExp).join('|');
+  const folded = foldReference(title).replace(new RegExp(`\\s+(?:${sectionWords})$`, 'u'), '');
+
+  return BOOKS.find(candidate =>
+    foldReference(candidate.title) === folded
+    || candidate.aliases.some(alias => foldReference(alias) === folded)
+  );
+}
+
+/**
+ * Whether a parsed book is a catalog title or a node path in one, as Sefaria
+ * writes them: "Likutei Halachot, Orach Chaim, Laws of Fringes"
+ */
+function isKnownBook(title) {
+  const [root, ...nodes] = title.split(', ');
+  return BOOKS.some(book => book.title === root) && nodes.every(node => /^\p{Lu}/u.test(node));
+}
+
+function compareBooks(a, b) {
+  if (a === b) return 0;
+
+  // Node paths sort with their book
+  const rank = title => {
+    const index = BOOKS.findIndex(book => book.title === title.split(', ')[0]);
+    return index === -1 ? BOOKS.length : index;
+  };
+
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+/**
+ * Compare two addresses over their common depth, so a section compares equal to
+ * its own segments; with `strict`, the shorter address then sorts first
+ */
+function comparePaths(a, b, strict = false) {
+  const depth = Math.min(a.length, b.length);
+
+  for (let i = 0; i < depth; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+
+  return strict ? a.length - b.length : 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { BOOKS };
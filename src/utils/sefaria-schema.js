@@ -0,0 +1,124 @@
+/**
+ * Sefaria index schemas. Simple books are a single JaggedArrayNode
+ * (`Likutei Moharan 1`); complex ones are a tree of SchemaNodes whose leaves
+ * are JaggedArrayNodes addressed by their full ref
+ * (`Likutei Halachot, Orach Chaim, Laws of Morning Conduct 1`).
+ * A `default` child has no title of its own and shares its parent's ref.
+ * A leaf's text is a jagged array of the same depth whose strings are the
+ * segments (paragraphs) addressed by refs like `Likutei Moharan 1:3`.
+ */
+
+/**
+ * Primary title of a schema node in a language ('en' or 'he')
+ */
+export function nodeTitle(node, lang = 'en') {
+  const titles = (node.titles || []).filter(title => title.lang === lang);
+  const title = titles.find(candidate => candidate.primary) || titles[0];
+
+  return title?.text || (lang === 'he' ? node.heTitle : node.title) || null;
+}
+
+/**
+ * Every text-bearing leaf of a book's index, in reading order, with its full
+ * ref in English and Hebrew and the titles of the nodes leading to it
+ * (empty for simple books)
+ */
+export function schemaLeaves(index) {
+  const leaves = [];
+
+  const walk = (node, ref, heRef, path) => {
+    if (Array.isArray(node.nodes)) {
+      for (const child of node.nodes) {
+        if (child.default) {
+          walk(child, ref, heRef, path);
+          continue;
+        }
+
+        const en = nodeTitle(child, 'en');
+        const he = nodeTitle(child, 'he') || en;
+        walk(child, `${ref}, ${en}`, `${heRef}, ${he}`, [...path, { en, he }]);
+      }
+      return;
+    }
+
+    leaves.push({
+      ref,
+      he_ref: heRef,
+      depth: node.depth ?? 1,
+      lengths: node.lengths || null,
+      section_names: node.sectionNames || [],
+      path,
+      title: path.length > 0 ? path.map(title => title.en).join(', ') : null,
+      he_title: path.length > 0 ? path.map(title => title.he).join(', ') : null
+    });
+  };
+
+  const schema = index.schema || index;
+  const ref = index.title || nodeTitle(schema, 'en');
+  walk(schema, ref, index.heTitle || nodeTitle(schema, 'he') || ref, []);
+
+  return leaves;
+}
+
+/**
+ * Ref as written in API URLs: `Likutei_Halachot%2C_Introduction`,
+ * with `.n` for a section (`Likutei_Moharan.1`)
+ */
+export function refToUrlPath(ref, section = null) {
+  const path = encodeURIComponent(ref.replace(/ /g, '_'));
+  return section === null ? path : `${path}.${section}`;
+}
+
+/**
+ * Section number a `next` ref points to when it stays inside the leaf
+ * (`Likutei Moharan 3` after `Likutei Moharan 2`), null past its end
+ */
+export function nextSectionInLeaf(leaf, nextRef) {
+  if (!nextRef || !nextRef.startsWith(`${leaf.ref} `)) return null;
+
+  const match = nextRef.slice(leaf.ref.length + 1).match(/^(\d+)(?::\d+)?$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Non-empty segments of a Sefaria text field with their address inside it:
+ * `['a', 'b']` → [{ address: [1], text: 'a' }, { address: [2], text: 'b' }];
+ * deeper jagged arrays give longer addresses ([2, 1] for `[[...], ['c']]`)
+ */
+export function textSegments(text, address = []) {
+  if (typeof text === 'string') {
+    return text.trim() ? [{ address, text }] : [];
+  }
+
+  if (!Array.isArray(text)) return [];
+
+  return text.flatMap((child, i) => textSegments(child, [...address, i + 1]));
+}
+
+/**
+ * Line up several text fields of one section (Hebrew, translations) segment by
+ * segment: one entry per address present in any of them, in reading order,
+ * with each field's text at that address (null when it has none)
+ */
+export function alignSegments(texts) {
+  const byAddress = new Map();
+
+  texts.forEach((text, field) => {
+    for (const segment of textSegments(text)) {
+      const key = segment.address.join(':');
+      if (!byAddress.has(key)) {
+        byAddress.set(key, { address: segment.address, texts: texts.map(() => null) });
+      }
+      byAddress.get(key).texts[field] = segment.text;
+    }
+  });
+
+  return [...byAddress.values()].sort((a, b) => compareAddresses(a.address, b.address));
+}
+
+function compareAddresses(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
@@ -0,0 +1,36 @@
+/**
+ * Small text helpers shared by the offline provider and lexical ranking
+ */
+
+export const STOP_WORDS = new Set([
+  'que', 'qui', 'quoi', 'est', 'dans', 'pour', 'par', 'sur', 'avec', 'les', 'des', 'une',
+  'dit', 'rabbi', 'nachman', 'quel', 'quelle', 'quels', 'quelles', 'comment', 'quand',
+  'pourquoi', 'donne', 'moi', 'cette', 'ces', 'son', 'ses', 'leur', 'aux', 'pas', 'plus',
+  'the', 'and', 'that', 'this', 'with', 'from', 'what', 'when', 'which', 'his', 'their',
+  'rapport', 'plait', 'selon', 'parle'
+]);
+
+/**
+ * Lowercase and strip accents, nikud and cantillation
+ */
+export function foldText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u0591-\u05C7]/g, '')
+    .replace(/[_\-'’]/g, ' ');
+}
+
+/**
+ * Split into folded word tokens (letters and digits, any script)
+ */
+export function tokenize(text) {
+  return foldText(text || '').split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1);
+}
+
+/**
+ * Tokens worth matching on: no stop words, no short function words
+ */
+export function contentTerms(text) {
+  return tokenize(text).filter(token => token.length > 2 && !STOP_WORDS.has(token));
+}
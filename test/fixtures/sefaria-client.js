@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sefaria');
+
+// Books in the fixture corpus; their indexes are trimmed to the sections included.
+// Likutei_Halachot has a complex schema (an introduction, then nested nodes).
+export const FIXTURE_BOOKS = ['Likutei_Moharan', 'Sippurei_Maasiyot', 'Likutei_Halachot'];
+
+/**
+ * axios-like client answering Sefaria API requests from the fixture files
+ * (raw API responses): /api/index/<Book> and /api/texts/<Ref>[.<section>],
+ * e.g. /api/texts/Likutei_Halachot%2C_Introduction. Version lists are served from
+ * versions/<Book>.json and `?ven=`/`?vhe=` requests from texts/<Ref>/<version title>.json.
+ * texts/Likutei_Halachot.json answers the whole-book ref the way Sefaria does,
+ * with the first section only. Anything else is a 404.
+ * Responses carry an ETag (hash of the file) and If-None-Match gets a 304.
+ * `fail(url)` can return an error to throw instead, to simulate network blips.
+ */
+export function createFixtureClient(dir = FIXTURES_DIR, { fail = () => null } = {}) {
+  return {
+    requests: [],
+
+    async get(url, config = {}) {
+      this.requests.push(url);
+
+      const failure = fail(url);
+      if (failure) throw failure;
+
+      const file = fixtureFile(dir, new URL(url));
+
+      if (file) {
+        try {
+          const content = await fs.readFile(file, 'utf8');
+          const etag = `"${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}"`;
+
+          if (config.headers?.['If-None-Match'] === etag) {
+            return { status: 304, data: '', headers: { etag } };
+          }
+
+          return { status: 200, data: JSON.parse(content), headers: { etag } };
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    }
+  };
+}
+
+function fixtureFile(dir, url) {
+  const versions = url.pathname.match(/^\/api\/texts\/versions\/([^/]+)$/);
+  if (versions) return path.join(dir, 'versions', `${decodeURIComponent(versions[1])}.json`);
+
+  const match = url.pathname.match(/^\/api\/(index|texts)\/([^/]+)$/);
+  if (!match) return null;
+
+  const name = decodeURIComponent(match[2]);
+  const version = url.searchParams.get('ven') || url.searchParams.get('vhe');
+
+  return version
+    ? path.join(dir, match[1], name, `${version}.json`)
+    : path.join(dir, match[1], `${name}.json`);
+}
@@ -1,10 +1,41 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 import { OpenRouterClient } from '../src/services/openrouter.js';
+import { EmbeddingCache } from '../src/services/embedding-cache.js';
+import { getEmbeddingConfig } from '../src/services/embedding-config.js';
+import { createLLMProvider } from '../src/services/providers/index.js';
+import { createStorage } from '../src/services/storage/index.js';
+import { QuestionAnsweringService } from '../src/services/question-answering.js';
+import { SefariaExtractor } from '../scripts/extract-sefaria.js';
+import { ChunkProcessor } from '../scripts/chunk-processor.js';
+import { MasterIndexBuilder } from '../scripts/build-index.js';
+import { createFixtureClient, FIXTURE_BOOKS, FIXTURES_DIR } from './fixtures/sefaria-client.js';
+import { parseReferenceQuery, normalizeReference } from '../src/utils/references.js';
+import { schemaLeaves, alignSegments } from '../src/utils/sefaria-schema.js';
+import { getVersionConfig, withVersions, segmentsFor } from '../src/services/text-versions.js';
+import { displayForm, searchForm, prefixVariants, findAbbreviation, removeAbbreviation } from '../src/utils/hebrew.js';
+import { parseSearchQuery, searchTsQuery, documentLexemes, matchSearchQuery } from '../src/utils/full-text.js';
+import { AbbreviationService, validateAbbreviation } from '../src/services/abbreviations.js';
+import { fuseResults, getFusionConfig } from '../src/services/fusion.js';
+import { Reranker } from '../src/services/reranker.js';
+import { getTokenizer, countTokens } from '../src/services/tokenizer.js';
+import { getModelLimits, getContextBudgetConfig } from '../src/services/model-config.js';
+import { AnswerFeedbackService, validateFeedback, validateReview, matchFlaggedSources } from '../src/services/answer-feedback.js';
+import { verifyAnswer } from '../src/services/citation-verifier.js';
+import { retrievalMetrics, citationPrecision, compareToBaseline } from '../src/services/evaluation.js';
 import { logger } from '../src/utils/logger.js';
 
 // Load environment variables
 dotenv.config();
 
+// Translations of Likutei Moharan in the fixture corpus (test/fixtures/sefaria/versions)
+const FRENCH_VERSION = 'Likoutey Moharane, traduction française (extrait)';
+const BRI_VERSION = 'Breslov Research Institute (fixture excerpt)';
+
 /**
  * Test the ultra-precise queries that the user specified
  */
@@ -136,27 +167,1053 @@ async function testModelHealth() {
 }
 
 /**
- * Test the complete query processing pipeline (when database is ready)
+ * Test deterministic reference parsing (no model or database needed)
+ */
+async function testReferenceParsing() {
+  logger.info('\n📍 Testing reference parsing...');
+
+  const cases = [
+    ['la première Torah du Likutei Moharan, paragraphe 3', 'Likutei Moharan 1:3'],
+    ["Qu'est-ce que Rabbi Nachman dit par rapport à Esaü dans la première Torah du Likutei Moharan?", 'Likutei Moharan 1'],
+    ['Likutei Moharan 64:2', 'Likutei Moharan 64:2'],
+    ['Que dit la Torah 8 de Likoutei Moharan II ?', 'Likutei Moharan II 8'],
+    ['ליקוטי מוהר"ן תורה ט"ו אות ג', 'Likutei Moharan 15:3'],
+    ['What does the third lesson of Likutei Moharan say?', 'Likutei Moharan 3'],
+    ['Sippurei Maasiyot, conte 13', 'Sippurei Maasiyot 13'],
+    ['Quels sont les 10 psaumes du Tikkun HaKlali?', null],
+    ['Donne-moi ce qui parle de la confiance en Dieu', null],
+    // Articles and quantities before a section word are not section numbers
+    ['Raconte-moi une histoire des Sippurei Maasiyot', null],
+    ['Donne moi un enseignement du Likutei Moharan sur la joie', null],
+    ['What is one teaching in Likutei Moharan about joy', null],
+    ['Likutei_Moharan:1:2-5', 'Likutei Moharan 1:2-5'],
+    // Hebrew numerals after a title are marked, or a pair: short words are not numbers
+    ['ליקוטי מוהר"ן ל״א', 'Likutei Moharan 31'],
+    ['ליקוטי מוהר"ן לא, ג', 'Likutei Moharan 31:3'],
+    ['מה כתוב בליקוטי מוהר"ן לא ברור לי', null],
+    ['בליקוטי מוהר"ן לא', null],
+    ['מה אומר ליקוטי מוהר"ן על שמחה', null],
+    // Node refs of complex books
+    ['Likutei Halachot, Orach Chaim, Laws of Fringes 1:2', 'Likutei Halachot, Orach Chaim, Laws of Fringes 1:2'],
+    ['Que dit Likutei Halachot, Introduction 2 sur la joie ?', 'Likutei Halachot, Introduction 2']
+  ];
+
+  // Stored and cited reference shapes
+  const normalizations = [
+    ['Likutei_Moharan:1:2', 'Likutei Moharan 1:2'],
+    ['Likutei Moharan 1.2', 'Likutei Moharan 1:2'],
+    ['Likutei Moharan, Torah 1, §2', 'Likutei Moharan 1:2'],
+    ['ליקוטי מוהר"ן קנ"ה, ב', 'Likutei Moharan 155:2'],
+    ['Likutei Moharan 1:2-1:5', 'Likutei Moharan 1:2-5'],
+    ['Likutei Moharan', null],
+    ['Likoutei Halakhot, Introduction 2', 'Likutei Halachot, Introduction 2']
+  ];
+
+  const check = (parse) => ([input, expected]) => {
+    const actual = parse(input);
+    if (actual !== expected) {
+      logger.error(`❌ "${input}" → ${actual} (expected ${expected})`);
+      return true;
+    }
+    return false;
+  };
+
+  const failures = [
+    ...cases.filter(check(question => parseReferenceQuery(question)?.ref ?? null)),
+    ...normalizations.filter(check(normalizeReference))
+  ];
+
+  // Citations verify against sources despite formatting differences
+  const citations = new OpenRouterClient().extractCitations(
+    'Voir (Likutei Moharan:1:3) et Likutei Moharan 2:1, comme dans Likutei Halachot, Orach Chaim, Laws of Fringes 1:2.',
+    [
+      { id: 'a', exact_reference: 'Likutei Moharan 1:2-5' },
+      { id: 'b', exact_reference: 'Likutei Halachot, Orach Chaim, Laws of Fringes 1:1-3' }
+    ]
+  );
+  if (citations.length !== 3 || !citations[0].verified || citations[1].verified || citations[2].chunk_id !== 'b') {
+    logger.error('❌ Citation verification:', citations);
+    failures.push(citations);
+  }
+
+  const total = cases.length + normalizations.length + 1;
+
+  logger.info(`${failures.length === 0 ? '✅' : '❌'} ${total - failures.length}/${total} references parsed`);
+
+  return { passed: failures.length === 0, total, failed: failures.length };
+}
+
+/**
+ * Test sentence support checks against source text (offline)
+ */
+function testCitationVerification() {
+  logger.info('\n🔎 Testing citation verification...');
+
+  const chunks = [{
+    id: 'lm-1-3',
+    exact_reference: 'Likutei Moharan 1:3',
+    content: 'It is a great mitzvah to always be joyful.',
+    hebrew_text: 'מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד'
+  }];
+
+  const answer = [
+    'Il est écrit « מצוה גדולה להיות בשמחה תמיד » (Likutei Moharan 1:3).',
+    'Rabbi Nachman dit « la tristesse est une grande mitsva » (Likutei Moharan 1:3).',
+    'Il voyagea vers Jérusalem avec ses disciples (Likutei Moharan 2:4).'
+  ].join('\n');
+
+  const citations = new OpenRouterClient().extractCitations(answer, chunks);
+  const { sentences } = verifyAnswer(answer, chunks, citations);
+  const expected = ['supported', 'unsupported', 'unsupported'];
+  const actual = sentences.map(sentence => sentence.support);
+
+  const failed = expected.filter((status, i) => actual[i] !== status).length;
+  if (failed > 0) {
+    logger.error(`❌ Support statuses ${actual.join(', ')} (expected ${expected.join(', ')})`);
+  }
+
+  logger.info(`${failed === 0 ? '✅' : '❌'} ${expected.length - failed}/${expected.length} sentences classified`);
+
+  return { passed: failed === 0, total: expected.length, failed };
+}
+
+/**
+ * Test evaluation metrics on a hand-computed ranking (offline)
+ */
+function testEvaluationMetrics() {
+  logger.info('\n📏 Testing evaluation metrics...');
+
+  const expected = ['Likutei Moharan 1', 'Likutei Moharan II 24'];
+  const retrieved = ['Sippurei Maasiyot 1:2', 'Likutei Moharan 1:3', 'Likutei Moharan 2:1', 'Likutei Moharan II 24:1'];
+  const metrics = retrievalMetrics(retrieved, expected, [1, 3, 5]);
+
+  const run = { dataset: { version: 1 }, summary: { mrr: 0.4 }, questions: [{ id: 'q', metrics: { mrr: 0.4 } }] };
+  const baseline = { dataset: { version: 1 }, summary: { mrr: 0.5 }, questions: [{ id: 'q', metrics: { mrr: 0.5 } }] };
+
+  const checks = [
+    ['recall@1', metrics['recall@1'], 0],
+    ['recall@3', metrics['recall@3'], 0.5],
+    ['recall@5', metrics['recall@5'], 1],
+    ['mrr', metrics.mrr, 0.5],
+    ['citation precision', citationPrecision(['Likutei Moharan 1:3', 'Likutei Moharan 2:1'], expected), 0.5],
+    ['regression', compareToBaseline(run, baseline, 0.02).regressed, true]
+  ];
+
+  const failures = checks.filter(([, actual, wanted]) => actual !== wanted);
+  for (const [name, actual, wanted] of failures) {
+    logger.error(`❌ ${name}: ${actual} (expected ${wanted})`);
+  }
+
+  logger.info(`${failures.length === 0 ? '✅' : '❌'} ${checks.length - failures.length}/${checks.length} metrics computed`);
+
+  return { passed: failures.length === 0, total: checks.length, failed: failures.length };
+}
+
+/**
+ * Test checkpointed extraction on the fixture corpus: a failed section is
+ * resumed alone, and unchanged books are skipped on the next run
+ */
+async function testIncrementalExtraction() {
+  logger.info('\n⏯️ Testing incremental extraction...');
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breslov-extraction-'));
+  const outputDir = path.join(workDir, 'raw');
+  const extract = http => new SefariaExtractor({ http, outputDir, books: FIXTURE_BOOKS, rateLimit: 0, bookPause: 0, retries: 0 })
+    .extractAll();
+
+  try {
+    const flakySection = 'https://www.sefaria.org/api/texts/Likutei_Moharan.2';
+    const interrupted = await extract(createFixtureClient(undefined, {
+      fail: url => (url === flakySection ? Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) : null)
+    }));
+
+    const resumeClient = createFixtureClient();
+    const resumed = await extract(resumeClient);
+
+    const rerunClient = createFixtureClient();
+    const rerun = await extract(rerunClient);
+
+    const files = (await fs.readdir(outputDir)).filter(file => file.endsWith('.json')).sort();
+    const likuteiMoharan = JSON.parse(await fs.readFile(path.join(outputDir, 'Likutei_Moharan.json'), 'utf8'));
+
+    const checks = [
+      ['interrupted book is resumable', interrupted.failed.find(failure => failure.book === 'Likutei_Moharan')?.resumable, true],
+      ['other books extracted', interrupted.extracted.join(), 'Sippurei_Maasiyot,Likutei_Halachot'],
+      // in each of its versions (`?ven=`), after the book's version list
+      ['resume requests only the failed section', [...new Set(resumeClient.requests
+        .filter(url => url.includes('/texts/Likutei_Moharan'))
+        .map(url => url.split('?')[0]))].join(), flakySection],
+      ['resumed book extracted', resumed.extracted.join(), 'Likutei_Moharan'],
+      ['resumed book complete', likuteiMoharan.data.sections.map(section => section.section).join(), '1,2,3'],
+      ['unchanged books skipped', rerun.unchanged.length, FIXTURE_BOOKS.length],
+      ['unchanged books revalidated by section', rerunClient.requests.some(url => url.includes('/v3/')), false],
+      ['one raw file per book', files.join(), 'Likutei_Halachot.json,Likutei_Moharan.json,Sippurei_Maasiyot.json,extraction_summary.json']
+    ];
+
+    const failures = checks.filter(([, actual, wanted]) => actual !== wanted);
+    for (const [name, actual, wanted] of failures) {
+      logger.error(`❌ ${name}: ${actual} (expected ${wanted})`);
+    }
+
+    logger.info(`${failures.length === 0 ? '✅' : '❌'} ${checks.length - failures.length}/${checks.length} extraction checks passed`);
+
+    return { passed: failures.length === 0, total: checks.length, failed: failures.length };
+
+  } catch (error) {
+    logger.error('❌ Incremental extraction test failed:', error.message);
+    return { passed: false, total: 0, failed: 1, error: error.message };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test schema traversal: nested nodes and default nodes get their full refs,
+ * and a complex book from the fixture corpus is extracted node by node with
+ * its node titles as section titles
+ */
+async function testSchemaTraversal() {
+  logger.info('\n🌳 Testing Sefaria schema traversal...');
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breslov-schema-'));
+
+  try {
+    const leaves = schemaLeaves({
+      title: 'Likutei Moharan',
+      heTitle: 'ליקוטי מוהר״ן',
+      schema: {
+        nodes: [
+          { nodeType: 'JaggedArrayNode', depth: 1, titles: [{ text: 'Introduction', lang: 'en', primary: true }, { text: 'הקדמה', lang: 'he', primary: true }] },
+          { nodeType: 'JaggedArrayNode', depth: 2, default: true, lengths: [286] }
+        ]
+      }
+    });
+
+    const http = createFixtureClient();
+    const extractor = new SefariaExtractor({ http, outputDir: path.join(workDir, 'raw'), books: ['Likutei_Halachot'], rateLimit: 0, bookPause: 0 });
+    await extractor.extractAll();
+
+    const storage = createStorage('memory', { openrouter: new OpenRouterClient({ provider: createLLMProvider('local') }) });
+    const processor = new ChunkProcessor({ storage, inputDir: path.join(workDir, 'raw'), outputDir: path.join(workDir, 'chunks') });
+    await processor.init();
+    await processor.processAllFiles();
+
+    const chunks = await storage.getAllChunks();
+
+    const checks = [
+      ['introduction ref', leaves[0]?.ref, 'Likutei Moharan, Introduction'],
+      ['introduction Hebrew title', leaves[0]?.he_title, 'הקדמה'],
+      ['default node keeps the book ref', leaves[1]?.ref, 'Likutei Moharan'],
+      ['default node has no title', leaves[1]?.title, null],
+      ['nested sections extracted by full ref', chunks.map(chunk => chunk.metadata.original_ref).join('|'), [
+        'Likutei Halachot, Introduction',
+        'Likutei Halachot, Orach Chaim, Laws of Morning Conduct 1',
+        'Likutei Halachot, Orach Chaim, Laws of Morning Conduct 2',
+        'Likutei Halachot, Orach Chaim, Laws of Fringes 1'
+      ].join('|')],
+      ['sections without lengths followed to the next node', http.requests.filter(url => url.includes('Morning_Conduct')).length, 2],
+      ['whole-book ref (first section only) not requested', http.requests.some(url => /\/texts\/Likutei_Halachot(\?|$)/.test(url)), false],
+      ['node title as section title', chunks[1]?.metadata.section_title, 'Orach Chaim, Laws of Morning Conduct'],
+      ['Hebrew node title kept', chunks[3]?.metadata.he_section_title, 'אורח חיים, הלכות ציצית'],
+      ['introduction segment looked up', (await storage.createServices().vectorSearch
+        .getPassageForReference(parseReferenceQuery('Likutei Halachot, Introduction 2')))?.chunks[0]?.exact_reference, 'Likutei Halachot, Introduction 1-2']
+    ];
+
+    const failures = checks.filter(([, actual, wanted]) => actual !== wanted);
+    for (const [name, actual, wanted] of failures) {
+      logger.error(`❌ ${name}: ${actual} (expected ${wanted})`);
+    }
+
+    logger.info(`${failures.length === 0 ? '✅' : '❌'} ${checks.length - failures.length}/${checks.length} schema checks passed`);
+
+    return { passed: failures.length === 0, total: checks.length, failed: failures.length };
+
+  } catch (error) {
+    logger.error('❌ Schema traversal test failed:', error.message);
+    return { passed: false, total: 0, failed: 1, error: error.message };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Fixture corpus shared by the tests below (see getFixtureCorpus)
+let fixtureCorpus = null;
+
+/**
+ * The fixture books extracted once per run into a temporary directory and
+ * chunked into memory storage, offline, with the local LLM provider.
+ * Tests must not change its storage; removeFixtureCorpus() deletes it.
+ * @returns {Promise<{ workDir, http, openrouter, storage, processor, chunks }>}
+ */
+function getFixtureCorpus() {
+  if (!fixtureCorpus) fixtureCorpus = buildFixtureCorpus();
+  return fixtureCorpus;
+}
+
+async function buildFixtureCorpus() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breslov-corpus-'));
+
+  try {
+    const http = createFixtureClient();
+    const extractor = new SefariaExtractor({ http, outputDir: path.join(workDir, 'raw'), books: ['Likutei_Moharan', 'Likutei_Halachot'], rateLimit: 0, bookPause: 0 });
+    await extractor.extractAll();
+
+    return { workDir, http, ...(await chunkFixtureCorpus(workDir)) };
+  } catch (error) {
+    await fs.rm(workDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Chunk the extracted fixture books into a new memory storage;
+ * `chunkSize` overrides the chunker's token budget
+ */
+async function chunkFixtureCorpus(workDir, options = {}) {
+  const openrouter = new OpenRouterClient({ provider: createLLMProvider('local') });
+  const storage = createStorage('memory', { openrouter });
+  const processor = new ChunkProcessor({
+    storage,
+    inputDir: path.join(workDir, 'raw'),
+    outputDir: path.join(workDir, `chunks-${options.chunkSize || 'default'}`)
+  });
+  await processor.init();
+  if (options.chunkSize) processor.chunker.chunkSize = options.chunkSize;
+  await processor.processAllFiles();
+
+  return { openrouter, storage, processor, chunks: await storage.getAllChunks() };
+}
+
+async function removeFixtureCorpus() {
+  const corpus = await fixtureCorpus?.catch(() => null);
+  fixtureCorpus = null;
+
+  if (corpus) await fs.rm(corpus.workDir, { recursive: true, force: true });
+}
+
+/**
+ * Run a test's checks and count them for the report. `setup` prepares what
+ * they need and returns them as { name: () => assertion }: a failed
+ * assertion is logged with its diff, a failed setup fails the whole test.
+ */
+async function runChecks(title, setup) {
+  let checks;
+  try {
+    checks = Object.entries(await setup());
+  } catch (error) {
+    logger.error(`❌ ${title} setup failed:`, error.message);
+    return { passed: false, total: 0, failed: 1, error: error.message };
+  }
+
+  let failed = 0;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+    } catch (error) {
+      failed++;
+      logger.error(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  logger.info(`${failed === 0 ? '✅' : '❌'} ${checks.length - failed}/${checks.length} ${title} checks passed`);
+
+  return { passed: failed === 0, total: checks.length, failed };
+}
+
+const referencesOf = chunks => chunks.map(chunk => chunk.exact_reference ?? chunk.reference);
+
+/**
+ * Test text versions: every selected version of a section is extracted with
+ * its title and license, cut with the chunk, and a query can choose the
+ * version shown and cited
+ */
+async function testTextVersions() {
+  logger.info('\n🌐 Testing text versions...');
+
+  return runChecks('version', async () => {
+    const { http, openrouter, storage, chunks } = await getFixtureCorpus();
+    const services = storage.createServices();
+
+    const versions = await services.vectorSearch.getChunkVersions(chunks.map(chunk => chunk.id));
+    const versionsOf = reference => versions.get(chunks.find(chunk => chunk.reference === reference)?.id) || [];
+    const secondTorah = versionsOf('Likutei Moharan 2:1-3');
+
+    const qa = new QuestionAnsweringService({ openrouter, ...services });
+    const ask = (question, version) => qa.answer({ question, version }, { id: null, turns: [] }, { record: false });
+    const french = await ask('Likutei Moharan 2', { language: 'fr' });
+    const bri = await ask('Likutei Moharan 2', { title: BRI_VERSION });
+    const missing = await ask('Likutei Moharan 3', { title: 'Missing version' });
+
+    return {
+      'versions of a section': () => assert.deepEqual(
+        secondTorah.map(version => [version.language, version.version_title]),
+        [['en', 'Fixture excerpt (abridged English)'], ['he', 'Fixture excerpt (abridged Hebrew)'], ['en', BRI_VERSION], ['fr', FRENCH_VERSION]]
+      ),
+      'version missing for a section is skipped': () => assert.deepEqual(
+        versionsOf('Likutei Moharan 1:1-3').filter(version => version.version_title === BRI_VERSION), []
+      ),
+      'unselected languages are not fetched': () => assert.deepEqual(http.requests.filter(url => url.includes('espa')), []),
+      'license kept': () => assert.equal(
+        secondTorah.find(version => version.version_title === BRI_VERSION)?.license, 'Copyright: Breslov Research Institute'
+      ),
+      'markup stripped from versions': () => assert.doesNotMatch(secondTorah.find(version => version.language === 'fr').content, /<b>/),
+      'French version cited': () => assert.deepEqual(
+        { language: french.sources[0]?.version?.language, title: french.sources[0]?.version?.title },
+        { language: 'fr', title: FRENCH_VERSION }
+      ),
+      'version chosen by title': () => assert.equal(bri.sources[0]?.version?.license, 'Copyright: Breslov Research Institute'),
+      'default shown when the version is missing': () => assert.equal(missing.sources[0]?.version?.matched, false),
+      'unknown language rejected': () => assert.throws(() => getVersionConfig({ language: 'es' }), /language/i)
+    };
+  });
+}
+
+/**
+ * Test structure-aware chunking: chunks are runs of whole segments whose
+ * reference is the exact range they cover, with Hebrew and every version cut
+ * at the same segments
+ */
+async function testSegmentChunking() {
+  logger.info('\n🧩 Testing segment chunking...');
+
+  return runChecks('segment chunking', async () => {
+    // One segment per chunk: every segment is bigger than a one-token budget
+    const { workDir } = await getFixtureCorpus();
+    const { storage, processor, chunks } = await chunkFixtureCorpus(workDir, { chunkSize: 1 });
+
+    const versions = await storage.createServices().vectorSearch.getChunkVersions(chunks.map(chunk => chunk.id));
+    const secondSegment = chunks.find(chunk => chunk.reference === 'Likutei Moharan 2:2');
+    const bri = (versions.get(secondSegment?.id) || []).find(version => version.version_title === BRI_VERSION);
+
+    const readFixture = async file => JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'texts', file), 'utf8'));
+    const hebrew = (await readFixture('Likutei_Moharan.2.json')).he[1];
+    const briText = (await readFixture(`Likutei_Moharan.2/${BRI_VERSION}.json`)).text[1];
+
+    const { chunker } = processor;
+    chunker.chunkSize = 100;
+
+    // Re-chunked with a bigger budget: the first positional id now covers the
+    // three segments and the other two ids are gone
+    const segment = n => ({ id: `Test_Rechunk_s1_c${n}`, content: `Segment ${n}`, reference: `Test Rechunk 1:${n}`, section_number: 1, token_count: 1, metadata: {} });
+    await storage.saveChunks('Test_Rechunk', [segment(1), segment(2), segment(3)]);
+    await storage.saveChunks('Test_Rechunk', [{ ...segment(1), content: 'Segments 1 to 3', reference: 'Test Rechunk 1:1-3' }]);
+    const rechunked = (await storage.getAllChunks()).filter(chunk => chunk.book_name === 'Test_Rechunk');
+
+    return {
+      'runs of whole segments': () => assert.deepEqual(chunker.groupSegments([40, 30, 50, 200, 10]), [[0, 2], [2, 3], [3, 4], [4, 5]]),
+      'segment range reference': () => assert.equal(chunker.segmentReference('Likutei Moharan 1', [3], [5]), 'Likutei Moharan 1:3-5'),
+      'range across sections': () => assert.equal(chunker.segmentReference('Likutei Moharan', [1, 4], [2, 2]), 'Likutei Moharan 1:4-2:2'),
+      'one-level node reference': () => assert.equal(
+        chunker.segmentReference('Likutei Halachot, Introduction', [2], [2]), 'Likutei Halachot, Introduction 2'
+      ),
+      'chunk references are segments': () => assert.deepEqual(
+        referencesOf(chunks.filter(chunk => chunk.reference.startsWith('Likutei Moharan 2'))),
+        ['Likutei Moharan 2:1', 'Likutei Moharan 2:2', 'Likutei Moharan 2:3']
+      ),
+      'Hebrew aligned with its segment': () => assert.equal(secondSegment?.hebrew_text, hebrew),
+      'versions cut at the same segment': () => assert.equal(bri?.content, briText.replace(/<[^>]*>/g, '')),
+      'complex node segments': () => assert.deepEqual(
+        referencesOf(chunks.filter(chunk => chunk.book_name === 'Likutei_Halachot')).slice(0, 2),
+        ['Likutei Halachot, Introduction 1', 'Likutei Halachot, Introduction 2']
+      ),
+      'segments aligned by address': () => assert.deepEqual(
+        alignSegments([['a', '', 'c'], ['א', 'ב', 'ג']]).map(aligned => aligned.texts),
+        [['a', 'א'], [null, 'ב'], ['c', 'ג']]
+      ),
+      're-chunked book keeps only its new chunks': () => assert.deepEqual(referencesOf(rechunked), ['Test Rechunk 1:1-3'])
+    };
+  });
+}
+
+/**
+ * Test the bilingual segment table: each segment of a chunk keeps its Hebrew
+ * next to every translation, shown to the model and returned with citations
+ */
+async function testBilingualSegments() {
+  logger.info('\n📜 Testing bilingual segments...');
+
+  return runChecks('bilingual segment', async () => {
+    const { openrouter, storage, chunks } = await getFixtureCorpus();
+    const services = storage.createServices();
+
+    const chunk = chunks.find(candidate => candidate.reference === 'Likutei Moharan 2:1-3');
+    const stored = (await services.vectorSearch.getChunkSegments([chunk.id])).get(chunk.id) || [];
+    const [french] = await withVersions([chunk], services.vectorSearch, getVersionConfig({ language: 'fr' }));
+
+    const hebrew = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'texts', 'Likutei_Moharan.2.json'), 'utf8')).he[1];
+
+    const qa = new QuestionAnsweringService({ openrouter, ...services });
+    const answer = await qa.answer({ question: 'Likutei Moharan 2:2', version: { language: 'fr' } }, { id: null, turns: [] }, { record: false });
+
+    return {
+      'one row per segment': () => assert.deepEqual(
+        stored.map(segment => segment.reference), ['Likutei Moharan 2:1', 'Likutei Moharan 2:2', 'Likutei Moharan 2:3']
+      ),
+      'segment Hebrew': () => assert.equal(stored[1]?.hebrew, hebrew),
+      'translations side by side': () => assert.ok(stored[1]?.translations.some(version => version.version_title === BRI_VERSION)),
+      'chosen translation per segment': () => assert.equal(french.segments[1]?.translation?.language, 'fr'),
+      'prompt shows segments': () => assert.match(openrouter.formatSourceBlock(french), /\[Likutei Moharan 2:2\]\nHÉBREU:/),
+      'segment of a chunk': () => assert.deepEqual(
+        segmentsFor(french.segments, 'Likutei Moharan 2:2').map(segment => segment.reference), ['Likutei Moharan 2:2']
+      ),
+      'citation carries the aligned Hebrew': () => assert.ok(answer.sources[0]?.segments.some(segment => segment.hebrew === hebrew))
+    };
+  });
+}
+
+/**
+ * Test Hebrew normalization: chunks are stored in a display form (no markup
+ * or footnotes) and a search form (no nikud, regular final letters, rashei
+ * teivot expanded) that keyword search matches unvocalized queries against
+ */
+async function testHebrewNormalization() {
+  logger.info('\n🔤 Testing Hebrew normalization...');
+
+  return runChecks('Hebrew normalization', async () => {
+    const { storage, chunks } = await getFixtureCorpus();
+
+    const music = chunks.find(chunk => chunk.reference.startsWith('Likutei Moharan 3'));
+    const found = await storage.createServices().masterIndex.keywordSearch('מנגנים');
+
+    return {
+      'display form keeps nikud': () => assert.equal(displayForm('<b>שִׂמְחָה</b>&nbsp;גְּדוֹלָה'), 'שִׂמְחָה גְּדוֹלָה'),
+      'cantillation removed for display': () => assert.equal(displayForm('בְּרֵאשִׁ֖ית'), 'בְּרֵאשִׁית'),
+      'search form without nikud': () => assert.equal(searchForm('שִׂמְחָה'), 'שמחה'),
+      'final letters normalized': () => assert.equal(searchForm('שָׁלוֹם'), 'שלומ'),
+      'rashei teivot expanded': () => assert.equal(searchForm('אמר ר״נ ז"ל'), 'אמר רנ רבי נחמנ זל זכרונו לברכה'),
+      'out-of-range entity dropped': () => assert.equal(searchForm('שמחה&#x110000;'), 'שמחה'),
+      'footnotes removed from chunks': () => assert.doesNotMatch(music.content, /Samuel|</),
+      'vocalized text found by an unvocalized query': () => assert.deepEqual(referencesOf(found), [music.reference])
+    };
+  });
+}
+
+/**
+ * Test full-text search: Hebrew prefixes, French stemming, phrases and
+ * proximity, on the fixture corpus in memory and as built for Postgres
+ */
+async function testFullTextSearch() {
+  logger.info('\n🔎 Testing full-text search...');
+
+  return runChecks('full-text search', async () => {
+    const { storage } = await getFixtureCorpus();
+
+    const { masterIndex } = storage.createServices();
+    const sections = async query => referencesOf(await masterIndex.keywordSearch(query)).map(reference => reference.split(':')[0]);
+
+    const french = documentLexemes(searchForm('Toutes les prières sont acceptées'), '');
+    const tsQuery = searchTsQuery(parseSearchQuery('"ניגון מבעל" joie'), 3);
+
+    return {
+      'prefixes stripped': () => assert.deepEqual(prefixVariants(searchForm('וּבְשִׂמְחָה')), ['ובשמחה', 'בשמחה', 'שמחה']),
+      'prefixed forms found': async () => assert.deepEqual(await sections('שמחה'), ['Likutei Moharan 3']),
+      'French stemming': () => assert.equal(matchSearchQuery(parseSearchQuery('prière acceptée'), french).matched, true),
+      'phrase in order': async () => assert.deepEqual(await sections('"ניגון מבעל מנגן"'), ['Likutei Moharan 3']),
+      'phrase out of order': async () => assert.deepEqual(await sections('"מנגן ניגון"'), []),
+      'words within distance': async () => assert.deepEqual(await sections('מנגן NEAR/2 ניגון'), ['Likutei Moharan 3']),
+      'words too far apart': async () => assert.deepEqual(await sections('ניגון NEAR/1 מנגן'), []),
+      'tsquery for Postgres': () => assert.equal(
+        tsQuery.sql, "(tsquery_phrase(plainto_tsquery('simple', $3), plainto_tsquery('simple', $4)) && plainto_tsquery('french', $5))"
+      )
+    };
+  });
+}
+
+/**
+ * Test the abbreviation dictionary: spelling variants, expansion of texts and
+ * queries, and entries added afterwards re-indexing the chunks that use them
+ */
+async function testAbbreviations() {
+  logger.info('\n🔠 Testing abbreviation dictionary...');
+
+  return runChecks('abbreviation', async () => {
+    const { openrouter, storage } = await getFixtureCorpus();
+    const sections = async (masterIndex, query) => referencesOf(await masterIndex.keywordSearch(query))
+      .map(reference => reference.split(':')[0])
+      .sort();
+
+    const corpusSections = await sections(storage.createServices().masterIndex, 'ה׳');
+
+    // A song written with an abbreviation the dictionary does not know yet, in a
+    // storage of its own so the shared corpus is left as built
+    const songs = createStorage('memory', { openrouter });
+    await songs.saveChunks('Test_Songs', [{
+      id: 'test-songs-1',
+      content: 'They sang Na Nach with joy.',
+      hebrew_text: 'והיו שרים נ״נ בשמחה',
+      reference: 'Test Songs 1',
+      section_number: 1,
+      token_count: 10,
+      metadata: {}
+    }]);
+
+    const { masterIndex, abbreviations } = songs.createServices();
+    const before = await sections(masterIndex, 'מאומן');
+    let added, after, listed;
+
+    // The dictionary is process-wide: the entry is removed again for the tests that follow
+    try {
+      added = await abbreviations.add({ abbreviation: 'נ"נ', expansions: ['נ נח נחמ נחמן מאומן'] });
+      after = await sections(masterIndex, 'מאומן');
+      listed = (await abbreviations.list()).find(entry => entry.key === 'ננ');
+    } finally {
+      removeAbbreviation('נ"נ');
+    }
+
+    // A database that loses the connection before the entry is committed
+    const statements = [];
+    const pool = {
+      query: async () => ({ rows: [] }),
+      connect: async () => ({
+        query: async sql => {
+          statements.push(sql.trim().split(/\s+/)[0]);
+          if (sql === 'COMMIT') throw new Error('connection lost');
+          return { rows: [] };
+        },
+        release: () => {}
+      })
+    };
+    const failing = new AbbreviationService({ pool });
+    const failedAdd = await failing.add({ abbreviation: 'פ"פ', expansions: ['פעם פעם'] }).catch(error => error);
+    const replaced = await failing.add({ abbreviation: 'ר״ל', expansions: ['רק לא'] }).catch(error => error);
+
+    return {
+      'spelling variants share an entry': () => {
+        assert.ok(findAbbreviation('ר״ל'));
+        assert.equal(findAbbreviation('ר"ל'), findAbbreviation('ר״ל'));
+        assert.equal(findAbbreviation('ר׳׳ל'), findAbbreviation('ר״ל'));
+      },
+      'ambiguous abbreviations keep every expansion': () => assert.equal(searchForm('ר״ל'), 'רל רוצה לומר רחמנא ליצלנ'),
+      'prefixed abbreviation expanded': () => assert.equal(searchForm('והקב״ה'), 'והקבה הקדוש ברוכ הוא'),
+      'abbreviation in a query finds the written-out form': () => assert.deepEqual(
+        corpusSections, ['Likutei Halachot, Introduction 1-2', 'Likutei Moharan 1', 'Likutei Moharan 2']
+      ),
+      'unknown abbreviation not expanded': () => assert.deepEqual(before, []),
+      'added entry re-indexes its chunks': () => assert.equal(added.chunks_updated, 1),
+      'added entry used at index time': () => assert.deepEqual(after, ['Test Songs 1']),
+      'added entry listed': () => assert.equal(listed?.source, 'custom'),
+      'removed entry no longer expanded': () => assert.equal(searchForm('נ״נ'), 'ננ'),
+      'entry not kept when it cannot be saved': () => {
+        assert.match(failedAdd.message, /connection lost/);
+        assert.equal(findAbbreviation('פ"פ'), null);
+      },
+      'replaced entry restored when it cannot be saved': () => {
+        assert.match(replaced.message, /connection lost/);
+        assert.equal(searchForm('ר״ל'), 'רל רוצה לומר רחמנא ליצלנ');
+      },
+      'failed save rolled back': () => assert.deepEqual(statements.slice(0, 5), ['BEGIN', 'INSERT', 'SELECT', 'COMMIT', 'ROLLBACK']),
+      'entry without quote mark rejected': () => assert.notEqual(validateAbbreviation({ abbreviation: 'רל', expansions: ['רוצה לומר'] }), null),
+      'valid entry accepted': () => assert.equal(validateAbbreviation({ abbreviation: 'אפי׳', expansions: ['אפילו'] }), null)
+    };
+  });
+}
+
+/**
+ * Test rank fusion: reciprocal rank and weighted scores over the same
+ * ranked lists, and per-request settings rejected before they reach a score
+ */
+function testRankFusion() {
+  logger.info('\n🔀 Testing rank fusion...');
+
+  const vector = [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.5 }, { id: 'c', score: 0.1 }];
+  const keyword = [{ id: 'b', score: 3 }, { id: 'a', score: 1 }, { id: 'b', score: 0.5 }];
+  const weights = { vector: 1, keyword: 0.8 };
+  const ids = results => results.map(result => result.id);
+
+  return runChecks('rank fusion', () => {
+    const rrf = fuseResults({ vector, keyword }, { mode: 'rrf', k: 60, weights });
+    const weighted = fuseResults({ vector, keyword }, { mode: 'weighted', weights });
+
+    return {
+      'RRF ranks by reciprocal rank': () => assert.deepEqual(ids(rrf), ['a', 'b', 'c']),
+      'RRF score': () => assert.ok(Math.abs(rrf[0].score - (1 / 61 + 0.8 / 62)) < 1e-12),
+      'only the best rank of a repeated result counts': () => assert.equal(rrf[1].fusion.keyword.rank, 1),
+      'sources of a fused result': () => assert.deepEqual(rrf[1].sources, ['vector', 'keyword']),
+      'weighted ranks by normalized scores': () => assert.deepEqual(ids(weighted), ['b', 'a', 'c']),
+      'weighted score is a weighted average': () => assert.ok(Math.abs(weighted[0].score - (0.5 + 0.8) / 1.8) < 1e-12),
+      'zero weight drops a source': () => assert.deepEqual(
+        ids(fuseResults({ vector, keyword }, { mode: 'weighted', weights: { keyword: 0 } })), ['a', 'b', 'c']
+      ),
+      'negative k rejected': () => assert.throws(() => getFusionConfig({ k: -1 }), /k must be/),
+      'non-numeric k rejected': () => assert.throws(() => getFusionConfig({ k: '60' }), /k must be/),
+      'non-numeric weight rejected': () => assert.throws(() => getFusionConfig({ mode: 'weighted', weights: { vector: 'x' } }), /vector/),
+      'negative weight rejected': () => assert.throws(() => getFusionConfig({ weights: { keyword: -0.5 } }), /keyword/),
+      'unknown mode rejected': () => assert.throws(() => getFusionConfig({ mode: 'borda' }), /Unknown fusion mode/)
+    };
+  });
+}
+
+/**
+ * Test lexical reranking: BM25 order over the candidates, ties kept in
+ * retrieval order, topK and token budget truncation, and the disabled mode
+ */
+async function testReranker() {
+  logger.info('\n🎯 Testing reranker...');
+
+  return runChecks('reranker', async () => {
+    const reranker = new Reranker(new OpenRouterClient({ provider: createLLMProvider('local') }));
+    const chunks = [
+      { id: 'fields', content: 'Hitbodedut in the fields at night.', token_count: 10 },
+      { id: 'melody', content: 'Simcha with a melody brings joy to the heart.', token_count: 40 },
+      { id: 'morning', content: 'Simcha in the morning.', token_count: 10 },
+      { id: 'forest', content: 'Hitbodedut in the forest.', token_count: 10 }
+    ];
+    const ids = result => result.chunks.map(chunk => chunk.id);
+    const rerank = options => reranker.rerank('simcha joy melody', chunks, { minScore: 0, tokenBudget: 1000, ...options });
+
+    const lexical = await rerank({ mode: 'lexical', topK: 10 });
+    const auto = await rerank({ mode: 'auto', topK: 10 });
+    const truncated = await rerank({ mode: 'lexical', topK: 2 });
+    const budgeted = await rerank({ mode: 'lexical', topK: 10, tokenBudget: 45 });
+    const disabled = await rerank({ mode: 'none', topK: 2 });
+
+    return {
+      'ranked by BM25': () => assert.deepEqual(ids(lexical), ['melody', 'morning', 'fields', 'forest']),
+      'scores normalized': () => assert.deepEqual(lexical.scores.map(score => score.rerank_score > 0), [true, true, false, false]),
+      'ties kept in retrieval order': () => assert.deepEqual(lexical.scores.slice(2).map(score => score.retrieval_rank), [1, 4]),
+      'auto is lexical offline': () => assert.equal(auto.mode, 'lexical'),
+      'topK truncation': () => assert.deepEqual(ids(truncated), ['melody', 'morning']),
+      'truncated chunks reported': () => assert.deepEqual(truncated.scores.map(score => score.kept), [true, true, false, false]),
+      'token budget skips what does not fit': () => assert.deepEqual(ids(budgeted), ['melody']),
+      'disabled keeps retrieval order': () => assert.deepEqual(ids(disabled), ['fields', 'melody', 'morning', 'forest']),
+      'disabled scores nothing': () => assert.deepEqual({ mode: disabled.mode, scores: disabled.scores }, { mode: 'none', scores: [] })
+    };
+  });
+}
+
+/**
+ * Test context budgeting: tokens counted with the model's encoding, limits
+ * for models missing from the table, and sources that do not fit the
+ * budget dropped while smaller ones after them are still kept
+ */
+async function testContextBudget() {
+  logger.info('\n📏 Testing context budget...');
+
+  return runChecks('context budget', async () => {
+    const gpt = await getTokenizer('openai/gpt-4o');
+    const gemini = await getTokenizer('google/gemini-2.5-flash');
+
+    const openrouter = new OpenRouterClient({ provider: createLLMProvider('local') });
+    const qa = new QuestionAnsweringService({ openrouter, ...createStorage('memory', { openrouter }).createServices() });
+    const source = (id, words) => ({ id, exact_reference: `Likutei Moharan ${id}`, content: 'simcha '.repeat(words).trim() });
+    const sources = [source(1, 20), source(2, 400), source(3, 20)];
+
+    // A budget the first and last sources fit in, but not the long one between them
+    const model = openrouter.models.primary;
+    const tokenizer = await getTokenizer(model);
+    const sourceTokens = sources.map(chunk => tokenizer.count(openrouter.formatSourceBlock(chunk)));
+
+    const selectWith = async env => {
+      const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+      Object.assign(process.env, env);
+      try {
+        return (await qa.selectBestChunks(sources, 'Que dit Rabbi Nachman sur la joie?')).map(chunk => chunk.id);
+      } finally {
+        for (const [key, value] of Object.entries(saved)) {
+          if (value === undefined) delete process.env[key];
+          else process.env[key] = value;
+        }
+      }
+    };
+
+    const fitting = await selectWith({ MAX_CONTEXT_TOKENS: String(sourceTokens[0] + sourceTokens[2]) });
+    const tight = await selectWith({ MAX_CONTEXT_TOKENS: String(sourceTokens[0] - 1) });
+    const capped = await selectWith({ MAX_CONTEXT_CHUNKS: '1' });
+    const unbounded = await selectWith({});
+    const unknown = getModelLimits('acme/unknown-model', {});
+
+    return {
+      'tokens counted with the model encoding': () => assert.equal(gpt.count('hello world'), 2),
+      'counts scaled by the token ratio': () => assert.equal(gemini.count('hello world'), Math.ceil(2 * 1.1)),
+      'empty text has no tokens': async () => assert.equal(await countTokens('', 'openai/gpt-4o'), 0),
+      'special-token text counted': () => assert.ok(gpt.count('<|endoftext|>') > 0),
+      'unknown model gets conservative limits': () => assert.deepEqual(
+        { known: unknown.known, contextWindow: unknown.contextWindow, maxOutput: unknown.maxOutput, encoding: unknown.encoding },
+        { known: false, contextWindow: 32768, maxOutput: 4096, encoding: 'o200k_base' }
+      ),
+      'model variants share the base limits': () => assert.equal(getModelLimits('openai/gpt-4o:nitro', {}).contextWindow, 128000),
+      'context window overridden per model': () => assert.equal(
+        getModelLimits('acme/unknown-model', { MODEL_CONTEXT_LIMITS: 'acme/unknown-model=8000' }).contextWindow, 8000
+      ),
+      'answer reservation capped by the output limit': () => assert.equal(
+        getContextBudgetConfig('acme/unknown-model', { ANSWER_MAX_TOKENS: '10000' }).answerTokens, 4096
+      ),
+      'every source kept within the window': () => assert.deepEqual(unbounded, [1, 2, 3]),
+      'source over the budget dropped, later ones kept': () => assert.deepEqual(fitting, [1, 3]),
+      'nothing kept when no source fits': () => assert.deepEqual(tight, []),
+      'source count capped': () => assert.deepEqual(capped, [1])
+    };
+  });
+}
+
+/**
+ * Test structured answers: JSON segments mapped to the chunks they cite,
+ * malformed replies left to the sentence fallback, and citations of
+ * sources or references the answer was not given dropped
+ */
+function testAnswerSegments() {
+  logger.info('\n🧱 Testing answer segments...');
+
+  const openrouter = new OpenRouterClient({ provider: createLLMProvider('local') });
+  const chunks = [
+    { id: 'chunk-1', exact_reference: 'Likutei Moharan 1:1', content: 'Ashrei temimei derech.' },
+    { id: 'chunk-2', exact_reference: 'Likutei Moharan 2:1', content: 'The main weapon is prayer.' }
+  ];
+
+  return runChecks('answer segment', () => {
+    const parse = content => openrouter.parseAnswerSegments(content, chunks);
+
+    const wellFormed = parse('```json\n' + JSON.stringify({
+      segments: [
+        { text: ' La Torah est la lumière. ', sources: [1, 1, 2], quotes: [{ text: 'Ashrei temimei derech', source: 1 }] },
+        { text: '   ', sources: [2] },
+        { text: 'La prière est une arme.', sources: [2, 7, 'x'], quotes: [{ text: 'weapon', source: 9 }, { text: '' }] }
+      ]
+    }) + '\n```');
+
+    const fromText = openrouter.segmentsFromText(
+      'La joie est une mitsva (Likutei Moharan II 24). Il écrit « the main weapon is prayer » (Likutei Moharan 2:1). Fin.',
+      chunks
+    );
+
+    return {
+      'segments parsed from fenced JSON': () => assert.deepEqual(wellFormed?.map(segment => segment.text), ['La Torah est la lumière.', 'La prière est une arme.']),
+      'source numbers mapped to chunk ids once': () => assert.deepEqual(wellFormed[0].chunk_ids, ['chunk-1', 'chunk-2']),
+      'quotes mapped to their chunk': () => assert.deepEqual(wellFormed[0].quotes, [{ text: 'Ashrei temimei derech', chunk_id: 'chunk-1' }]),
+      'unknown sources dropped': () => assert.deepEqual(wellFormed[1].chunk_ids, ['chunk-2']),
+      'quote of an unknown source kept unattributed': () => assert.deepEqual(wellFormed[1].quotes, [{ text: 'weapon', chunk_id: null }]),
+      'malformed JSON falls back': () => assert.equal(parse('Voici la réponse: {segments: [}'), null),
+      'truncated JSON falls back': () => assert.equal(parse('{"segments": [{"text": "La joie'), null),
+      'segments that are not a list fall back': () => assert.equal(parse('{"segments": "La joie"}'), null),
+      'one text segment per sentence': () => assert.deepEqual(fromText.map(segment => segment.chunk_ids), [[], ['chunk-2'], []]),
+      'reference to an unknown chunk not linked': () => assert.deepEqual(
+        openrouter.extractCitations(fromText[0].text, chunks).map(citation => [citation.reference, citation.chunk_id]),
+        [['Likutei Moharan II 24', null]]
+      ),
+      'quotes found in the text': () => assert.deepEqual(fromText[1].quotes, [{ text: 'the main weapon is prayer', chunk_id: null }])
+    };
+  });
+}
+
+/**
+ * Test answer feedback: rejected payloads, flagged sources matched to the
+ * chunks the answer was given, and a review moving an answer between statuses
+ */
+async function testAnswerFeedback() {
+  logger.info('\n⭐ Testing answer feedback...');
+
+  return runChecks('answer feedback', async () => {
+    // Chunk ids from the chunk processor are md5(legacy id)::uuid, not RFC 4122 UUIDs
+    const { chunks } = await getFixtureCorpus();
+    const [first, second] = chunks;
+    const storedId = crypto.randomUUID();
+    const otherId = crypto.randomUUID();
+    const answer = {
+      selected_chunks: [{ id: first.id, reference: first.reference }, { id: storedId, reference: 'Likutei_Moharan:64:2' }],
+      cited_chunks: [second.id]
+    };
+    const matched = matchFlaggedSources(answer, [
+      first.id,
+      { chunk_id: storedId, comment: 'Not about joy' },
+      'Likutei Moharan 64.2',
+      second.id,
+      'Likutei Moharan 99',
+      otherId
+    ]);
+
+    // The citations table, as much of it as review() and statusCounts() use
+    const id = crypto.randomUUID();
+    const rows = new Map([[id, { id, validation_status: 'pending' }]]);
+    const pool = {
+      query: async (sql, [rowId, status, notes, reviewer] = []) => {
+        if (sql.includes('GROUP BY validation_status')) {
+          const counts = {};
+          for (const row of rows.values()) counts[row.validation_status] = (counts[row.validation_status] || 0) + 1;
+          return { rows: Object.entries(counts).map(([validation_status, count]) => ({ validation_status, count })) };
+        }
+        const row = rows.get(rowId);
+        if (!row) return { rows: [] };
+        Object.assign(row, { validation_status: status, review_notes: notes, reviewed_by: reviewer, reviewed_at: new Date() });
+        return { rows: [{ ...row }] };
+      }
+    };
+    const feedback = new AnswerFeedbackService({ pool });
+    const before = await feedback.statusCounts();
+    const reviewed = await feedback.review(id, { status: 'verified', notes: 'Sources checked', reviewer: 'editor' });
+    const after = await feedback.statusCounts();
+    const reopened = await feedback.review(id, { status: 'pending' });
+
+    return {
+      'rating outside 1-5 rejected': () => assert.deepEqual(
+        [0, 6, 3.5, '5', undefined].map(rating => validateFeedback({ rating }) !== null), [true, true, true, true, true]
+      ),
+      'overlong or non-text comment rejected': () => assert.deepEqual(
+        [{ rating: 4, comment: 'x'.repeat(2001) }, { rating: 4, comment: 42 }].map(body => validateFeedback(body) !== null), [true, true]
+      ),
+      'wrong sources must be a list of ids or references': () => assert.deepEqual(
+        [{ rating: 2, wrong_sources: first.id }, { rating: 2, wrong_sources: [{ comment: 'wrong' }] }, { rating: 2, wrong_sources: [42] }]
+          .map(body => validateFeedback(body) !== null),
+        [true, true, true]
+      ),
+      'valid feedback accepted': () => assert.equal(
+        validateFeedback({ rating: 2, comment: 'Wrong torah', wrong_sources: [first.id, { reference: 'Likutei Moharan 1:1' }] }), null
+      ),
+      'flag matched by md5-derived chunk id': () => assert.deepEqual(matched.flags[0], { chunk_id: first.id, reference: first.reference, comment: null }),
+      'flag matched by UUID keeps its comment': () => assert.deepEqual(matched.flags[1], { chunk_id: storedId, reference: 'Likutei Moharan 64:2', comment: 'Not about joy' }),
+      'flag matched by reference joins the same source': () => assert.equal(matched.flags.filter(flag => flag.chunk_id === storedId).length, 1),
+      'cited chunk of an older answer matched': () => assert.deepEqual(matched.flags[2], { chunk_id: second.id, reference: null, comment: null }),
+      'sources the answer was not given reported': () => assert.deepEqual(matched.unknown, ['Likutei Moharan 99', otherId]),
+      'unknown review status rejected': () => assert.notEqual(validateReview({ status: 'approved' }), null),
+      'pending answer verified': () => assert.deepEqual(
+        { status: reviewed.validation_status, notes: reviewed.review_notes, reviewer: reviewed.reviewed_by },
+        { status: 'verified', notes: 'Sources checked', reviewer: 'editor' }
+      ),
+      'status counts follow the review': () => assert.deepEqual([before, after], [
+        { pending: 1, verified: 0, invalid: 0 },
+        { pending: 0, verified: 1, invalid: 0 }
+      ]),
+      'verified answer reopened': () => assert.equal(reopened.validation_status, 'pending'),
+      'review of an unknown answer': async () => assert.equal(await feedback.review(crypto.randomUUID(), { status: 'invalid' }), null),
+      'review of a malformed id': async () => assert.equal(await feedback.review('not-an-id', { status: 'invalid' }), null)
+    };
+  });
+}
+
+/**
+ * Test the embedding cache: a text is embedded once per model, misses are
+ * sent to the provider in batches, and the persistent cache is keyed by the
+ * content hash and the model
+ */
+async function testEmbeddingCache() {
+  logger.info('\n🧮 Testing embedding cache...');
+
+  return runChecks('embedding cache', async () => {
+    const openrouter = new OpenRouterClient({ provider: createLLMProvider('local') });
+    const batches = [];
+    const generateEmbeddings = openrouter.generateEmbeddings.bind(openrouter);
+    openrouter.generateEmbeddings = texts => {
+      batches.push(texts.length);
+      return generateEmbeddings(texts);
+    };
+
+    const storage = createStorage('memory', { openrouter });
+    await storage.init();
+    const first = await storage.embeddings.embed('Azamra: find the good point');
+    const second = await storage.embeddings.embed('  Azamra: find the good point\n');
+    const repeated = batches.length;
+
+    // Three batches of at most two texts for five new texts, the duplicate sent once
+    batches.length = 0;
+    const batched = new EmbeddingCache(openrouter, { batchSize: 2 });
+    const embeddings = await batched.embedMany(['one', 'two', 'three', 'two', 'four', 'five']);
+    const batchSizes = [...batches];
+
+    // The embedding_cache table, as much of it as lookup() and store() use
+    const rows = new Map();
+    const pool = {
+      query: async (sql, [model, dimensions, hashes, embeddings]) => {
+        if (sql.includes('INSERT')) {
+          hashes.forEach((hash, i) => rows.set(`${model}|${dimensions}|${hash}`, embeddings[i]));
+          return { rows: [] };
+        }
+        return {
+          rows: hashes
+            .filter(hash => rows.has(`${model}|${dimensions}|${hash}`))
+            .map(hash => ({ content_hash: hash, embedding: rows.get(`${model}|${dimensions}|${hash}`) }))
+        };
+      }
+    };
+    const config = getEmbeddingConfig();
+    await new EmbeddingCache(openrouter, { pool, config }).embed('Hitbodedut');
+    const sameModel = new EmbeddingCache(openrouter, { pool, config });
+    const otherModel = new EmbeddingCache(openrouter, { pool, config: { ...config, modelId: 'local:other-model' } });
+    await sameModel.embed('Hitbodedut');
+    await otherModel.embed('Hitbodedut');
+
+    return {
+      'second embed of a text makes no provider call': () => assert.equal(repeated, 1),
+      'cached embedding returned': () => assert.deepEqual(second, first),
+      'hit counted': () => assert.deepEqual(storage.embeddings.stats, { memory_hits: 1, db_hits: 0, generated: 1 }),
+      'misses sent in batches': () => assert.deepEqual(batchSizes, [2, 2, 1]),
+      'embeddings in input order': () => assert.deepEqual(embeddings[3], embeddings[1]),
+      'persistent cache hit for the same model': () => assert.deepEqual(sameModel.stats, { memory_hits: 0, db_hits: 1, generated: 0 }),
+      'persistent cache miss for another model': () => assert.deepEqual(otherModel.stats, { memory_hits: 0, db_hits: 0, generated: 1 })
+    };
+  });
+}
+
+/**
+ * Test the complete flow on the fixture corpus (offline): extract from
+ * recorded Sefaria responses, chunk, index and ask, all in memory
  */
 async function testCompleteQueryPipeline() {
-  logger.info('\n🔗 Testing complete query pipeline...');
+  logger.info('\n🔗 Testing complete query pipeline on the fixture corpus...');
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breslov-fixtures-'));
 
   try {
-    // This would test the complete flow:
-    // 1. Query analysis
-    // 2. Vector search
-    // 3. Master index search
-    // 4. Response generation
-    // 5. Citation validation
+    // Local provider even when an API key is set: the run must be deterministic
+    const openrouter = new OpenRouterClient({ provider: createLLMProvider('local') });
+    const storage = createStorage('memory', { openrouter });
+
+    const extractor = new SefariaExtractor({
+      http: createFixtureClient(),
+      outputDir: path.join(workDir, 'raw'),
+      books: FIXTURE_BOOKS,
+      rateLimit: 0,
+      bookPause: 0
+    });
+    const extraction = await extractor.extractAll();
+
+    const processor = new ChunkProcessor({ storage, inputDir: path.join(workDir, 'raw'), outputDir: path.join(workDir, 'chunks') });
+    await processor.init();
+    await processor.processAllFiles();
+
+    const builder = new MasterIndexBuilder({ storage, indexPath: path.join(workDir, 'master_index.json') });
+    await builder.init();
+    await builder.buildMasterIndex();
+
+    const services = storage.createServices();
+    const qa = new QuestionAnsweringService({ openrouter, ...services });
+
+    const conversation = await services.conversations.create();
+    const prayer = await qa.answer({ question: 'Que dit Rabbi Nachman sur la prière dans le Likutei Moharan?' }, conversation);
+    const tale = await qa.answer(
+      { question: 'Quelle est l\'histoire de la princesse perdue dans les contes?' },
+      await services.conversations.get(conversation.id)
+    );
+    // Stateless question: answered without storing a conversation
+    const passage = await qa.answer({ question: 'Likutei Moharan 3' }, { id: null, turns: [] });
+
+    const trace = await services.queryTraces.get(prayer.query_id);
+
+    const checks = [
+      ['books extracted', extraction.extracted.length, FIXTURE_BOOKS.length],
+      ['chunks stored', (await storage.getAllChunks()).length, 9],
+      ['prayer theme indexed', Boolean(storage.masterIndex.themes.priere), true],
+      ['prayer answer cites Likutei Moharan 2', prayer.sources.some(source => source.reference.startsWith('Likutei Moharan 2')), true],
+      ['prayer answer supported', prayer.verification.summary.unsupported, 0],
+      ['trace saved with cited chunks', trace?.cited_chunks.length > 0, true],
+      ['tale answer starts with the Lost Princess', tale.sources[0]?.reference.startsWith('Sippurei Maasiyot 1'), true],
+      ['turns recorded', (await services.conversations.get(conversation.id)).turns.length, 2],
+      ['reference lookup', passage.reference?.match, 'section'],
+      ['stateless question stores no conversation', passage.turn_index === undefined && storage.conversations.size === 1, true]
+    ];
+
+    const failures = checks.filter(([, actual, wanted]) => actual !== wanted);
+    for (const [name, actual, wanted] of failures) {
+      logger.error(`❌ ${name}: ${actual} (expected ${wanted})`);
+    }
 
-    logger.info('⚠️ Complete pipeline test requires database setup');
-    logger.info('   Run this test after: npm run setup-db && npm run extract-data');
+    logger.info(`${failures.length === 0 ? '✅' : '❌'} ${checks.length - failures.length}/${checks.length} pipeline checks passed`);
 
-    return { status: 'skipped', reason: 'database_not_ready' };
+    return { status: failures.length === 0 ? 'passed' : 'failed', total: checks.length, failed: failures.length };
 
   } catch (error) {
     logger.error('❌ Pipeline test failed:', error.message);
     return { status: 'failed', error: error.message };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
   }
 }
 
@@ -170,6 +1227,23 @@ async function runAllTests() {
   const testResults = {
     model_health: null,
     query_analysis: null,
+    reference_parsing: null,
+    citation_verification: null,
+    evaluation_metrics: null,
+    incremental_extraction: null,
+    schema_traversal: null,
+    text_versions: null,
+    segment_chunking: null,
+    bilingual_segments: null,
+    hebrew_normalization: null,
+    full_text_search: null,
+    abbreviations: null,
+    embedding_cache: null,
+    rank_fusion: null,
+    reranker: null,
+    context_budget: null,
+    answer_segments: null,
+    answer_feedback: null,
     complete_pipeline: null,
     overall_status: 'unknown'
   };
@@ -188,12 +1262,81 @@ async function runAllTests() {
       results: queryResults
     };
 
-    // Test 3: Complete pipeline (if database is ready)
+    // Test 3: Reference parsing
+    testResults.reference_parsing = await testReferenceParsing();
+
+    // Test 4: Citation verification
+    testResults.citation_verification = testCitationVerification();
+
+    // Test 5: Evaluation metrics
+    testResults.evaluation_metrics = testEvaluationMetrics();
+
+    // Test 6: Checkpointed extraction
+    testResults.incremental_extraction = await testIncrementalExtraction();
+
+    // Test 7: Complex schema traversal
+    testResults.schema_traversal = await testSchemaTraversal();
+
+    // Test 8: Text versions and translations
+    testResults.text_versions = await testTextVersions();
+
+    // Test 9: Segment chunking and precise references
+    testResults.segment_chunking = await testSegmentChunking();
+
+    // Test 10: Aligned Hebrew and translations per segment
+    testResults.bilingual_segments = await testBilingualSegments();
+
+    // Test 11: Display and search forms of Hebrew text
+    testResults.hebrew_normalization = await testHebrewNormalization();
+
+    // Test 12: Full-text search
+    testResults.full_text_search = await testFullTextSearch();
+
+    // Test 13: Abbreviation dictionary
+    testResults.abbreviations = await testAbbreviations();
+
+    // Test 14: Embedding cache
+    testResults.embedding_cache = await testEmbeddingCache();
+
+    // Test 15: Rank fusion
+    testResults.rank_fusion = await testRankFusion();
+
+    // Test 16: Reranking
+    testResults.reranker = await testReranker();
+
+    // Test 17: Token counting and context budget
+    testResults.context_budget = await testContextBudget();
+
+    // Test 18: Structured answer segments
+    testResults.answer_segments = await testAnswerSegments();
+
+    // Test 19: Answer feedback and review
+    testResults.answer_feedback = await testAnswerFeedback();
+
+    // Test 20: Complete pipeline on the fixture corpus
     testResults.complete_pipeline = await testCompleteQueryPipeline();
 
     // Overall assessment
     const modelHealthy = testResults.model_health.healthy;
-    const queriesWorking = testResults.query_analysis.success_rate >= 0.8;
+    const queriesWorking = testResults.query_analysis.success_rate >= 0.8
+      && testResults.reference_parsing.passed
+      && testResults.citation_verification.passed
+      && testResults.evaluation_metrics.passed
+      && testResults.incremental_extraction.passed
+      && testResults.schema_traversal.passed
+      && testResults.text_versions.passed
+      && testResults.segment_chunking.passed
+      && testResults.bilingual_segments.passed
+      && testResults.hebrew_normalization.passed
+      && testResults.full_text_search.passed
+      && testResults.abbreviations.passed
+      && testResults.embedding_cache.passed
+      && testResults.rank_fusion.passed
+      && testResults.reranker.passed
+      && testResults.context_budget.passed
+      && testResults.answer_segments.passed
+      && testResults.answer_feedback.passed
+      && testResults.complete_pipeline.status === 'passed';
 
     if (modelHealthy && queriesWorking) {
       testResults.overall_status = 'excellent';
@@ -208,7 +1351,24 @@ async function runAllTests() {
     logger.info(`Overall Status: ${testResults.overall_status.toUpperCase()}`);
     logger.info(`Model Health: ${modelHealthy ? '✅' : '❌'}`);
     logger.info(`Query Analysis: ${(testResults.query_analysis.success_rate * 100).toFixed(1)}% success rate`);
-    logger.info(`Complete Pipeline: ${testResults.complete_pipeline.status}`);
+    logger.info(`Reference Parsing: ${testResults.reference_parsing.total - testResults.reference_parsing.failed}/${testResults.reference_parsing.total}`);
+    logger.info(`Citation Verification: ${testResults.citation_verification.total - testResults.citation_verification.failed}/${testResults.citation_verification.total}`);
+    logger.info(`Evaluation Metrics: ${testResults.evaluation_metrics.total - testResults.evaluation_metrics.failed}/${testResults.evaluation_metrics.total}`);
+    logger.info(`Incremental Extraction: ${testResults.incremental_extraction.total - testResults.incremental_extraction.failed}/${testResults.incremental_extraction.total}`);
+    logger.info(`Schema Traversal: ${testResults.schema_traversal.total - testResults.schema_traversal.failed}/${testResults.schema_traversal.total}`);
+    logger.info(`Text Versions: ${testResults.text_versions.total - testResults.text_versions.failed}/${testResults.text_versions.total}`);
+    logger.info(`Segment Chunking: ${testResults.segment_chunking.total - testResults.segment_chunking.failed}/${testResults.segment_chunking.total}`);
+    logger.info(`Bilingual Segments: ${testResults.bilingual_segments.total - testResults.bilingual_segments.failed}/${testResults.bilingual_segments.total}`);
+    logger.info(`Hebrew Normalization: ${testResults.hebrew_normalization.total - testResults.hebrew_normalization.failed}/${testResults.hebrew_normalization.total}`);
+    logger.info(`Full-Text Search: ${testResults.full_text_search.total - testResults.full_text_search.failed}/${testResults.full_text_search.total}`);
+    logger.info(`Abbreviations: ${testResults.abbreviations.total - testResults.abbreviations.failed}/${testResults.abbreviations.total}`);
+    logger.info(`Embedding Cache: ${testResults.embedding_cache.total - testResults.embedding_cache.failed}/${testResults.embedding_cache.total}`);
+    logger.info(`Rank Fusion: ${testResults.rank_fusion.total - testResults.rank_fusion.failed}/${testResults.rank_fusion.total}`);
+    logger.info(`Reranker: ${testResults.reranker.total - testResults.reranker.failed}/${testResults.reranker.total}`);
+    logger.info(`Context Budget: ${testResults.context_budget.total - testResults.context_budget.failed}/${testResults.context_budget.total}`);
+    logger.info(`Answer Segments: ${testResults.answer_segments.total - testResults.answer_segments.failed}/${testResults.answer_segments.total}`);
+    logger.info(`Answer Feedback: ${testResults.answer_feedback.total - testResults.answer_feedback.failed}/${testResults.answer_feedback.total}`);
+    logger.info(`Complete Pipeline: ${testResults.complete_pipeline.status}${testResults.complete_pipeline.total ? ` (${testResults.complete_pipeline.total - testResults.complete_pipeline.failed}/${testResults.complete_pipeline.total})` : ''}`);
 
     if (testResults.overall_status === 'excellent') {
       logger.info('\n🎉 All systems are working! Ready for production use.');
@@ -221,6 +1381,8 @@ async function runAllTests() {
   } catch (error) {
     logger.error('❌ Test suite failed:', error);
     testResults.overall_status = 'failed';
+  } finally {
+    await removeFixtureCorpus();
   }
 
   return testResults;